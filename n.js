@@ -4,15 +4,37 @@
    - Scale up everything (larger tiles / sprites)
    - More detailed avatar
    - More weapons
-   - Boss every 10 rooms (using Manhattan depth), boss has random weapon pattern
+   - Boss at the farthest dead end of each floor; depth runs (floor - 1) * 10 up to floor * 10 at the boss
+   - Seeded RNG (?seed=...), per-room generation streams keyed by room id
+   - Headless simulation core (Sim.step(input, dt)); browser shell feeds it input
+   - Save/resume via localStorage (auto-save on room transition, Continue on boot)
+   - Minimap of visited/adjacent rooms + full map overlay (M)
+   - Replays: seed + per-frame input, frame-exact playback with scrubbing
+   - Gamepad: twin-stick move/aim, RT fire, LB/RB weapons, A dash, d-pad shop
+   - Touch: virtual dual sticks, dash/swap/pause buttons, tap-to-buy
+   - Action-based input with rebindable controls (pause → O), saved to localStorage
+   - Synthesized WebAudio SFX + adaptive music; volume/mute in the pause menu
+   - Particles: muzzle flashes, impacts, hit flashes, damage numbers, death bursts (capped; reduced mode)
+   - Data-driven ENEMIES roster: charger, turret, splitter, shielded, summoner; depth-weighted spawns
+   - Flow-field pathfinding around pits/pillars; shooters reposition for line of sight
+   - Named boss per depth tier: HP-threshold phases, telegraphed attack scripts, adds, enrage
+   - PATTERNS bullet language (rings/fans/spirals, accel/curve/home/wobble/split) + ?sandbox preview
+   - Weapon upgrade tiers (damage/rate/accuracy/pellets) + mods (pierce/ricochet/explosive/homing)
+   - Magazines + reload per weapon, shared ammo reserve (Pistol reloads free), ammo drops + shop refills
+   - Relics (passive items) from treasure rooms + bosses, hook-driven; inventory on the pause screen
+   - Room kinds: treasure, challenge (waves), secret (cracked walls), curse (HP toll); own layouts + contents
+   - Authored ROOM_TEMPLATES (text grids + spawn markers), flipped/turned; every door checked reachable
+   - Floors: seeded tree/loop layouts, special rooms on dead ends, boss at the far end, stairs down; depth follows floor
+   - Rooms persist: tiles generated once, leftover pickups + wall cracks kept per room (and in the save)
+   - Local co-op (?coop, ?coop=split): second player on pad / split keyboard, shared or split coins, revive
+   - Online co-op (?net=ws://host:port/room via relay.js): host-run sim, snapshots + interpolation, doors wait for both
+   - Difficulty presets (Easy..Nightmare) scale the depth formulas; opt-in run modifiers on a run-setup screen; death screen
+   - Title menu (continue / new run / settings / stats), win on floor 5's boss, death/victory run summary, lifetime stats
 */
 
 (function () {
   "use strict";
 
-  // Entry point expected by launcher
-  window.create = function () { Game.create(); };
-
   // ---------- Constants ----------
   var TAU = Math.PI * 2;
 
@@ -23,55 +45,92 @@
   var ROOM_W = ROOM_TW * TILE;   // 840
   var ROOM_H = ROOM_TH * TILE;   // 520
 
-  var KEY = {
-    LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40,
-    A: 65, W: 87, D: 68, S: 83,
-    SPACE: 32, SHIFT: 16, ESC: 27,
-    F: 70, Q: 81, E: 69,
-    R: 82, ONE: 49, TWO: 50, THREE: 51, FOUR: 52,
-    FIVE: 53, SIX: 54, SEVEN: 55
-  };
-
   // Door geometry (scaled with TILE)
   var DOOR_SPAN = 44;
   var DOOR_THICK = 26;
 
-  // ---------- Canvas ----------
-  var canvas, ctx;
-  var dpr = 1;
-  var VIEW_W = 960, VIEW_H = 540;
-  var lastT = 0;
+  // ---------- Input snapshot ----------
+  // The simulation never reads devices; each step gets a plain snapshot.
+  // moveX/moveY are -1..1, aimX/aimY are world coords, the rest are
+  // "pressed this frame" edges except fire and away (held). buy = shop slot
+  // or -1. away: a network player whose screen hasn't reached this room yet.
+  function emptyInput() {
+    return {
+      moveX: 0, moveY: 0,
+      aimX: ROOM_W / 2, aimY: ROOM_H / 2,
+      fire: false, dash: false,
+      prevWeapon: false, nextWeapon: false, reload: false,
+      interact: false, buy: -1,
+      pause: false, restart: false,
+      away: false
+    };
+  }
 
-  // Room centering offsets (when room smaller than viewport)
-  var VIEW_OX = 0;
-  var VIEW_OY = 0;
+  var input = emptyInput();
+  var inputs = [input, emptyInput()];   // per player slot; `input` is the one being acted on
+
+  // ---------- Sim events ----------
+  // Things the shell may want to react to (camera snap, audio, fx).
+  // Cleared at the start of every step. Never read back by the sim.
+  var events = [];
+  function emit(type, data) {
+    var ev = data || {};
+    ev.type = type;
+    events.push(ev);
+  }
 
-  // ---------- Input ----------
-  var keys = {};
-  var keysPressed = {};
-  var mouse = { x: 0, y: 0, down: false };
+  // ---------- RNG / Math ----------
+  // Seeded PRNG (mulberry32). Every gameplay roll goes through `rng`; room
+  // generation swaps in a sub-stream derived from seed + room key so a room
+  // generates identically for a given seed regardless of visit order.
+  var imul = Math.imul || function (a, b) {
+    var ah = (a >>> 16) & 0xffff, al = a & 0xffff;
+    var bh = (b >>> 16) & 0xffff, bl = b & 0xffff;
+    return ((al * bl) + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+  };
 
-  function onKeyDown(e) {
-    if (!keys[e.keyCode]) keysPressed[e.keyCode] = true;
-    keys[e.keyCode] = true;
-    if (e.keyCode === KEY.SPACE || e.keyCode === KEY.UP || e.keyCode === KEY.DOWN) e.preventDefault();
+  function hashString(str) {
+    // FNV-1a, 32-bit
+    var h = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = imul(h, 0x01000193);
+    }
+    return h >>> 0;
   }
-  function onKeyUp(e) { keys[e.keyCode] = false; }
-  function onMouseMove(e) {
-    var rect = canvas.getBoundingClientRect();
-    var cx = (e.clientX - rect.left);
-    var cy = (e.clientY - rect.top);
-    mouse.x = (cx / rect.width) * VIEW_W;
-    mouse.y = (cy / rect.height) * VIEW_H;
+
+  function makeRng(seed) { return { s: seed >>> 0 }; }
+  function rngNext(r) {
+    r.s = (r.s + 0x6D2B79F5) | 0;
+    var t = imul(r.s ^ (r.s >>> 15), 1 | r.s);
+    t = (t + imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   }
-  function onMouseDown() { mouse.down = true; }
-  function onMouseUp() { mouse.down = false; }
-  function wasPressed(code) { return !!keysPressed[code]; }
 
-  // ---------- RNG / Math ----------
-  function randf() { return Math.random(); }
-  function randi(n) { return (Math.random() * n) | 0; }
-  function chance(p) { return Math.random() < p; }
+  var runSeed = "";
+  var rng = makeRng(0);
+
+  function newSeed() {
+    // The only unseeded roll: picking a seed for a fresh run
+    var s = "";
+    for (var i = 0; i < 6; i++) s += "ABCDEFGHJKLMNPQRSTUVWXYZ23456789".charAt((Math.random() * 32) | 0);
+    return s;
+  }
+
+  function setSeed(seed) {
+    runSeed = String(seed);
+    rng = makeRng(hashString("run|" + runSeed));
+  }
+
+  // Room ids repeat from floor to floor, so the floor is part of every stream
+  function roomRng(id, salt) { return makeRng(hashString(runSeed + "|" + state.floor + "|" + salt + "|" + id)); }
+
+  function randf() { return rngNext(rng); }
+  function randi(n) { return (randf() * n) | 0; }
+  function chance(p) { return randf() < p; }
+
+  // Cosmetic only (screen shake etc.) — never advances the run stream
+  function fxRand() { return Math.random(); }
 
   function clamp(v, a, b) { return v < a ? a : (v > b ? b : v); }
   function lerp(a, b, t) { return a + (b - a) * t; }
@@ -91,9 +150,18 @@
     running: false,
     paused: false,
     shopOpen: false,
+    shopBy: 0,         // slot of the player who opened the shop
+    coop: { players: 1, split: false },
+    run: { difficulty: "normal", modifiers: [] },   // see DIFFICULTIES / MODIFIERS
+    over: null,        // "dead" | "won" once the run is over; only a restart gets out of it
+    stats: null,       // this run's tally for the summary (see newStats)
     msg: "",
     msgT: 0,
     coins: 0,
+    floor: 1,
+    layout: null,      // this floor's rooms and links (see genFloor)
+    stairs: null,      // { x, y } once the floor's boss room is cleared
+    lockPending: false, // fight room entered, doors lock once everyone is in
     roomId: "0,0",
     cam: { x: 0, y: 0, shake: 0, shakeT: 0 },
     map: {},
@@ -101,21 +169,30 @@
     enemies: [],
     bullets: [],
     pickups: [],
-    fx: []
+    fx: [],
+    emitters: [],      // repeating pattern volleys in flight (see PATTERNS)
+    sandbox: null,     // pattern preview mode (see startSandbox)
+    wave: null         // challenge room progress { n, of, t }
   };
 
   // ---------- Weapons (more of them) ----------
   // fire = seconds between shots; pellets & spread define pattern
+  // mag = shots per magazine (a Burst trigger pull is one), reload = seconds
   var WEAPONS = [
-    { id: 0, name: "Pistol",  unlocked: true,  dmg: 3, fire: 0.18, speed: 520, spread: 0.00, pellets: 1 },
-    { id: 1, name: "Shotgun", unlocked: false, dmg: 2, fire: 0.55, speed: 460, spread: 0.40, pellets: 6 },
-    { id: 2, name: "Rifle",   unlocked: false, dmg: 4, fire: 0.12, speed: 620, spread: 0.02, pellets: 1 },
-    { id: 3, name: "SMG",     unlocked: false, dmg: 2, fire: 0.07, speed: 560, spread: 0.08, pellets: 1 },
-    { id: 4, name: "Sniper",  unlocked: false, dmg: 10,fire: 0.65, speed: 860, spread: 0.00, pellets: 1 },
-    { id: 5, name: "Burst",   unlocked: false, dmg: 3, fire: 0.22, speed: 640, spread: 0.03, pellets: 3, burstStep: 0.03 },
-    { id: 6, name: "Laser",   unlocked: false, dmg: 5, fire: 0.30, speed: 900, spread: 0.00, pellets: 1 }
+    { id: 0, name: "Pistol",  unlocked: true,  dmg: 3, fire: 0.18, speed: 520, spread: 0.00, pellets: 1, mag: 12, reload: 0.8, infinite: true },
+    { id: 1, name: "Shotgun", unlocked: false, dmg: 2, fire: 0.55, speed: 460, spread: 0.40, pellets: 6, mag: 6,  reload: 1.3 },
+    { id: 2, name: "Rifle",   unlocked: false, dmg: 4, fire: 0.12, speed: 620, spread: 0.02, pellets: 1, mag: 24, reload: 1.1 },
+    { id: 3, name: "SMG",     unlocked: false, dmg: 2, fire: 0.07, speed: 560, spread: 0.08, pellets: 1, mag: 40, reload: 1.2 },
+    { id: 4, name: "Sniper",  unlocked: false, dmg: 10,fire: 0.65, speed: 860, spread: 0.00, pellets: 1, mag: 4,  reload: 1.6 },
+    { id: 5, name: "Burst",   unlocked: false, dmg: 3, fire: 0.22, speed: 640, spread: 0.03, pellets: 3, mag: 8,  reload: 1.0, burstStep: 0.03 },
+    { id: 6, name: "Laser",   unlocked: false, dmg: 5, fire: 0.30, speed: 900, spread: 0.00, pellets: 1, mag: 10, reload: 1.4 }
   ];
 
+  // Shared reserve every non-infinite weapon reloads from
+  var AMMO_START = 90;
+  var AMMO_MAX = 300;
+  var AMMO_DROP = 0.3;   // chance per kill
+
   // Shop items expanded to include more weapons
   var SHOP_ITEMS = [
     { key: 1, label: "Unlock Shotgun", cost: 10, type: "unlock", weaponId: 1, desc: "Cone crowd control" },
@@ -124,36 +201,448 @@
     { key: 4, label: "Unlock Sniper",  cost: 22, type: "unlock", weaponId: 4, desc: "Huge damage" },
     { key: 5, label: "Unlock Burst",   cost: 20, type: "unlock", weaponId: 5, desc: "3-round burst" },
     { key: 6, label: "Unlock Laser",   cost: 26, type: "unlock", weaponId: 6, desc: "Hyper-fast bolt" },
-    { key: 7, label: "Heal +3",        cost: 6,  type: "heal",   amount: 3,    desc: "Patch up" }
+    { key: 7, label: "Heal +3",        cost: 6,  type: "heal",   amount: 3,    desc: "Patch up" },
+    { key: 8, label: "Ammo +60",       cost: 5,  type: "ammo",   amount: 60,   desc: "Refill the reserve" },
+    { key: 9, label: "Weapon upgrade", cost: 12, type: "upgrade",              desc: "Next tier for the held weapon" },
+    { key: 10, label: "Weapon mod",    cost: 24, type: "mod",                  desc: "Special rounds for the held weapon" }
   ];
 
-  // ---------- Player (scaled up) ----------
-  var player = {
-    x: ROOM_W / 2,
-    y: ROOM_H / 2,
-    r: 13,
-    hp: 8,
-    hpMax: 8,
-    invT: 0,
-    dashT: 0,
-    dashCD: 0,
-    vx: 0, vy: 0,
-    speed: 190,
-    weapon: 0,
-    fireCD: 0,
-    burstQ: 0,      // remaining burst bullets
-    burstCD: 0      // time until next burst bullet
+  // ---------- Weapon upgrades / mods ----------
+  // The build lives on each of the player's guns next to `unlocked` (w.lv per
+  // stat, w.mods set) and resets with the run; weaponStats() folds it into a shot.
+  var UPGRADES = {
+    dmg:     { name: "Damage",    short: "DMG", max: 3 },
+    rate:    { name: "Fire rate", short: "ROF", max: 3 },
+    spread:  { name: "Accuracy",  short: "ACC", max: 3 },
+    pellets: { name: "Pellets",   short: "PEL", max: 2 }
+  };
+  var UPGRADE_IDS = ["dmg", "rate", "spread", "pellets"];
+
+  var MODS = {
+    pierce:    { name: "Piercing",  short: "PRC", desc: "Rounds pass through 2 enemies" },
+    ricochet:  { name: "Ricochet",  short: "RIC", desc: "Rounds bounce off walls twice" },
+    explosive: { name: "Explosive", short: "EXP", desc: "Rounds burst for area damage" },
+    homing:    { name: "Homing",    short: "HOM", desc: "Rounds bend toward enemies" }
+  };
+  var MOD_IDS = ["pierce", "ricochet", "explosive", "homing"];
+
+  var PELLET_FAN = 0.09;   // rad between extra pellets on single-shot weapons
+  var BOOM_R = 54;         // explosive round radius
+
+  function resetWeaponBuild(w) {
+    w.lv = { dmg: 0, rate: 0, spread: 0, pellets: 0 };
+    w.mods = {};
+  }
+
+  // A player's own copy of WEAPONS: unlocks, magazines and builds are per
+  // player, WEAPONS itself is never written to
+  function makeGuns() {
+    var out = [];
+    for (var i = 0; i < WEAPONS.length; i++) {
+      var w = {};
+      for (var k in WEAPONS[i]) w[k] = WEAPONS[i][k];
+      w.clip = w.mag;
+      resetWeaponBuild(w);
+      out.push(w);
+    }
+    return out;
+  }
+
+  function weaponStats(w) {
+    return {
+      dmg: (w.dmg + Math.max(1, Math.round(w.dmg * 0.3)) * w.lv.dmg) * (hasModifier("glass") ? 2 : 1),
+      fire: w.fire * Math.pow(0.85, w.lv.rate),
+      spread: w.spread * Math.pow(0.6, w.lv.spread),
+      fan: PELLET_FAN * Math.pow(0.75, w.lv.spread),
+      pellets: w.pellets + w.lv.pellets,
+      speed: w.speed
+    };
+  }
+
+  // Stats still worth raising (accuracy is moot on a single spread-less round)
+  function upgradeChoices(w) {
+    var out = [];
+    for (var i = 0; i < UPGRADE_IDS.length; i++) {
+      var id = UPGRADE_IDS[i];
+      if (w.lv[id] >= UPGRADES[id].max) continue;
+      if (id === "spread" && w.spread <= 0 && w.pellets + w.lv.pellets <= 1) continue;
+      out.push(id);
+    }
+    return out;
+  }
+
+  function missingMods(w) {
+    var out = [];
+    for (var i = 0; i < MOD_IDS.length; i++) if (!w.mods[MOD_IDS[i]]) out.push(MOD_IDS[i]);
+    return out;
+  }
+
+  function upgradeWeapon(w, id) {
+    w.lv[id] += 1;
+    state.msg = w.name + ": " + UPGRADES[id].name + " " + w.lv[id];
+    state.msgT = 1.1;
+  }
+
+  function addWeaponMod(w, id) {
+    w.mods[id] = true;
+    state.msg = w.name + ": " + MODS[id].name + " rounds";
+    state.msgT = 1.1;
+  }
+
+  // Boss drops apply to the held weapon. A mod it already has rolls another;
+  // a fully built weapon pays out coins instead.
+  function grantUpgrade() {
+    var w = player.guns[player.weapon];
+    var choices = upgradeChoices(w);
+    if (choices.length === 0) { earnCoins(10); state.msg = "+10 COINS"; state.msgT = 0.8; return; }
+    upgradeWeapon(w, choices[randi(choices.length)]);
+  }
+
+  function grantMod(id) {
+    var w = player.guns[player.weapon];
+    if (w.mods[id]) {
+      var free = missingMods(w);
+      if (free.length === 0) { grantUpgrade(); return; }
+      id = free[randi(free.length)];
+    }
+    addWeaponMod(w, id);
+  }
+
+  // HUD line for a weapon's build, e.g. "DMG 2  ROF 1  PRC  EXP"
+  function weaponBuildTags(w) {
+    var out = [];
+    for (var i = 0; i < UPGRADE_IDS.length; i++) if (w.lv[UPGRADE_IDS[i]] > 0) out.push(UPGRADES[UPGRADE_IDS[i]].short + " " + w.lv[UPGRADE_IDS[i]]);
+    for (i = 0; i < MOD_IDS.length; i++) if (w.mods[MOD_IDS[i]]) out.push(MODS[MOD_IDS[i]].short);
+    return out.join("  ");
+  }
+
+  // ---------- Relics (passive items) ----------
+  // Owned ids live in player.relics, in pickup order, one of each per run
+  // (a partner never finds one the other already carries). A relic
+  // is data plus optional hooks, read by the code that owns the behaviour:
+  //   gain()           once, when picked up
+  //   dashCharges(n)   dash code: max dash charges
+  //   magnet(r)        updatePickups: coin pull radius
+  //   enemyBullets(k)  updateBullets: enemy bullet time scale (any player's)
+  //   hurt(dmg)        hurtPlayer, after a hit lands
+  //   shot(b)          shoot: every player bullet spawned
+  var RELICS = {
+    vessel:    { name: "Heart Vessel", desc: "+2 max HP", color: "255,90,140",
+                 gain: function () { player.hpMax += 2; player.hp += 2; } },
+    soles:     { name: "Twin Soles", desc: "+1 dash charge", color: "124,92,255",
+                 dashCharges: function (n) { return n + 1; } },
+    lodestone: { name: "Lodestone", desc: "Coins fly to you", color: "255,215,90",
+                 magnet: function (r) { return r + 170; } },
+    thorns:    { name: "Thorn Mantle", desc: "Taking a hit lashes nearby enemies", color: "120,255,170",
+                 hurt: function () { thornsBurst(); } },
+    hourglass: { name: "Hourglass", desc: "Enemy bullets move 25% slower", color: "150,200,255",
+                 enemyBullets: function (k) { return k * 0.75; } },
+    fang:      { name: "Vampire Fang", desc: "Heal 1 HP per 40 damage dealt", color: "255,60,60",
+                 shot: function (b) { b.leech = true; } }
+  };
+  var RELIC_IDS = ["vessel", "soles", "lodestone", "thorns", "hourglass", "fang"];
+
+  var LEECH_PER_HP = 40;
+  var THORNS_R = 130;
+
+  function relicFold(hook, v) {
+    for (var i = 0; i < player.relics.length; i++) {
+      var r = RELICS[player.relics[i]];
+      if (r[hook]) v = r[hook](v);
+    }
+    return v;
+  }
+
+  function relicCall(hook, arg) {
+    for (var i = 0; i < player.relics.length; i++) {
+      var r = RELICS[player.relics[i]];
+      if (r[hook]) r[hook](arg);
+    }
+  }
+
+  function unownedRelics() {
+    var out = [];
+    for (var i = 0; i < RELIC_IDS.length; i++) {
+      var owned = false;
+      for (var k = 0; k < players.length; k++) if (players[k].relics.indexOf(RELIC_IDS[i]) >= 0) owned = true;
+      if (!owned) out.push(RELIC_IDS[i]);
+    }
+    return out;
+  }
+
+  function gainRelic(id) {
+    if (player.relics.indexOf(id) >= 0) return;
+    player.relics.push(id);
+    if (RELICS[id].gain) RELICS[id].gain();
+    state.msg = "RELIC: " + RELICS[id].name + " — " + RELICS[id].desc;
+    state.msgT = 1.8;
+    fxBurst(player.x, player.y, 20, RELICS[id].color, 300, 0.6, 4);
+    emit("relic", { id: id });
+  }
+
+  function thornsBurst() {
+    var depth = ensureNode(state.roomId).depth;
+    var dmg = 5 + ((depth / 3) | 0);
+    for (var i = 0; i < state.enemies.length; i++) {
+      var en = state.enemies[i];
+      var reach = THORNS_R + en.r;
+      if (en.hp <= 0 || dist2(player.x, player.y, en.x, en.y) > reach * reach) continue;
+      damageEnemy(en, dmg, null);
+    }
+    addFx({ kind: "ring", x: player.x, y: player.y, t: 0.3, size: 10, grow: THORNS_R * 3.4, color: RELICS.thorns.color });
+  }
+
+  function leechHeal(dmg) {
+    player.leech += dmg;
+    while (player.leech >= LEECH_PER_HP) {
+      player.leech -= LEECH_PER_HP;
+      if (player.hp < player.hpMax) {
+        player.hp += 1;
+        fxBurst(player.x, player.y, 6, RELICS.fang.color, 140, 0.4, 3);
+      }
+    }
+  }
+
+  // Every hit a player lands on an enemy; a Fang shot (b.leech) banks the
+  // damage for its owner, splash included
+  function damageEnemy(en, dmg, b) {
+    en.hp -= dmg;
+    en.flashT = 0.08;
+    fxDamage(en.x, en.y - en.r, dmg);
+    if (b && b.leech) asPlayer(b.owner, leechHeal, dmg);
+  }
+
+  // ---------- Enemy roster ----------
+  // hp/speed grow with room depth; ai + attack name entries in ENEMY_AI /
+  // ENEMY_ATTACKS. weight/minDepth drive the spawn mix (weight 0 = only ever
+  // spawned by another enemy). color is an "r,g,b" triple for render + fx.
+  var ENEMIES = {
+    chaser:    { name: "Chaser",    hp: 9,  r: 19, speed: 105, speedDepth: 2,   ai: "chase", attack: null,
+                 coins: [2, 2], heart: 0.10, color: "255,90,170",  weight: 7, weightDepth: 0,    minDepth: 0 },
+    shooter:   { name: "Shooter",   hp: 10, r: 18, speed: 95,  speedDepth: 1.5, ai: "kite",  attack: "fire",
+                 range: 480, fireCD: [0.9, 0.6], pattern: "shooterShot", needShot: true,
+                 coins: [2, 2], heart: 0.10, color: "140,190,255", weight: 3, weightDepth: 0,    minDepth: 0 },
+    charger:   { name: "Charger",   hp: 12, r: 20, speed: 70,  speedDepth: 1,   ai: "charge", attack: null,
+                 windup: 0.6, dashSpeed: 560, dashTime: 0.45, recover: 0.7, contact: 2,
+                 coins: [3, 3], heart: 0.12, color: "255,150,60",  weight: 3, weightDepth: 0.10, minDepth: 2 },
+    turret:    { name: "Turret",    hp: 16, r: 20, speed: 0,   speedDepth: 0,   ai: "static", attack: "fire",
+                 range: 600, fireCD: [2.0, 0.6], pattern: "turretRing",
+                 coins: [3, 2], heart: 0.08, color: "200,200,120", weight: 2, weightDepth: 0.06, minDepth: 3 },
+    splitter:  { name: "Splitter",  hp: 14, r: 22, speed: 80,  speedDepth: 1.5, ai: "chase", attack: null,
+                 split: { type: "splitling", n: 2 },
+                 coins: [2, 2], heart: 0.06, color: "120,230,160", weight: 2, weightDepth: 0.08, minDepth: 4 },
+    splitling: { name: "Splitling", hp: 4,  r: 12, speed: 140, speedDepth: 2,   ai: "chase", attack: null,
+                 coins: [0, 2], heart: 0,    color: "120,230,160", weight: 0 },
+    shielded:  { name: "Shielded",  hp: 14, r: 20, speed: 80,  speedDepth: 1.2, ai: "guard", attack: null,
+                 turn: 1.4, shieldArc: 4.7,   // all but a quarter turn at the back
+                 coins: [3, 3], heart: 0.12, color: "170,170,255", weight: 2, weightDepth: 0.08, minDepth: 5 },
+    summoner:  { name: "Summoner",  hp: 12, r: 19, speed: 85,  speedDepth: 1,   ai: "kite",  attack: "summon",
+                 range: 700, fireCD: [3.5, 1.5], summon: { type: "minion", n: 2, max: 14 },
+                 coins: [4, 3], heart: 0.15, color: "210,120,255", weight: 1, weightDepth: 0.06, minDepth: 7 },
+    minion:    { name: "Minion",    hp: 3,  r: 11, speed: 150, speedDepth: 2,   ai: "chase", attack: null,
+                 coins: [0, 1], heart: 0,    color: "210,120,255", weight: 0 }
+  };
+
+  // Weighted roll over everything allowed at this depth (gameplay rng)
+  function pickEnemyType(depth) {
+    var total = 0, types = [], weights = [];
+    for (var id in ENEMIES) {
+      var def = ENEMIES[id];
+      if (!def.weight || depth < def.minDepth) continue;
+      var w = def.weight + def.weightDepth * (depth - def.minDepth);
+      types.push(id);
+      weights.push(w);
+      total += w;
+    }
+    var roll = randf() * total;
+    for (var i = 0; i < types.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return types[i];
+    }
+    return types[types.length - 1];
+  }
+
+  // ---------- Difficulty / run modifiers ----------
+  // A preset multiplies the depth formulas (enemy hp/speed/count, boss hp);
+  // Normal is all 1s, so it plays exactly as before. Modifiers are opt-in
+  // rules picked on the run-setup screen.
+  var DIFFICULTIES = [
+    { id: "easy",      name: "Easy",      hp: 0.7, speed: 0.85, count: 0.75, bossHp: 0.7 },
+    { id: "normal",    name: "Normal",    hp: 1,   speed: 1,    count: 1,    bossHp: 1 },
+    { id: "hard",      name: "Hard",      hp: 1.3, speed: 1.1,  count: 1.25, bossHp: 1.3 },
+    { id: "nightmare", name: "Nightmare", hp: 1.7, speed: 1.2,  count: 1.5,  bossHp: 1.7 }
+  ];
+
+  var MODIFIERS = {
+    onehit:  { name: "One-hit deaths",       desc: "Any hit kills" },
+    doubled: { name: "Double enemy bullets", desc: "Every enemy shot comes with a twin" },
+    noshops: { name: "No shops",             desc: "Shopkeepers stay shut" },
+    glass:   { name: "Glass cannon",         desc: "Double damage, half HP" }
   };
+  var MODIFIER_IDS = ["onehit", "doubled", "noshops", "glass"];
+  var TWIN_SPREAD = 0.14;   // radians between a bullet and its doubled twin
+
+  // Applied on the next reset; a restored save brings its own
+  var runCfg = { difficulty: "normal", modifiers: [] };
+
+  function difficultyDef(id) {
+    for (var i = 0; i < DIFFICULTIES.length; i++) if (DIFFICULTIES[i].id === id) return DIFFICULTIES[i];
+    return null;
+  }
+
+  // Unknown ids fall back to Normal / are dropped; modifiers keep MODIFIER_IDS order
+  function setRunConfig(difficulty, modifiers) {
+    runCfg.difficulty = difficultyDef(difficulty) ? difficulty : "normal";
+    runCfg.modifiers = [];
+    for (var i = 0; i < MODIFIER_IDS.length; i++) {
+      if (modifiers && modifiers.indexOf(MODIFIER_IDS[i]) >= 0) runCfg.modifiers.push(MODIFIER_IDS[i]);
+    }
+  }
+
+  function isValidRunConfig(r) {
+    if (!r || !difficultyDef(r.difficulty) || !Array.isArray(r.modifiers)) return false;
+    for (var i = 0; i < r.modifiers.length; i++) if (!MODIFIERS.hasOwnProperty(r.modifiers[i])) return false;
+    return true;
+  }
+
+  function diff() { return difficultyDef(state.run.difficulty) || DIFFICULTIES[1]; }
+  function hasModifier(id) { return state.run.modifiers.indexOf(id) >= 0; }
+
+  function enemyHp(def, depth) { return Math.max(1, Math.round((def.hp + ((depth / 3) | 0)) * diff().hp)); }
+  function bossHp(def, depth) { return Math.round((def.hp + depth * 6) * diff().bossHp); }
+  function enemySpeed(speed, speedDepth, depth) { return (speed + depth * speedDepth) * diff().speed; }
+  function waveSize(n, depth) { return Math.max(1, Math.round((n + ((depth / 4) | 0)) * diff().count)); }
+
+  // ---------- Player (scaled up) ----------
+  // Fields are reset in place (Sim.player keeps pointing at player 1)
+  function resetPlayer(p, slot) {
+    p.slot = slot;
+    p.x = ROOM_W / 2;
+    p.y = ROOM_H / 2;
+    p.r = 13;
+    p.hpMax = hasModifier("glass") ? 4 : 8;
+    p.hp = p.hpMax;
+    p.invT = 0;
+    p.dashT = 0;
+    p.dashCD = 0;
+    p.vx = 0; p.vy = 0;
+    p.speed = 190;
+    p.weapon = 0;
+    p.fireCD = 0;
+    p.burstQ = 0;      // remaining burst bullets
+    p.burstCD = 0;     // time until next burst bullet
+    p.reloadT = 0;     // time left on the current reload (0 = not reloading)
+    p.reserve = AMMO_START;
+    p.dashCharges = 1; // ready dashes; dashCD refills one at a time
+    p.relics = [];     // RELICS ids, pickup order
+    p.leech = 0;       // damage banked toward the next Vampire Fang heal
+    p.guns = makeGuns();
+    p.coins = 0;       // own purse when co-op coins are split (see wallet)
+    p.down = false;    // co-op: knocked out, waiting for a revive
+    p.reviveT = 0;     // seconds a partner has stood close
+    p.flow = { roomId: null, tx: -1, ty: -1, dist: [] };   // enemies chasing this player path on it
+    return p;
+  }
+
+  // ---------- Co-op ----------
+  // players[0] always exists; local co-op adds players[1]. `player` is the
+  // one the code is currently acting for: player 1 by default, swapped per
+  // player in update() and per target in the enemy code, the same way rng is
+  // swapped for seeded streams (see asPlayer).
+  var player = resetPlayer({}, 0);
+  var players = [player];
+
+  // Applied on the next reset; a restored save brings its own
+  var coopCfg = { players: 1, split: false };
+
+  var REVIVE_R = 60;       // a partner this close revives a downed player...
+  var REVIVE_TIME = 2.0;   // ...after this many seconds
+  var REVIVE_HP = 3;
+
+  function setCoop(n, split) {
+    coopCfg.players = (n === 2) ? 2 : 1;
+    coopCfg.split = !!split;
+  }
+
+  function asPlayer(p, fn, a, b) {
+    var prevP = player, prevIn = input;
+    player = p;
+    input = inputs[p.slot];
+    var out = fn(a, b);
+    player = prevP;
+    input = prevIn;
+    return out;
+  }
+
+  function livingPlayers() {
+    var out = [];
+    for (var i = 0; i < players.length; i++) if (!players[i].down) out.push(players[i]);
+    return out;
+  }
+
+  // Enemies aim at whoever is closest and still standing
+  function nearestPlayer(x, y) {
+    var best = players[0], bestD = Infinity;
+    for (var i = 0; i < players.length; i++) {
+      var p = players[i];
+      if (p.down) continue;
+      var d = dist2(x, y, p.x, p.y);
+      if (d < bestD) { bestD = d; best = p; }
+    }
+    return best;
+  }
+
+  // Coins go to one shared pool unless the run splits them per player
+  function wallet() { return state.coop.split ? player : state; }
+
+  function earnCoins(n) {
+    wallet().coins += n;
+    state.stats.coins += n;
+  }
+
+  // "P2 " in co-op messages, nothing solo
+  function playerTag(p) { return players.length > 1 ? "P" + (p.slot + 1) + " " : ""; }
+
+  function anyoneAway() {
+    for (var i = 0; i < players.length; i++) if (!players[i].down && inputs[i].away) return true;
+    return false;
+  }
+
+  // Network co-op: player 2 drops in and out of the run in progress
+  function joinPlayer(split) {
+    setCoop(2, split);
+    if (players.length > 1) return;
+    state.coop = { players: 2, split: !!split };
+    players.push(resetPlayer({}, 1));
+    gatherPlayers(players[0], 1, 0);
+  }
+
+  function leavePlayer() {
+    setCoop(1, false);
+    if (players.length < 2) return;
+    players.length = 1;
+    state.coop = { players: 1, split: false };
+    state.shopBy = 0;
+    state.shopOpen = false;
+    // nobody is left to revive player 1
+    var p = players[0];
+    if (p.down) { p.down = false; p.hp = REVIVE_HP; p.reviveT = 0; }
+  }
+
+  function resetFlows() {
+    for (var i = 0; i < players.length; i++) players[i].flow.roomId = null;
+  }
 
   // ---------- Room Node / Room Data ----------
   function ensureNode(id) {
     if (!state.map[id]) {
       var p = parseRoom(id);
+      var cell = layoutCell(id);
       state.map[id] = {
         id: id,
         x: p.x, y: p.y,
-        depth: Math.abs(p.x) + Math.abs(p.y),
-        kind: "combat",   // combat | shop | start
+        depth: cell ? cell.depth : 0,
+        kind: "combat",   // combat | shop | start | treasure | challenge | curse | secret
         seen: false,
         cleared: false,
         flags: {}
@@ -168,50 +657,493 @@
         id: id,
         g: null,
         doorsOpen: { N: true, S: true, W: true, E: true },
-        neighbors: { N: false, S: false, W: false, E: false }
+        neighbors: copyDirs(layoutCell(id) ? layoutCell(id).links : {}),
+        pickups: null,   // what was left on the floor last visit (null = never left)
+        cracks: null     // hits taken by cracked walls, by tile index
       };
     }
     return state.rooms[id];
   }
 
-  // ---------- Special rooms (shop per ring) ----------
-  function isShopCoord(x, y) {
-    var d = Math.abs(x) + Math.abs(y);
-    if (d < 1) return false;
-    var m = d % 4;
-    if (m === 0) return (x === d && y === 0);
-    if (m === 1) return (x === 0 && y === d);
-    if (m === 2) return (x === -d && y === 0);
-    return (x === 0 && y === -d);
+  // ---------- Special rooms ----------
+  // Every floor has one shop and one treasure room on dead ends; each dead
+  // end left over rolls once for an extra kind (chance is its share).
+  var SPECIAL_ROOMS = [
+    { kind: "challenge", chance: 0.30, minFloor: 2 },
+    { kind: "curse",     chance: 0.20, minFloor: 2 },
+    { kind: "secret",    chance: 0.30, minFloor: 1 }
+  ];
+  var CURSE_COST = 1;        // HP paid on every entry
+  var CHALLENGE_WAVES = 3;
+  var CRACK_HITS = 3;        // shots to break a cracked wall (explosives: one)
+
+  function specialRoomKind(roll) {
+    for (var i = 0; i < SPECIAL_ROOMS.length; i++) {
+      var sr = SPECIAL_ROOMS[i];
+      if (roll < sr.chance) return (state.floor >= sr.minFloor) ? sr.kind : null;
+      roll -= sr.chance;
+    }
+    return null;
   }
 
+  // Kinds are fixed by the floor layout, so the map can show them unvisited
   function assignRoomKind(node) {
-    if (node.id === "0,0") return "start";
-    if (isShopCoord(node.x, node.y)) return "shop";
-    return "combat";
+    var cell = layoutCell(node.id);
+    return cell ? cell.kind : "combat";
+  }
+
+  var DIR_STEP = { N: { x: 0, y: -1 }, S: { x: 0, y: 1 }, W: { x: -1, y: 0 }, E: { x: 1, y: 0 } };
+  var DIR_KEYS = ["N", "S", "W", "E"];
+  var DIR_BACK = { N: "S", S: "N", W: "E", E: "W" };
+
+  function neighborId(node, dir) { return roomKey(node.x + DIR_STEP[dir].x, node.y + DIR_STEP[dir].y); }
+
+  // A door into a secret room stays a cracked wall until it's been broken once
+  function doorHidden(node, dir) {
+    var n = ensureNode(neighborId(node, dir));
+    return assignRoomKind(n) === "secret" && !n.flags.found;
+  }
+
+  // ---------- Floors ----------
+  // Each floor is a fixed set of rooms grown out from the start as a tree,
+  // with a few loops added between ordinary rooms. Dead ends take the boss
+  // (the farthest one), the shop and the special rooms. Room depth runs
+  // from (floor - 1) * FLOOR_DEPTH at the start to floor * FLOOR_DEPTH at
+  // the boss, so the existing depth scaling follows the floor number.
+  var FLOOR_ROOMS = 9;          // rooms on floor 1
+  var FLOOR_ROOMS_STEP = 2;     // more on each floor after that
+  var FLOOR_ROOMS_MAX = 21;
+  var FLOOR_LOOP = 0.15;        // chance to link two adjacent ordinary rooms
+  var FLOOR_DEPTH = 10;
+
+  function layoutCell(id) { return state.layout ? state.layout.cells[id] || null : null; }
+
+  // New room `dir` of `from`, linked to it
+  function sproutCell(lay, from, dir) {
+    var x = from.x + DIR_STEP[dir].x, y = from.y + DIR_STEP[dir].y;
+    var c = { id: roomKey(x, y), x: x, y: y, dist: from.dist + 1, depth: 0, kind: "combat", links: {} };
+    lay.cells[c.id] = c;
+    lay.list.push(c);
+    from.links[dir] = true;
+    c.links[DIR_BACK[dir]] = true;
+    return c;
+  }
+
+  // Grows `count` rooms; a new room may only touch the room it grew from
+  function growFloor(r, count) {
+    var start = { id: roomKey(0, 0), x: 0, y: 0, dist: 0, depth: 0, kind: "start", links: {} };
+    var lay = { cells: {}, list: [start] };
+    lay.cells[start.id] = start;
+    function touching(x, y) {
+      var n = 0;
+      for (var k = 0; k < 4; k++) if (lay.cells[roomKey(x + DIR_STEP[DIR_KEYS[k]].x, y + DIR_STEP[DIR_KEYS[k]].y)]) n++;
+      return n;
+    }
+
+    for (var tries = 0; lay.list.length < count && tries < count * 50; tries++) {
+      var from = lay.list[(rngNext(r) * lay.list.length) | 0];
+      var dir = DIR_KEYS[(rngNext(r) * 4) | 0];
+      var nx = from.x + DIR_STEP[dir].x, ny = from.y + DIR_STEP[dir].y;
+      if (lay.cells[roomKey(nx, ny)] || touching(nx, ny) > 1) continue;
+      sproutCell(lay, from, dir);
+    }
+    return lay;
+  }
+
+  // Adds at least one dead end whatever the shape: nothing lies east of the
+  // easternmost room (the northmost, on a tie) or north of the spot beside
+  // it, so a room there can fork into two new dead ends that touch nothing
+  function forkEast(lay) {
+    var m = lay.list[0];
+    for (var i = 1; i < lay.list.length; i++) {
+      var c = lay.list[i];
+      if (c.x > m.x || (c.x === m.x && c.y < m.y)) m = c;
+    }
+    var fork = sproutCell(lay, m, "E");
+    sproutCell(lay, fork, "N");
+    sproutCell(lay, fork, "E");
+  }
+
+  function deadEnds(list) {
+    var ends = [];
+    for (var i = 1; i < list.length; i++) {
+      var links = 0;
+      for (var k in list[i].links) if (list[i].links[k]) links++;
+      if (links === 1) ends.push(list[i]);
+    }
+    return ends;
+  }
+
+  function genFloor() {
+    var f = state.floor;
+    var r = roomRng("layout", "floor");
+    var count = Math.min(FLOOR_ROOMS_MAX, FLOOR_ROOMS + (f - 1) * FLOOR_ROOMS_STEP);
+    var lay, ends, i;
+    // boss, shop and treasure each need a dead end; regrow until there are
+    // enough, and fork new ones off the last try if there still aren't
+    for (var attempt = 0; attempt < 30; attempt++) {
+      lay = growFloor(r, count);
+      ends = deadEnds(lay.list);
+      if (ends.length >= 3) break;
+    }
+    while (ends.length < 3) {
+      forkEast(lay);
+      ends = deadEnds(lay.list);
+    }
+
+    // farthest dead end is the boss; the rest are shuffled out to the others
+    var boss = ends[0];
+    for (i = 1; i < ends.length; i++) if (ends[i].dist > boss.dist) boss = ends[i];
+    ends.splice(ends.indexOf(boss), 1);
+    for (i = ends.length - 1; i > 0; i--) {
+      var j = (rngNext(r) * (i + 1)) | 0;
+      var t = ends[i]; ends[i] = ends[j]; ends[j] = t;
+    }
+    if (ends.length) ends[0].kind = "shop";
+    if (ends.length > 1) ends[1].kind = "treasure";
+    for (i = 2; i < ends.length; i++) ends[i].kind = specialRoomKind(rngNext(r)) || "combat";
+
+    // depth ramps toward the boss; loops only join ordinary rooms, so
+    // special dead ends stay dead ends
+    var span = Math.max(1, boss.dist - 1);
+    for (i = 0; i < lay.list.length; i++) {
+      var c = lay.list[i];
+      c.depth = (f - 1) * FLOOR_DEPTH + Math.min(FLOOR_DEPTH - 1, Math.round((FLOOR_DEPTH - 1) * c.dist / span));
+      if (c.kind !== "combat" || c === boss) continue;
+      for (var k = 0; k < 4; k++) {
+        var d = DIR_KEYS[k];
+        var o = lay.cells[roomKey(c.x + DIR_STEP[d].x, c.y + DIR_STEP[d].y)];
+        if (!o || c.links[d] || o.kind !== "combat" || o === boss || rngNext(r) >= FLOOR_LOOP) continue;
+        c.links[d] = true;
+        o.links[DIR_BACK[d]] = true;
+      }
+    }
+    boss.depth = f * FLOOR_DEPTH;
+
+    state.layout = { floor: f, cells: lay.cells, boss: boss.id };
+  }
+
+  var FINAL_FLOOR = 5;   // beating this floor's boss wins the run
+
+  // Staircase down: shows up in the middle of a cleared boss room
+  function openStairs() {
+    state.stairs = { x: ROOM_W / 2, y: ROOM_H / 2 };
+  }
+
+  function nearStairs() {
+    return !!state.stairs && dist2(player.x, player.y, state.stairs.x, state.stairs.y) < 34 * 34;
+  }
+
+  function descendFloor() {
+    state.floor += 1;
+    state.map = {};
+    state.rooms = {};
+    state.stairs = null;
+    state.roomId = "0,0";
+    genFloor();
+    player.x = ROOM_W / 2;
+    player.y = ROOM_H / 2;
+    loadRoom(state.roomId);
+    gatherPlayers(player, 1, 0);
+    writeSave();
+    state.msg = "FLOOR " + state.floor;
+    state.msgT = 1.4;
+    emit("floor", { n: state.floor });
   }
 
   // ---------- Boss logic ----------
-  // Boss every 10 "rooms" => we use Manhattan depth multiple of 10 (10, 20, 30...)
+  // One boss per floor, in its farthest dead end
   function shouldSpawnBoss(node) {
-    if (node.kind !== "combat") return false;
-    if (node.depth <= 0) return false;
-    if ((node.depth % 10) !== 0) return false;
-    return true;
+    return node.kind === "combat" && !!state.layout && node.id === state.layout.boss;
+  }
+
+  // One named boss per depth tier (floor n's boss sits at depth 10n; after
+  // the fourth the list repeats with a "+" suffix). Phases start when
+  // hp / hpMax drops to `at`; each phase loops its script. A step either
+  // fires a PATTERNS entry (fire, with optional repeat / gap overrides) or
+  // runs a BOSS_ATTACKS move (atk, repeated n times gap apart), after an
+  // optional wind-up telegraph (tele, seconds), then waits. move: drift |
+  // orbit | stalk. adds are summoned on phase entry. After `enrage` seconds
+  // the boss speeds up.
+  var BOSSES = [
+    {
+      name: "The Warden", hp: 140, r: 30, color: "255,90,170", enrage: 70,
+      phases: [
+        { at: 1.0, move: "drift", script: [
+          { fire: "bossCone", tele: 0.5, wait: 0.6 },
+          { fire: "bossBurst", repeat: 3, gap: 0.45, wait: 0.7 }
+        ] },
+        { at: 0.5, move: "orbit", adds: { type: "chaser", n: 2 }, script: [
+          { fire: "bossSpiral", wait: 0.5 },
+          { fire: "bossCone", tele: 0.4, repeat: 2, gap: 0.35, wait: 0.6 }
+        ] }
+      ]
+    },
+    {
+      name: "Twin Coil", hp: 150, r: 30, color: "120,230,255", enrage: 70,
+      phases: [
+        { at: 1.0, move: "orbit", script: [
+          { fire: "bossSpiral", repeat: 12, gap: 0.18, wait: 0.6 },
+          { fire: "bossRing", tele: 0.6, wait: 0.8 }
+        ] },
+        { at: 0.6, move: "drift", script: [
+          { atk: "teleport", tele: 0.7, wait: 0.3 },
+          { fire: "bossRing", repeat: 3, gap: 0.4, wait: 0.4 },
+          { fire: "curlSpiral", wait: 0.6 }
+        ] },
+        { at: 0.25, move: "orbit", adds: { type: "turret", n: 2 }, script: [
+          { fire: "bossSpiral", repeat: 16, gap: 0.12, wait: 0.3 },
+          { atk: "teleport", tele: 0.5, wait: 0.2 }
+        ] }
+      ]
+    },
+    {
+      name: "Juggernaut", hp: 180, r: 34, color: "255,150,60", enrage: 80,
+      phases: [
+        { at: 1.0, move: "stalk", script: [
+          { atk: "charge", tele: 0.8, wait: 0.9 },
+          { fire: "bossCone", tele: 0.4, wait: 0.8 }
+        ] },
+        { at: 0.5, move: "stalk", adds: { type: "charger", n: 2 }, script: [
+          { atk: "charge", tele: 0.6, n: 2, gap: 0.9, wait: 0.6 },
+          { fire: "accelRing", tele: 0.5, repeat: 2, gap: 0.3, wait: 0.8 }
+        ] }
+      ]
+    },
+    {
+      name: "Lamp Lich", hp: 170, r: 30, color: "210,120,255", enrage: 90,
+      phases: [
+        { at: 1.0, move: "drift", script: [
+          { fire: "bossSweep", tele: 0.6, wait: 0.8 },
+          { atk: "summon", tele: 0.5, wait: 1.0 }
+        ] },
+        { at: 0.66, move: "orbit", script: [
+          { atk: "teleport", tele: 0.6, wait: 0.2 },
+          { fire: "bossSweep", tele: 0.4, repeat: 18, gap: 0.07, wait: 0.5 },
+          { fire: "homingPair", repeat: 3, gap: 0.5, wait: 0.7 }
+        ] },
+        { at: 0.33, move: "orbit", adds: { type: "summoner", n: 1 }, script: [
+          { atk: "teleport", tele: 0.4, wait: 0.1 },
+          { fire: "waveFan", wait: 0.2 },
+          { fire: "splitShot", tele: 0.3, repeat: 2, gap: 0.5, wait: 0.5 }
+        ] }
+      ]
+    }
+  ];
+
+  function bossDefFor(depth) {
+    var tier = Math.max(0, ((depth / 10) | 0) - 1);
+    return BOSSES[tier % BOSSES.length];
+  }
+
+  function bossName(depth) {
+    var tier = Math.max(0, ((depth / 10) | 0) - 1);
+    var def = bossDefFor(depth);
+    return def.name + (tier >= BOSSES.length ? " +" + ((tier / BOSSES.length) | 0) : "");
   }
 
-  // Boss weapon patterns (random each boss)
-  var BOSS_PATTERNS = [
-    { id: 0, name: "Boss Shotcone" }, // shotgun cone bursts
-    { id: 1, name: "Boss Burst" },    // rifle burst lines
-    { id: 2, name: "Boss Spiral" },   // rotating spiral
-    { id: 3, name: "Boss LaserSweep"} // aimed fast bolts + sweep
+  // ---------- Room templates ----------
+  // Authored layouts stamped centred into the interior (19 x 11 inside the
+  // walls). Digits are tile codes (listed under Tile generation), "." is
+  // plain floor, "e" an enemy spawn point. Each use may be flipped, and
+  // turned a quarter when it still fits.
+  var INNER_W = ROOM_TW - 2;
+  var INNER_H = ROOM_TH - 2;
+
+  var ROOM_TEMPLATES = [
+    { name: "hall", kinds: ["combat"], minDepth: 0, rows: [
+      "...................",
+      "..e.............e..",
+      "...4...4...4...4...",
+      "...................",
+      "...4...4...4...4...",
+      "...................",
+      "...4...4...4...4...",
+      "...................",
+      "...4...4...4...4...",
+      "..e.............e..",
+      "..................."
+    ] },
+    { name: "slash", kinds: ["combat", "curse"], minDepth: 1, rows: [
+      "2........",
+      ".2.......",
+      "..2...e..",
+      "...2.....",
+      ".........",
+      ".....2...",
+      "..e...2..",
+      ".......2.",
+      "........2"
+    ] },
+    { name: "quarters", kinds: ["combat"], minDepth: 2, rows: [
+      "...................",
+      "..e......0......e..",
+      ".........0.........",
+      ".........0.........",
+      "...................",
+      "..0000.......0000..",
+      "...................",
+      ".........0.........",
+      ".........0.........",
+      "..e......0......e..",
+      "..................."
+    ] },
+    { name: "moat", kinds: ["combat"], minDepth: 3, rows: [
+      "...................",
+      ".e...............e.",
+      "...................",
+      ".....222...222.....",
+      ".....2.......2.....",
+      "...................",
+      ".....2.......2.....",
+      ".....222...222.....",
+      "...................",
+      ".e...............e.",
+      "..................."
+    ] },
+    { name: "crypt", kinds: ["curse"], minDepth: 0, rows: [
+      "222.............222",
+      "22...............22",
+      "2.......e.e.......2",
+      "...................",
+      "....4.........4....",
+      "...................",
+      "....4.........4....",
+      "...................",
+      "2.......e.e.......2",
+      "22...............22",
+      "222.............222"
+    ] },
+    { name: "pedestal", kinds: ["treasure"], minDepth: 0, rows: [
+      "5555555",
+      "54...45",
+      "5.....5",
+      "5.....5",
+      "5.....5",
+      "54...45",
+      "5555555"
+    ] },
+    { name: "arena", kinds: ["challenge"], minDepth: 0, rows: [
+      "5555555555555555555",
+      "5.e......e......e.5",
+      "5.4...4...4...4...5",
+      "5.................5",
+      "5.................5",
+      "5.4...4...4...4...5",
+      "5.................5",
+      "5.................5",
+      "5.4...4...4...4...5",
+      "5.e......e......e.5",
+      "5555555555555555555"
+    ] }
   ];
 
+  // How often a room of each kind takes a template over random scatter
+  var TEMPLATE_CHANCE = { combat: 0.55, curse: 0.5, treasure: 1, challenge: 1 };
+
+  // Returns rows as char arrays, flipped and/or turned
+  function transformTemplate(rows, flipX, flipY, turn) {
+    var out = [], x, y;
+    for (y = 0; y < rows.length; y++) out.push(rows[y].split(""));
+    if (flipX) for (y = 0; y < out.length; y++) out[y].reverse();
+    if (flipY) out.reverse();
+    var h = out.length, w = out[0].length;
+    if (turn && h <= INNER_W && w <= INNER_H) {
+      var rot = [];
+      for (y = 0; y < w; y++) {
+        rot.push([]);
+        for (x = 0; x < h; x++) rot[y].push(out[h - 1 - x][y]);
+      }
+      out = rot;
+    }
+    return out;
+  }
+
+  // Rolls on the room's tile stream; null means scatter at random
+  function pickTemplate(node) {
+    if (shouldSpawnBoss(node)) return null;
+    var p = TEMPLATE_CHANCE.hasOwnProperty(node.kind) ? TEMPLATE_CHANCE[node.kind] : 0;
+    if (!p || !chance(p)) return null;
+    var pool = [];
+    for (var i = 0; i < ROOM_TEMPLATES.length; i++) {
+      var t = ROOM_TEMPLATES[i];
+      if (t.kinds.indexOf(node.kind) >= 0 && node.depth >= t.minDepth) pool.push(t);
+    }
+    if (!pool.length) return null;
+    var tpl = pool[randi(pool.length)];
+    return transformTemplate(tpl.rows, chance(0.5), chance(0.5), chance(0.5));
+  }
+
+  // Writes a transformed template into g; spawn markers go to `spawns` as tiles
+  function stampTemplate(g, rows, spawns) {
+    var h = rows.length, w = rows[0].length;
+    var ox = 1 + ((INNER_W - w) >> 1), oy = 1 + ((INNER_H - h) >> 1);
+    for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+        var c = rows[y][x];
+        if (c === "e") spawns.push({ x: ox + x, y: oy + y });
+        g[tileIndex(ox + x, oy + y)] = (c === "." || c === "e") ? 1 : +c;
+      }
+    }
+  }
+
+  function walkableTile(t) {
+    return t !== 0 && t !== 2 && t !== 4 && t !== 6;
+  }
+
   // ---------- Tile generation ----------
-  // 0 wall, 1 floor, 2 pit, 3 door marker, 4 pillar, 5 decor
+  // 0 wall, 1 floor, 2 pit, 3 door marker, 4 pillar, 5 decor, 6 cracked wall
+  var PILLAR_DENSITY = { combat: 0.045, curse: 0.030 };
+
+  // Every carved door (hidden ones too) must reach the centre; a door that
+  // can't gets a corridor dug straight to it, then the check runs again.
+  function ensureDoorPaths(g, dirs, cx, cy) {
+    for (var pass = 0; pass < 2; pass++) {
+      var seen = new Uint8Array(ROOM_TW * ROOM_TH);
+      var queue = [tileIndex(cx, cy)], head = 0, ok = true, i;
+      seen[queue[0]] = 1;
+      while (head < queue.length) {
+        var k = queue[head++];
+        var kx = k % ROOM_TW, ky = (k / ROOM_TW) | 0;
+        for (var n = 0; n < 4; n++) {
+          var nx = kx + (n === 0 ? 1 : n === 1 ? -1 : 0);
+          var ny = ky + (n === 2 ? 1 : n === 3 ? -1 : 0);
+          if (nx < 1 || ny < 1 || nx >= ROOM_TW - 1 || ny >= ROOM_TH - 1) continue;
+          var ni = tileIndex(nx, ny);
+          if (seen[ni] || !walkableTile(g[ni])) continue;
+          seen[ni] = 1;
+          queue.push(ni);
+        }
+      }
+      for (i = 0; i < dirs.length; i++) {
+        var d = doorTile(dirs[i], 1);
+        if (seen[tileIndex(d.x, d.y)]) continue;
+        ok = false;
+        var x = d.x, y = d.y;
+        while (x !== cx || y !== cy) {
+          if (!walkableTile(g[tileIndex(x, y)])) g[tileIndex(x, y)] = 1;
+          if (x !== cx) x += (cx > x) ? 1 : -1;
+          else y += (cy > y) ? 1 : -1;
+        }
+      }
+      if (ok) return;
+    }
+  }
+
+  // Tile `inset` steps in from the middle of a wall: 0 = the wall itself
+  function doorTile(dir, inset) {
+    var mx = (ROOM_TW / 2) | 0;
+    var my = (ROOM_TH / 2) | 0;
+    if (dir === "N") return { x: mx, y: inset };
+    if (dir === "S") return { x: mx, y: ROOM_TH - 1 - inset };
+    if (dir === "W") return { x: inset, y: my };
+    return { x: ROOM_TW - 1 - inset, y: my };
+  }
+
   function genRoomTiles(node) {
     var room = ensureRoom(node.id);
+    var prevRng = rng;
+    rng = roomRng(node.id, "tiles");
     var g = new Array(ROOM_TW * ROOM_TH);
     var x, y;
 
@@ -222,24 +1154,34 @@
       }
     }
 
-    // pits only in combat
-    if (node.kind === "combat") {
-      for (var i = 0; i < 18; i++) {
+    var cx = (ROOM_TW / 2) | 0;
+    var cy = (ROOM_TH / 2) | 0;
+
+    // authored layout, or per-kind scatter: pits in combat / curse, decor elsewhere
+    var tpl = pickTemplate(node);
+    room.spawns = [];
+    if (tpl) {
+      stampTemplate(g, tpl, room.spawns);
+    } else if (node.kind === "combat" || node.kind === "curse") {
+      var pits = (node.kind === "curse") ? 30 : 18;
+      for (var i = 0; i < pits; i++) {
         var px = 2 + randi(ROOM_TW - 4);
         var py = 2 + randi(ROOM_TH - 4);
-        if (chance(0.22)) g[tileIndex(px, py)] = 2;
+        if (chance(node.kind === "curse" ? 0.30 : 0.22)) g[tileIndex(px, py)] = 2;
       }
     } else {
-      for (var d = 0; d < 16; d++) {
+      var decor = (node.kind === "secret") ? 40 : 16;
+      for (var d = 0; d < decor; d++) {
         var sx = 2 + randi(ROOM_TW - 4);
         var sy = 2 + randi(ROOM_TH - 4);
         if (chance(0.35)) g[tileIndex(sx, sy)] = 5;
       }
     }
 
-    // pillars
-    var density = (node.kind === "combat") ? 0.045 : 0.020;
-    for (y = 2; y < ROOM_TH - 2; y++) {
+    // pillars (templates place their own)
+    var density = PILLAR_DENSITY.hasOwnProperty(node.kind) ? PILLAR_DENSITY[node.kind] : 0.020;
+    if (tpl) density = 0;
+    for (y = 2; density && y < ROOM_TH - 2; y++) {
       for (x = 2; x < ROOM_TW - 2; x++) {
         if (g[tileIndex(x, y)] !== 1) continue;
         if (chance(density)) g[tileIndex(x, y)] = 4;
@@ -247,30 +1189,30 @@
     }
 
     // clear center spawn
-    var cx = (ROOM_TW / 2) | 0;
-    var cy = (ROOM_TH / 2) | 0;
     for (y = cy - 1; y <= cy + 1; y++) {
       for (x = cx - 1; x <= cx + 1; x++) {
         g[tileIndex(x, y)] = 1;
       }
     }
 
-    // doors
+    // doors (a hidden one is a cracked wall with clear floor behind it)
     function carveDoor(dir) {
-      var mx = (ROOM_TW / 2) | 0;
-      var my = (ROOM_TH / 2) | 0;
-      if (dir === "N") { g[tileIndex(mx, 0)] = 1; g[tileIndex(mx, 1)] = 3; }
-      else if (dir === "S") { g[tileIndex(mx, ROOM_TH - 1)] = 1; g[tileIndex(mx, ROOM_TH - 2)] = 3; }
-      else if (dir === "W") { g[tileIndex(0, my)] = 1; g[tileIndex(1, my)] = 3; }
-      else { g[tileIndex(ROOM_TW - 1, my)] = 1; g[tileIndex(ROOM_TW - 2, my)] = 3; }
+      var edge = doorTile(dir, 0), inner = doorTile(dir, 1);
+      var hidden = doorHidden(node, dir);
+      g[tileIndex(edge.x, edge.y)] = hidden ? 6 : 1;
+      g[tileIndex(inner.x, inner.y)] = hidden ? 1 : 3;
     }
 
-    if (room.neighbors.N) carveDoor("N");
-    if (room.neighbors.S) carveDoor("S");
-    if (room.neighbors.W) carveDoor("W");
-    if (room.neighbors.E) carveDoor("E");
+    var dirs = [];
+    if (room.neighbors.N) dirs.push("N");
+    if (room.neighbors.S) dirs.push("S");
+    if (room.neighbors.W) dirs.push("W");
+    if (room.neighbors.E) dirs.push("E");
+    for (var k = 0; k < dirs.length; k++) carveDoor(dirs[k]);
+    ensureDoorPaths(g, dirs, cx, cy);
 
     room.g = g;
+    rng = prevRng;
     return room;
   }
 
@@ -281,7 +1223,7 @@
     if (tx < 0 || ty < 0 || tx >= ROOM_TW || ty >= ROOM_TH) return true;
 
     var t = room.g[tileIndex(tx, ty)];
-    if (t === 0 || t === 2) return true;
+    if (t === 0 || t === 2 || t === 6) return true;
 
     if (t === 4) {
       var cx = tx * TILE + TILE * 0.5;
@@ -305,31 +1247,107 @@
     return false;
   }
 
-  // ---------- Neighbors ----------
-  var MAX_DEPTH = 40;
+  // ---------- Pathfinding ----------
+  // One BFS flow field per player (player.flow), seeded at their tile and
+  // rebuilt only when they change tile (or room). Enemies follow the field of
+  // the player they're after and step toward the neighbouring tile with the
+  // lowest distance; diagonals need both side tiles open so nobody clips a
+  // pillar corner. Pits and pillars count as blocked, so routes go around them.
+  var FLOW_DIRS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+  ];
+
+  function tileWalkable(room, tx, ty) {
+    if (tx < 0 || ty < 0 || tx >= ROOM_TW || ty >= ROOM_TH) return false;
+    return walkableTile(room.g[tileIndex(tx, ty)]);
+  }
+
+  function updateFlow(room) {
+    var flow = player.flow;
+    var tx = clamp((player.x / TILE) | 0, 0, ROOM_TW - 1);
+    var ty = clamp((player.y / TILE) | 0, 0, ROOM_TH - 1);
+    if (flow.roomId === room.id && flow.tx === tx && flow.ty === ty) return;
+
+    flow.roomId = room.id;
+    flow.tx = tx;
+    flow.ty = ty;
+    var dist = flow.dist;
+    for (var i = 0; i < ROOM_TW * ROOM_TH; i++) dist[i] = -1;
+
+    var queue = [tileIndex(tx, ty)];
+    dist[queue[0]] = 0;
+    for (var q = 0; q < queue.length; q++) {
+      var cur = queue[q];
+      var cx = cur % ROOM_TW, cy = (cur / ROOM_TW) | 0;
+      for (var k = 0; k < 4; k++) {
+        var nx = cx + FLOW_DIRS[k][0], ny = cy + FLOW_DIRS[k][1];
+        if (!tileWalkable(room, nx, ny)) continue;
+        var ni = tileIndex(nx, ny);
+        if (dist[ni] !== -1) continue;
+        dist[ni] = dist[cur] + 1;
+        queue.push(ni);
+      }
+    }
+  }
+
+  // Unit vector an enemy should move along to reach the player
+  function pathDir(e, room) {
+    if (e.los) return norm(player.x - e.x, player.y - e.y);
+    updateFlow(room);
+    var flow = player.flow;
+
+    var tx = (e.x / TILE) | 0, ty = (e.y / TILE) | 0;
+    var here = (tx >= 0 && ty >= 0 && tx < ROOM_TW && ty < ROOM_TH) ? flow.dist[tileIndex(tx, ty)] : -1;
+    var best = -1;
+    var bestD = (here >= 0) ? here : 1e9;
+    if (here === 0) return norm(player.x - e.x, player.y - e.y);
+
+    for (var k = 0; k < FLOW_DIRS.length; k++) {
+      var dx = FLOW_DIRS[k][0], dy = FLOW_DIRS[k][1];
+      var nx = tx + dx, ny = ty + dy;
+      if (!tileWalkable(room, nx, ny)) continue;
+      if (dx !== 0 && dy !== 0 && (!tileWalkable(room, tx + dx, ty) || !tileWalkable(room, tx, ty + dy))) continue;
+      var d = flow.dist[tileIndex(nx, ny)];
+      if (d >= 0 && d < bestD) { bestD = d; best = k; }
+    }
+    if (best < 0) return norm(player.x - e.x, player.y - e.y);
 
+    var gx = (tx + FLOW_DIRS[best][0] + 0.5) * TILE;
+    var gy = (ty + FLOW_DIRS[best][1] + 0.5) * TILE;
+    return norm(gx - e.x, gy - e.y);
+  }
+
+  // Clear straight line between two points for a body of radius r (0 = bullet)
+  function lineOfSight(x0, y0, x1, y1, r, room) {
+    var dx = x1 - x0, dy = y1 - y0;
+    var len = Math.sqrt(dx * dx + dy * dy) || 1;
+    var px = -dy / len * r, py = dx / len * r;
+    var steps = Math.ceil(len / (TILE * 0.25));
+    for (var i = 1; i < steps; i++) {
+      var t = i / steps;
+      var x = x0 + dx * t, y = y0 + dy * t;
+      if (isSolidAtPoint(x, y, room)) return false;
+      if (r > 0 && (isSolidAtPoint(x + px, y + py, room) || isSolidAtPoint(x - px, y - py, room))) return false;
+    }
+    return true;
+  }
+
+  // ---------- Neighbors ----------
+  // Doors come from the floor layout; rooms behind them get nodes for the map.
+  // Tiles are generated on the first visit only and kept from then on.
   function buildNeighborsAround(id) {
     var node = ensureNode(id);
     var room = ensureRoom(id);
 
-    var x = node.x, y = node.y;
-
-    function link(nx, ny, dirA, dirB) {
-      if (Math.abs(nx) + Math.abs(ny) > MAX_DEPTH) return;
-      room.neighbors[dirA] = true;
-      var nid = roomKey(nx, ny);
-      ensureNode(nid);
-      var r2 = ensureRoom(nid);
-      r2.neighbors[dirB] = true;
+    for (var k = 0; k < 4; k++) {
+      var d = DIR_KEYS[k];
+      room.neighbors[d] = !!(layoutCell(id) && layoutCell(id).links[d]);
+      if (room.neighbors[d]) ensureRoom(ensureNode(neighborId(node, d)).id);
     }
 
-    link(x, y - 1, "N", "S");
-    link(x, y + 1, "S", "N");
-    link(x - 1, y, "W", "E");
-    link(x + 1, y, "E", "W");
-
     node.kind = assignRoomKind(node);
-    genRoomTiles(node);
+    if (!room.g) genRoomTiles(node);
   }
 
   function lockDoors(room, locked) {
@@ -341,43 +1359,55 @@
 
   // ---------- Entities ----------
   function spawnEnemy(type, x, y, depth) {
-    var hpBase = (type === "shooter") ? 10 : 9;
+    var def = ENEMIES[type];
     var e = {
       type: type,
       x: x, y: y,
-      r: (type === "shooter") ? 18 : 19,
-      hp: hpBase + ((depth / 3) | 0),
+      r: def.r,
+      hp: enemyHp(def, depth),
       vx: 0, vy: 0,
       t: 0,
-      fireCD: 0
+      fireCD: def.fireCD ? def.fireCD[0] * 0.5 : 0,
+      face: Math.atan2(player.y - y, player.x - x),
+      spinA: 0,
+      mode: null,
+      modeT: 0
     };
     state.enemies.push(e);
   }
 
   function spawnBoss(x, y, depth) {
-    var pat = BOSS_PATTERNS[randi(BOSS_PATTERNS.length)];
+    var def = bossDefFor(depth);
+    var hpMax = bossHp(def, depth);
     var e = {
       type: "boss",
+      bossId: BOSSES.indexOf(def),
+      name: bossName(depth),
+      color: def.color,
       x: x, y: y,
-      r: 30,
-      hp: 140 + depth * 6,
+      r: def.r,
+      hp: hpMax,
+      hpMax: hpMax,
       vx: 0, vy: 0,
       t: 0,
-      fireCD: 0,
       phase: 0,
-      patternId: pat.id,
-      patternName: pat.name,
-      spinA: randf() * TAU
+      si: 0, rep: 0,
+      mode: "wait", modeT: 0,
+      aimA: 0, spinA: randf() * TAU, orbitA: 0,
+      dashT: 0, tpX: x, tpY: y,
+      enraged: false
     };
     state.enemies.push(e);
+    enterBossPhase(e, 0, depth);
 
-    state.msg = "BOSS: " + pat.name;
+    state.msg = "BOSS: " + e.name;
     state.msgT = 1.2;
     shake(10, 0.22);
+    emit("bossSpawn", { x: x, y: y });
   }
 
   function spawnBullet(x, y, vx, vy, dmg, from, kind, life) {
-    state.bullets.push({
+    var b = {
       x: x, y: y,
       vx: vx, vy: vy,
       r: (from === "player") ? 4 : 5,
@@ -385,7 +1415,9 @@
       dmg: dmg,
       from: from,
       kind: kind
-    });
+    };
+    state.bullets.push(b);
+    return b;
   }
 
   function shake(amount, time) {
@@ -408,12 +1440,99 @@
     }
   }
 
-  // ---------- Doors (bugfix: intent-based transition) ----------
-  function inDoorBand(dir, x, y) {
-    var cx = ROOM_W * 0.5;
-    var cy = ROOM_H * 0.5;
+  // ---------- Effects (cosmetic) ----------
+  // Particles live in state.fx but only ever roll fxRand(), so they never
+  // touch the gameplay RNG and replays stay deterministic. Oldest particles
+  // are dropped past the cap; reduced mode lowers the cap and the counts.
+  var FX_CAP = 400;
+  var FX_CAP_REDUCED = 120;
+  var fxReduced = false;
+
+  function setReducedFx(on) { fxReduced = !!on; }
+
+  // kind: "spark" (dot), "flash" (fading disc), "ring" (growing outline), "text"
+  function addFx(p) {
+    var cap = fxReduced ? FX_CAP_REDUCED : FX_CAP;
+    if (state.fx.length >= cap) state.fx.splice(0, state.fx.length - cap + 1);
+    if (p.vx == null) p.vx = 0;
+    if (p.vy == null) p.vy = 0;
+    p.life = p.t;
+    state.fx.push(p);
+  }
 
-    if (dir === "N") return (Math.abs(x - cx) <= DOOR_SPAN) && (y <= DOOR_THICK);
+  function fxCount(n) { return fxReduced ? Math.max(1, (n * 0.35) | 0) : n; }
+
+  function fxBurst(x, y, n, color, speed, life, size) {
+    n = fxCount(n);
+    for (var i = 0; i < n; i++) {
+      var a = fxRand() * TAU;
+      var sp = speed * (0.3 + fxRand() * 0.7);
+      addFx({ kind: "spark", x: x, y: y, vx: Math.cos(a) * sp, vy: Math.sin(a) * sp,
+        t: life * (0.6 + fxRand() * 0.4), size: size, color: color });
+    }
+  }
+
+  // Muzzle look per weapon id (WEAPONS order): spark count, cone, speed, colour
+  var MUZZLE_FX = [
+    { n: 4,  cone: 0.5, speed: 220, size: 3, color: "255,230,150" },
+    { n: 10, cone: 0.9, speed: 300, size: 3, color: "255,190,110" },
+    { n: 3,  cone: 0.2, speed: 360, size: 2, color: "255,245,200" },
+    { n: 2,  cone: 0.4, speed: 260, size: 2, color: "255,220,140" },
+    { n: 8,  cone: 0.2, speed: 460, size: 3, color: "200,230,255" },
+    { n: 3,  cone: 0.3, speed: 300, size: 2, color: "255,230,150" },
+    { n: 6,  cone: 0.3, speed: 420, size: 2, color: "255,120,240" }
+  ];
+
+  function fxMuzzle(weaponId, x, y, a) {
+    var m = MUZZLE_FX[weaponId] || MUZZLE_FX[0];
+    var mx = x + Math.cos(a) * 22, my = y + Math.sin(a) * 22;
+    addFx({ kind: "flash", x: mx, y: my, t: 0.06, size: 10 + m.n, color: m.color });
+    var n = fxCount(m.n);
+    for (var i = 0; i < n; i++) {
+      var aa = a + (fxRand() - 0.5) * m.cone;
+      var sp = m.speed * (0.5 + fxRand() * 0.5);
+      addFx({ kind: "spark", x: mx, y: my, vx: Math.cos(aa) * sp, vy: Math.sin(aa) * sp,
+        t: 0.10 + fxRand() * 0.08, size: m.size, color: m.color });
+    }
+  }
+
+  function fxImpact(x, y, from) {
+    fxBurst(x, y, 5, from === "player" ? "255,255,255" : "255,200,90", 180, 0.18, 2);
+  }
+
+  function fxDamage(x, y, dmg) {
+    addFx({ kind: "text", x: x + (fxRand() - 0.5) * 12, y: y - 14, vx: 0, vy: -90, t: 0.6, size: 14,
+      color: "255,255,255", text: String(dmg) });
+  }
+
+  function fxDeath(x, y, color) {
+    addFx({ kind: "flash", x: x, y: y, t: 0.12, size: 30, color: color });
+    fxBurst(x, y, 16, color, 320, 0.45, 4);
+  }
+
+  function fxCoinSparkle(x, y) {
+    fxBurst(x, y, 6, "255,215,90", 140, 0.35, 2);
+  }
+
+  function fxExplosion(x, y, r) {
+    addFx({ kind: "flash", x: x, y: y, t: 0.14, size: r, color: "255,170,80" });
+    addFx({ kind: "ring", x: x, y: y, t: 0.25, size: 8, grow: r * 4, color: "255,200,120" });
+    fxBurst(x, y, 12, "255,150,60", 260, 0.35, 3);
+  }
+
+  function fxBossExplosion(x, y) {
+    addFx({ kind: "flash", x: x, y: y, t: 0.35, size: 120, color: "255,255,255" });
+    for (var i = 0; i < 3; i++) addFx({ kind: "ring", x: x, y: y, t: 0.5 + i * 0.2, size: 20, grow: 420 - i * 90, color: "255,90,170" });
+    fxBurst(x, y, 60, "255,90,170", 520, 0.9, 5);
+    fxBurst(x, y, 30, "255,215,90", 380, 1.1, 3);
+  }
+
+  // ---------- Doors (bugfix: intent-based transition) ----------
+  function inDoorBand(dir, x, y) {
+    var cx = ROOM_W * 0.5;
+    var cy = ROOM_H * 0.5;
+
+    if (dir === "N") return (Math.abs(x - cx) <= DOOR_SPAN) && (y <= DOOR_THICK);
     if (dir === "S") return (Math.abs(x - cx) <= DOOR_SPAN) && (y >= ROOM_H - DOOR_THICK);
     if (dir === "W") return (Math.abs(y - cy) <= DOOR_SPAN) && (x <= DOOR_THICK);
     return (Math.abs(y - cy) <= DOOR_SPAN) && (x >= ROOM_W - DOOR_THICK);
@@ -423,8 +1542,10 @@
     var node = ensureNode(state.roomId);
     var room = ensureRoom(state.roomId);
 
-    if (!room.neighbors[dir]) return false;
-    if (!room.doorsOpen[dir]) {
+    if (!room.neighbors[dir] || doorHidden(node, dir)) return false;
+    // a fight waiting on a player still coming in is already locked for
+    // whoever is here, or they could slip out before it shuts
+    if (!room.doorsOpen[dir] || state.lockPending) {
       if (inDoorBand(dir, player.x, player.y)) {
         state.msg = "DOOR LOCKED";
         state.msgT = 0.7;
@@ -439,23 +1560,69 @@
     else dx = 1;
 
     var nid = roomKey(node.x + dx, node.y + dy);
-    ensureNode(nid);
+    var next = ensureNode(nid);
     ensureRoom(nid);
 
+    // Curse rooms take their toll at the door from everyone standing, but
+    // never the last of anyone's HP
+    if (assignRoomKind(next) === "curse") {
+      var toll = livingPlayers();
+      for (var i = 0; i < toll.length; i++) {
+        if (toll[i].hp > CURSE_COST) continue;
+        state.msg = "CURSED — " + playerTag(toll[i]) + "TOO WEAK TO ENTER";
+        state.msgT = 0.9;
+        return false;
+      }
+      for (i = 0; i < toll.length; i++) {
+        toll[i].hp -= CURSE_COST;
+        fxBurst(toll[i].x, toll[i].y, 12, "170,60,255", 220, 0.4, 3);
+      }
+      emit("curse", { dmg: CURSE_COST });
+    }
+
+    stashRoom(state.roomId);
     state.roomId = nid;
-    loadRoom(state.roomId);
 
     if (dir === "N") { player.y = ROOM_H - 24; player.x = clamp(player.x, 24, ROOM_W - 24); }
     if (dir === "S") { player.y = 24; player.x = clamp(player.x, 24, ROOM_W - 24); }
     if (dir === "W") { player.x = ROOM_W - 24; player.y = clamp(player.y, 24, ROOM_H - 24); }
     if (dir === "E") { player.x = 24; player.y = clamp(player.y, 24, ROOM_H - 24); }
 
-    snapCameraToPlayer();
+    loadRoom(state.roomId);
+    gatherPlayers(player, dx, dy);
+    writeSave();
     return true;
   }
 
+  // Partners (downed ones too) follow the lead through doors and stairs,
+  // landing a tile further along (dx, dy) or on the first open side
+  function gatherPlayers(lead, dx, dy) {
+    var room = ensureRoom(state.roomId);
+    var spots = [[dx, dy], [1, 0], [-1, 0], [0, 1], [0, -1]];
+    for (var i = 0; i < players.length; i++) {
+      var p = players[i];
+      if (p === lead) continue;
+      p.x = lead.x;
+      p.y = lead.y;
+      for (var k = 0; k < spots.length; k++) {
+        var x = lead.x + spots[k][0] * TILE, y = lead.y + spots[k][1] * TILE;
+        if ((spots[k][0] || spots[k][1]) && !collideCircle(x, y, p.r, room)) { p.x = x; p.y = y; break; }
+      }
+      p.vx = 0;
+      p.vy = 0;
+      p.dashT = 0;
+    }
+  }
+
   // ---------- Room content ----------
   function spawnRoomContents(roomId) {
+    var prevRng = rng;
+    rng = roomRng(roomId, "spawn");
+    spawnRoomContentsSeeded(roomId);
+    rng = prevRng;
+  }
+
+  function spawnRoomContentsSeeded(roomId) {
     var node = ensureNode(roomId);
     var room = ensureRoom(roomId);
 
@@ -465,6 +1632,35 @@
     state.bullets.length = 0;
     state.pickups.length = 0;
     state.fx.length = 0;
+    state.emitters.length = 0;
+    state.wave = null;
+    state.stairs = null;
+    state.lockPending = false;
+
+    // Treasure: one relic on the pedestal until it's taken (coins once all are owned)
+    if (node.kind === "treasure") {
+      node.cleared = true;
+      lockDoors(room, false);
+      if (!node.flags.relicTaken) {
+        var pool = unownedRelics();
+        if (pool.length) state.pickups.push({ x: ROOM_W / 2, y: ROOM_H / 2, t: "relic", v: pool[randi(pool.length)], r: 12 });
+        else { dropCoins(ROOM_W / 2, ROOM_H / 2, 15); node.flags.relicTaken = true; }
+      }
+      return;
+    }
+
+    // Secret: a stash, looted once
+    if (node.kind === "secret") {
+      node.cleared = true;
+      lockDoors(room, false);
+      if (!node.flags.looted) {
+        node.flags.looted = true;
+        dropCoins(ROOM_W / 2, ROOM_H / 2, 18 + ((node.depth / 2) | 0));
+        state.pickups.push({ x: ROOM_W / 2 - 40, y: ROOM_H / 2 + 30, t: "ammo", v: 40, r: 10 });
+        state.pickups.push({ x: ROOM_W / 2 + 40, y: ROOM_H / 2 + 30, t: chance(0.5) ? "upgrade" : "heart", v: 2, r: 11 });
+      }
+      return;
+    }
 
     if (node.kind === "start" || node.kind === "shop") {
       node.cleared = true;
@@ -477,33 +1673,117 @@
       // Boss at depth multiple of 10
       if (shouldSpawnBoss(node)) {
         spawnBoss(ROOM_W * 0.5, ROOM_H * 0.5, node.depth);
+      } else if (node.kind === "challenge") {
+        state.wave = { n: 1, of: CHALLENGE_WAVES, t: 0 };
+        spawnWave(node, waveSize(3, node.depth), 0);
+        state.msg = "CHALLENGE — WAVE 1/" + CHALLENGE_WAVES;
+        state.msgT = 1.2;
       } else {
-        var n = 4 + randi(4) + ((node.depth / 4) | 0);
-        for (var i = 0; i < n; i++) {
-          var px = 80 + randf() * (ROOM_W - 160);
-          var py = 80 + randf() * (ROOM_H - 160);
-          spawnEnemy(chance(0.30) ? "shooter" : "chaser", px, py, node.depth);
-        }
+        // curse rooms fight like a few depths deeper
+        spawnWave(node, waveSize(4 + randi(4), node.depth), node.kind === "curse" ? 4 : 0);
       }
-      lockDoors(room, true);
+      // doors shut once nobody is still on the way in (see update)
+      lockDoors(room, false);
+      state.lockPending = true;
     } else {
       lockDoors(room, false);
+      if (shouldSpawnBoss(node)) openStairs();
+    }
+  }
+
+  // Template rooms spawn round their markers; otherwise any open floor tile
+  function spawnWave(node, n, depthBonus) {
+    var depth = node.depth + depthBonus;
+    var room = ensureRoom(node.id);
+    var marks = room.spawns || [];
+    var first = randi(Math.max(1, marks.length));
+    for (var i = 0; i < n; i++) {
+      var px, py;
+      if (marks.length) {
+        var m = marks[(first + i) % marks.length];
+        px = (m.x + 0.5) * TILE + (randf() - 0.5) * TILE * 0.6;
+        py = (m.y + 0.5) * TILE + (randf() - 0.5) * TILE * 0.6;
+      } else {
+        for (var tries = 0; tries < 12; tries++) {
+          px = 80 + randf() * (ROOM_W - 160);
+          py = 80 + randf() * (ROOM_H - 160);
+          if (tileWalkable(room, (px / TILE) | 0, (py / TILE) | 0)) break;
+        }
+      }
+      spawnEnemy(pickEnemyType(depth), px, py, depth);
+    }
+  }
+
+  // Challenge rooms: the next wave follows a beat after the last one falls.
+  // Returns true while waves remain.
+  function updateWaves(node, dt) {
+    var w = state.wave;
+    if (!w || w.n >= w.of) return false;
+    w.t += dt;
+    if (w.t < 1.0) return true;
+    w.n += 1;
+    w.t = 0;
+    spawnWave(node, waveSize(4 + w.n, node.depth), w.n);
+    state.msg = "WAVE " + w.n + "/" + w.of;
+    state.msgT = 1.0;
+    emit("wave", { n: w.n });
+    return true;
+  }
+
+  // Loot on clearing a fighting room
+  function clearReward(node) {
+    var cx = ROOM_W / 2, cy = ROOM_H / 2;
+    if (node.kind === "challenge") {
+      dropCoins(cx, cy, 14 + ((node.depth / 2) | 0));
+      state.pickups.push({ x: cx - 30, y: cy, t: "upgrade", v: 1, r: 11 });
+      state.pickups.push({ x: cx + 30, y: cy, t: "ammo", v: 40, r: 10 });
+      return;
+    }
+    if (node.kind === "curse") {
+      var relics = unownedRelics();
+      if (relics.length) state.pickups.push({ x: cx, y: cy, t: "relic", v: relics[randi(relics.length)], r: 12 });
+      else state.pickups.push({ x: cx, y: cy, t: "mod", v: MOD_IDS[randi(MOD_IDS.length)], r: 11 });
+      return;
     }
+    if (shouldSpawnBoss(node)) {
+      if (state.floor >= FINAL_FLOOR) { endRun("won"); return; }
+      openStairs();
+      state.msg = "CLEARED — STAIRS DOWN OPEN";
+      return;
+    }
+    state.pickups.push({ x: cx, y: cy, t: "coin", v: 6, r: 10 });
+  }
+
+  // ---------- Room persistence ----------
+  // Pickups left behind are stashed on the way out and put back on the way
+  // in, in place of whatever the room's contents would have dropped again.
+  function copyPickup(p) { return { x: p.x, y: p.y, t: p.t, v: p.v, r: p.r }; }
+
+  function copyPickups(list) {
+    var out = [];
+    for (var i = 0; i < list.length; i++) out.push(copyPickup(list[i]));
+    return out;
+  }
+
+  function stashRoom(id) {
+    ensureRoom(id).pickups = copyPickups(state.pickups);
   }
 
   function loadRoom(roomId) {
     var node = ensureNode(roomId);
+    var room = ensureRoom(roomId);
     node.kind = assignRoomKind(node);
 
     buildNeighborsAround(roomId);
-    genRoomTiles(node);
+    resetFlows();
 
     spawnRoomContents(roomId);
+    if (room.pickups) state.pickups = copyPickups(room.pickups);
     ensureNode(roomId).seen = true;
     state.shopOpen = false;
+    state.stats.depth = Math.max(state.stats.depth, node.depth);
 
-    // If room smaller than viewport, keep camera at 0 and center via offsets
-    snapCameraToPlayer();
+    emit("room", { id: roomId });
   }
 
   // ---------- Shop ----------
@@ -516,6 +1796,11 @@
   function tryOpenShop() {
     var node = ensureNode(state.roomId);
     if (node.kind !== "shop") return;
+    if (hasModifier("noshops")) {
+      state.msg = "SHOP CLOSED";
+      state.msgT = 0.8;
+      return;
+    }
     if (!nearShopCounter()) {
       state.msg = "STEP TO COUNTER";
       state.msgT = 0.8;
@@ -524,68 +1809,194 @@
     state.shopOpen = !state.shopOpen;
   }
 
+  // Each shop stocks one upgrade and one mod, rolled per shop from the room
+  // stream and resolved against whichever weapon is held. -> { label, desc,
+  // cost, done } where done is null or why it can't be bought.
+  function shopOffer(item) {
+    var w = player.guns[player.weapon];
+    var node = ensureNode(state.roomId);
+    var sold = node.flags.sold || {};
+    var roll, list, id;
+    if (item.type === "unlock") {
+      return { label: item.label, desc: item.desc, cost: item.cost, done: player.guns[item.weaponId].unlocked ? "OWNED" : null };
+    }
+    if (item.type === "ammo") {
+      return { label: item.label, desc: item.desc, cost: item.cost, done: player.reserve >= AMMO_MAX ? "FULL" : null };
+    }
+    if (item.type === "upgrade") {
+      if (sold.upgrade) return { label: item.label, desc: item.desc, cost: item.cost, done: "SOLD" };
+      list = upgradeChoices(w);
+      if (list.length === 0) return { label: item.label, desc: w.name + " is fully upgraded", cost: item.cost, done: "MAXED" };
+      roll = rngNext(roomRng(state.roomId, "shopUpgrade"));
+      id = list[(roll * list.length) | 0];
+      return { label: w.name + " " + UPGRADES[id].name + " " + (w.lv[id] + 1), desc: item.desc, cost: item.cost + 6 * w.lv[id],
+        done: null, upgrade: id };
+    }
+    if (item.type === "mod") {
+      if (sold.mod) return { label: item.label, desc: item.desc, cost: item.cost, done: "SOLD" };
+      list = missingMods(w);
+      if (list.length === 0) return { label: item.label, desc: w.name + " has every mod", cost: item.cost, done: "MAXED" };
+      roll = rngNext(roomRng(state.roomId, "shopMod"));
+      id = list[(roll * list.length) | 0];
+      return { label: w.name + ": " + MODS[id].name, desc: MODS[id].desc, cost: item.cost, done: null, mod: id };
+    }
+    return { label: item.label, desc: item.desc, cost: item.cost, done: null };
+  }
+
+  // What the player at the counter would get (the shell's shop overlay)
+  function shopperOffer(item) { return asPlayer(players[state.shopBy] || player, shopOffer, item); }
+
   function buyShopItem(item) {
-    if (state.coins < item.cost) {
+    var offer = shopOffer(item);
+    var purse = wallet();
+    if (purse.coins < offer.cost) {
       state.msg = "NOT ENOUGH COINS";
       state.msgT = 0.8;
       shake(2, 0.08);
+      emit("buy", { ok: false });
       return;
     }
     if (item.type === "unlock") {
-      var w = WEAPONS[item.weaponId];
+      var w = player.guns[item.weaponId];
       if (w.unlocked) { state.msg = "ALREADY OWNED"; state.msgT = 0.7; return; }
       w.unlocked = true;
-      state.coins -= item.cost;
+      purse.coins -= item.cost;
       state.msg = "UNLOCKED: " + w.name;
       state.msgT = 1.0;
+      emit("buy", { ok: true });
+      return;
+    }
+    if (item.type === "ammo") {
+      if (offer.done) { state.msg = "AMMO FULL"; state.msgT = 0.7; return; }
+      purse.coins -= offer.cost;
+      player.reserve = Math.min(AMMO_MAX, player.reserve + item.amount);
+      state.msg = "+" + item.amount + " AMMO";
+      state.msgT = 0.9;
+      emit("buy", { ok: true });
+      return;
+    }
+    if (item.type === "upgrade" || item.type === "mod") {
+      if (offer.done) { state.msg = offer.done; state.msgT = 0.7; return; }
+      var node = ensureNode(state.roomId);
+      if (!node.flags.sold) node.flags.sold = {};
+      node.flags.sold[item.type] = true;
+      purse.coins -= offer.cost;
+      if (offer.upgrade) upgradeWeapon(player.guns[player.weapon], offer.upgrade);
+      else addWeaponMod(player.guns[player.weapon], offer.mod);
+      emit("buy", { ok: true });
       return;
     }
     if (item.type === "heal") {
       if (player.hp >= player.hpMax) { state.msg = "HP FULL"; state.msgT = 0.7; return; }
-      state.coins -= item.cost;
+      purse.coins -= item.cost;
       player.hp = clamp(player.hp + item.amount, 0, player.hpMax);
       state.msg = "HEALED";
       state.msgT = 0.9;
+      emit("buy", { ok: true });
     }
   }
 
   // ---------- Combat ----------
+  // One player round with the weapon's mods stamped on
+  function spawnPlayerBullet(w, st, a, sp, kind, life) {
+    var b = spawnBullet(player.x, player.y, Math.cos(a) * sp, Math.sin(a) * sp, st.dmg, "player", kind, life);
+    b.owner = player;
+    if (w.mods.pierce) { b.pierce = 2; b.hits = []; }
+    if (w.mods.ricochet) b.bounce = 2;
+    if (w.mods.explosive) b.boom = BOOM_R;
+    if (w.mods.homing) b.seek = 4.5;
+    relicCall("shot", b);
+    return b;
+  }
+
+  // Extra pellets on a single-shot weapon fan out evenly around the aim
+  function fanOffset(w, st, i) {
+    return (w.pellets > 1) ? 0 : (i - (st.pellets - 1) / 2) * st.fan;
+  }
+
+  // ---------- Ammo / reload ----------
+  // Each gun keeps its own magazine (w.clip); reloads draw from the shared
+  // player.reserve. The Pistol reloads for free, so there is always a fallback.
+  function startReload() {
+    var w = player.guns[player.weapon];
+    if (player.reloadT > 0 || w.clip >= w.mag) return;
+    if (!w.infinite && player.reserve <= 0) {
+      state.msg = "NO AMMO";
+      state.msgT = 0.8;
+      emit("dry", { weapon: w.id });
+      return;
+    }
+    player.reloadT = w.reload;
+    emit("reload", { weapon: w.id });
+  }
+
+  function updateReload(dt) {
+    var w = player.guns[player.weapon];
+    // an emptied magazine reloads on its own (after the last burst round) while the reserve lasts
+    if (player.reloadT <= 0 && w.clip <= 0 && player.burstQ <= 0 && (w.infinite || player.reserve > 0)) startReload();
+    if (player.reloadT <= 0) return;
+    player.reloadT -= dt;
+    if (player.reloadT > 0) return;
+    player.reloadT = 0;
+    var take = w.mag - w.clip;
+    if (!w.infinite) {
+      take = Math.min(take, player.reserve);
+      player.reserve -= take;
+    }
+    w.clip += take;
+  }
+
   function shoot() {
-    if (player.fireCD > 0) return;
+    if (player.fireCD > 0 || player.reloadT > 0) return;
 
-    var w = WEAPONS[player.weapon];
+    var w = player.guns[player.weapon];
     if (!w.unlocked) return;
 
-    var wx = state.cam.x + (mouse.x - VIEW_OX);
-    var wy = state.cam.y + (mouse.y - VIEW_OY);
-    var n = norm(wx - player.x, wy - player.y);
+    // Dry: reload if the reserve allows it, else fall back to the Pistol
+    if (w.clip <= 0) {
+      if (w.infinite || player.reserve > 0) { startReload(); return; }
+      player.weapon = 0;
+      player.fireCD = 0.25;
+      state.msg = "OUT OF AMMO — " + player.guns[0].name;
+      state.msgT = 1.0;
+      emit("dry", { weapon: w.id });
+      return;
+    }
+    w.clip -= 1;
+
+    var st = weaponStats(w);
+
+    var n = norm(input.aimX - player.x, input.aimY - player.y);
     var baseA = Math.atan2(n.y, n.x);
 
     // Burst weapon: schedule multiple shots in quick succession
     if (w.id === 5) {
-      player.burstQ = w.pellets;
+      player.burstQ = st.pellets;
       player.burstCD = 0;
-      player.fireCD = w.fire;
+      player.fireCD = st.fire;
       return;
     }
 
     // Laser: faster, slightly longer life
     if (w.id === 6) {
-      var spL = w.speed;
-      spawnBullet(player.x, player.y, Math.cos(baseA) * spL, Math.sin(baseA) * spL, w.dmg, "player", "pl", 0.9);
-      player.fireCD = w.fire;
+      for (var k = 0; k < st.pellets; k++) spawnPlayerBullet(w, st, baseA + fanOffset(w, st, k), st.speed, "pl", 0.9);
+      player.fireCD = st.fire;
       shake(3, 0.07);
+      fxMuzzle(w.id, player.x, player.y, baseA);
+      emit("shot", { weapon: w.id, x: player.x, y: player.y, a: baseA });
       return;
     }
 
-    for (var i = 0; i < w.pellets; i++) {
-      var a = baseA + (w.spread * (randf() - 0.5));
-      var sp = w.speed * (0.92 + randf() * 0.16);
-      spawnBullet(player.x, player.y, Math.cos(a) * sp, Math.sin(a) * sp, w.dmg, "player", "p", 1.1);
+    for (var i = 0; i < st.pellets; i++) {
+      var a = baseA + fanOffset(w, st, i) + (st.spread * (randf() - 0.5));
+      var sp = st.speed * (0.92 + randf() * 0.16);
+      spawnPlayerBullet(w, st, a, sp, "p", 1.1);
     }
 
-    player.fireCD = w.fire;
-    shake(2 + (w.pellets > 1 ? 2 : 0), 0.08);
+    player.fireCD = st.fire;
+    shake(2 + (st.pellets > 1 ? 2 : 0), 0.08);
+    fxMuzzle(w.id, player.x, player.y, baseA);
+    emit("shot", { weapon: w.id, x: player.x, y: player.y, a: baseA });
   }
 
   function updateBurst(dt) {
@@ -593,101 +2004,475 @@
     player.burstCD -= dt;
     if (player.burstCD > 0) return;
 
-    var w = WEAPONS[5]; // Burst
-    var wx = state.cam.x + (mouse.x - VIEW_OX);
-    var wy = state.cam.y + (mouse.y - VIEW_OY);
-    var n = norm(wx - player.x, wy - player.y);
+    var w = player.guns[5]; // Burst
+    var st = weaponStats(w);
+    var n = norm(input.aimX - player.x, input.aimY - player.y);
     var baseA = Math.atan2(n.y, n.x);
 
-    var a = baseA + (w.spread * (randf() - 0.5));
-    spawnBullet(player.x, player.y, Math.cos(a) * w.speed, Math.sin(a) * w.speed, w.dmg, "player", "pb", 1.0);
+    var a = baseA + (st.spread * (randf() - 0.5));
+    spawnPlayerBullet(w, st, a, st.speed, "pb", 1.0);
 
     player.burstQ -= 1;
     player.burstCD = w.burstStep;
     shake(1.5, 0.04);
+    fxMuzzle(w.id, player.x, player.y, a);
+    emit("shot", { weapon: w.id, x: player.x, y: player.y, a: a });
   }
 
   function hurtPlayer(dmg) {
-    if (player.invT > 0) return;
+    if (player.invT > 0 || player.down || state.sandbox) return;
+    if (hasModifier("onehit")) dmg = player.hp;
     player.hp -= dmg;
     player.invT = 0.7;
     shake(9, 0.18);
+    fxBurst(player.x, player.y, 10, "255,80,140", 240, 0.35, 3);
+    emit("hurt", { dmg: dmg, x: player.x, y: player.y });
+    relicCall("hurt", dmg);
     if (player.hp <= 0) {
       player.hp = 0;
-      state.msg = "YOU DIED — PRESS R";
+      // in co-op the run only ends once nobody is left standing
+      if (livingPlayers().length > 1) {
+        player.down = true;
+        player.reviveT = 0;
+        player.vx = 0;
+        player.vy = 0;
+        player.burstQ = 0;
+        player.reloadT = 0;
+        state.msg = playerTag(player) + "DOWN — STAND CLOSE TO REVIVE";
+        state.msgT = 1.6;
+        emit("down", { slot: player.slot, x: player.x, y: player.y });
+        return;
+      }
+      state.msg = "YOU DIED";
+      state.msgT = 999;
+      endRun("dead");
+      emit("death", { x: player.x, y: player.y });
+    }
+  }
+
+  // Death or victory: the sim stops and the save goes (the shell shows the summary)
+  function endRun(how) {
+    state.over = how;
+    state.paused = true;
+    clearSave();
+    if (how === "won") {
+      state.msg = "VICTORY";
       state.msgT = 999;
-      state.paused = true;
+      emit("victory", {});
     }
   }
 
-  // ---------- Boss attacks ----------
-  function bossAttack(boss, dt) {
-    boss.fireCD -= dt;
-    if (boss.fireCD > 0) return;
+  // Every living player inside the circle takes the hit
+  function hurtTouching(x, y, r, dmg) {
+    var hit = false;
+    for (var i = 0; i < players.length; i++) {
+      var p = players[i];
+      if (p.down || dist2(x, y, p.x, p.y) >= (r + p.r) * (r + p.r)) continue;
+      asPlayer(p, hurtPlayer, dmg);
+      hit = true;
+    }
+    return hit;
+  }
 
-    var dx = player.x - boss.x;
-    var dy = player.y - boss.y;
-    var d = Math.sqrt(dx * dx + dy * dy) || 1;
-    var aToP = Math.atan2(dy, dx);
+  // A downed player gets back up once a partner has stood close for REVIVE_TIME
+  function updateRevive(dt) {
+    for (var i = 0; i < players.length; i++) {
+      var p = players[i];
+      if (!p.down) continue;
+      var helped = false;
+      for (var k = 0; k < players.length; k++) {
+        var q = players[k];
+        if (q !== p && !q.down && dist2(p.x, p.y, q.x, q.y) < REVIVE_R * REVIVE_R) helped = true;
+      }
+      p.reviveT = helped ? p.reviveT + dt : Math.max(0, p.reviveT - dt);
+      if (p.reviveT < REVIVE_TIME) continue;
+      p.down = false;
+      p.reviveT = 0;
+      p.hp = Math.min(REVIVE_HP, p.hpMax);
+      p.invT = 1.2;
+      state.msg = playerTag(p) + "REVIVED";
+      state.msgT = 1.0;
+      fxBurst(p.x, p.y, 16, "120,255,170", 220, 0.5, 3);
+      emit("revive", { slot: p.slot, x: p.x, y: p.y });
+    }
+  }
 
-    // scale difficulty by depth
-    var depth = ensureNode(state.roomId).depth;
-    var spBase = 260 + depth * 3;
-
-    if (boss.patternId === 0) {
-      // Shotcone: 9 pellets cone
-      for (var i = 0; i < 9; i++) {
-        var a = aToP + (0.75 * (i / 8 - 0.5));
-        spawnBullet(boss.x, boss.y, Math.cos(a) * spBase, Math.sin(a) * spBase, 1, "enemy", "be", 2.2);
-      }
-      boss.fireCD = 0.95;
-    } else if (boss.patternId === 1) {
-      // Burst lines: 3 bursts
-      for (var j = 0; j < 3; j++) {
-        var aj = aToP + (0.10 * (randf() - 0.5));
-        spawnBullet(boss.x, boss.y, Math.cos(aj) * (spBase + 120), Math.sin(aj) * (spBase + 120), 1, "enemy", "be", 2.0);
-      }
-      boss.fireCD = 0.45;
-    } else if (boss.patternId === 2) {
-      // Spiral
-      boss.spinA += 0.55;
-      for (var k = 0; k < 6; k++) {
-        var ak = boss.spinA + (k * (TAU / 6));
-        spawnBullet(boss.x, boss.y, Math.cos(ak) * (spBase + 60), Math.sin(ak) * (spBase + 60), 1, "enemy", "be", 2.4);
-      }
-      boss.fireCD = 0.70;
+  // ---------- Bullet patterns ----------
+  // Declarative enemy fire. A pattern is one volley shape, optionally
+  // repeated `repeat` times `gap` seconds apart by an emitter:
+  //   shape  ring (count evenly around) | fan (count across spread) |
+  //          line (count along one angle, speed + k * speedStep)
+  //   aim    player (the nearest one, re-aimed every volley) | locked
+  //          (caller's aimA, default at player) | spin (source's spinA) | random
+  //   spin   added to the angle every volley (spirals); sweep {step, span}
+  //          swings it back and forth; jitter randomises each bullet
+  //   speed + speedDepth * depth, then per-bullet behaviour in `bullet`:
+  //          dmg, kind, life, accel (px/s²), curve (rad/s), home (max
+  //          rad/s toward the player), wobble {amp, freq},
+  //          split {after, pattern} (bullet is replaced by that pattern)
+  var PATTERNS = {
+    shooterShot: { shape: "fan",  count: 1,  aim: "player", speed: 320, speedDepth: 4, bullet: { kind: "e", life: 2.0 } },
+    turretRing:  { shape: "ring", count: 10, aim: "spin", spin: 0.3, speed: 210, speedDepth: 3, bullet: { kind: "e", life: 2.6 } },
+    bossCone:    { shape: "fan",  count: 9,  spread: 0.75, aim: "locked", speed: 260, speedDepth: 3, bullet: { kind: "be", life: 2.2 } },
+    bossBurst:   { shape: "fan",  count: 3,  spread: 0, jitter: 0.10, aim: "player", speed: 380, speedDepth: 3, bullet: { kind: "be", life: 2.0 } },
+    bossSpiral:  { shape: "ring", count: 6,  aim: "spin", spin: 0.55, repeat: 8, gap: 0.22, speed: 320, speedDepth: 3, bullet: { kind: "be", life: 2.4 } },
+    bossRing:    { shape: "ring", count: 18, aim: "random", speed: 220, speedDepth: 3, bullet: { kind: "be", life: 2.6 } },
+    bossSweep:   { shape: "fan",  count: 1,  aim: "locked", sweep: { step: 0.08, span: 7 }, repeat: 14, gap: 0.09,
+                   speed: 560, speedDepth: 3, bullet: { kind: "beL", dmg: 2, life: 1.2 } },
+    accelRing:   { shape: "ring", count: 14, aim: "random", speed: 40, speedDepth: 1, bullet: { kind: "be", life: 3.0, accel: 260 } },
+    curlSpiral:  { shape: "ring", count: 8,  aim: "spin", spin: 0.25, repeat: 6, gap: 0.3, speed: 200, speedDepth: 2,
+                   bullet: { kind: "be", life: 3.0, curve: 0.9 } },
+    homingPair:  { shape: "fan",  count: 2,  spread: 1.6, aim: "player", speed: 190, speedDepth: 2, bullet: { kind: "be", life: 3.2, home: 1.4 } },
+    waveFan:     { shape: "fan",  count: 5,  spread: 0.9, aim: "player", repeat: 3, gap: 0.35, speed: 230, speedDepth: 2,
+                   bullet: { kind: "be", life: 2.8, wobble: { amp: 3.0, freq: 9 } } },
+    laneLine:    { shape: "line", count: 5,  aim: "player", speed: 180, speedStep: 45, speedDepth: 2, bullet: { kind: "be", life: 2.6 } },
+    splitShot:   { shape: "fan",  count: 3,  spread: 0.5, aim: "player", speed: 220, speedDepth: 2,
+                   bullet: { kind: "be", life: 2.0, split: { after: 0.55, pattern: "splitBurst" } } },
+    splitBurst:  { shape: "ring", count: 8,  aim: "random", speed: 190, speedDepth: 2, bullet: { kind: "be", life: 1.6 } }
+  };
+
+  // src: entity (emitter stops when it dies) or null with opts.x / opts.y.
+  // opts: depth, aimA (for "locked"), repeat / gap overrides.
+  // Returns the seconds until the last volley leaves.
+  function firePattern(name, src, opts) {
+    var pat = PATTERNS[name];
+    opts = opts || {};
+    var em = {
+      pat: pat,
+      src: src,
+      x: src ? src.x : opts.x,
+      y: src ? src.y : opts.y,
+      depth: opts.depth || 0,
+      aimA: opts.aimA,
+      spinA: (src && src.spinA != null) ? src.spinA : (opts.aimA || 0),
+      repeat: opts.repeat || pat.repeat || 1,
+      gap: opts.gap || pat.gap || 0.2,
+      rep: 0,
+      t: 0
+    };
+    var tgt = nearestPlayer(em.x, em.y);
+    if (em.aimA == null) em.aimA = Math.atan2(tgt.y - em.y, tgt.x - em.x);
+    fireVolley(em);
+    if (em.rep < em.repeat) state.emitters.push(em);
+    return (em.repeat - 1) * em.gap;
+  }
+
+  function fireVolley(em) {
+    var pat = em.pat;
+    if (em.src) { em.x = em.src.x; em.y = em.src.y; }
+
+    var base, tgt;
+    if (pat.aim === "player") { tgt = nearestPlayer(em.x, em.y); base = Math.atan2(tgt.y - em.y, tgt.x - em.x); }
+    else if (pat.aim === "spin") base = em.spinA;
+    else if (pat.aim === "random") base = randf() * TAU;
+    else base = em.aimA;
+    if (pat.sweep) base += ((em.rep % pat.sweep.span) - (pat.sweep.span - 1) / 2) * pat.sweep.step;
+
+    var sp = enemySpeed(pat.speed, pat.speedDepth || 0, em.depth);
+    var n = pat.count || 1;
+    for (var k = 0; k < n; k++) {
+      var a = base, s = sp;
+      if (pat.shape === "ring") a = base + k * (TAU / n);
+      else if (pat.shape === "fan" && n > 1) a = base + (pat.spread || 0) * (k / (n - 1) - 0.5);
+      else if (pat.shape === "line") s = sp + k * (pat.speedStep || 30);
+      if (pat.jitter) a += pat.jitter * (randf() - 0.5);
+      patternBullet(em.x, em.y, a, s, pat.bullet);
+      if (hasModifier("doubled")) patternBullet(em.x, em.y, a + TWIN_SPREAD, s, pat.bullet);
+    }
+
+    if (pat.spin) {
+      em.spinA += pat.spin;
+      if (em.src && em.src.spinA != null) em.src.spinA = em.spinA;
+    }
+    em.rep += 1;
+    em.t = em.gap;
+  }
+
+  function patternBullet(x, y, a, sp, bd) {
+    var b = spawnBullet(x, y, Math.cos(a) * sp, Math.sin(a) * sp, bd.dmg || 1, "enemy", bd.kind || "be", bd.life || 2.0);
+    if (bd.accel) b.acc = bd.accel;
+    if (bd.curve) b.curve = bd.curve;
+    if (bd.home) b.home = bd.home;
+    if (bd.wobble) b.wobble = bd.wobble;
+    if (bd.split) b.split = bd.split;
+    b.age = 0;
+  }
+
+  function updateEmitters(dt) {
+    for (var i = state.emitters.length - 1; i >= 0; i--) {
+      var em = state.emitters[i];
+      if (em.src && em.src.hp <= 0) { state.emitters.splice(i, 1); continue; }
+      em.t -= dt;
+      if (em.t > 0) continue;
+      fireVolley(em);
+      emit("enemyShot", { boss: !!(em.src && em.src.type === "boss"), x: em.x, y: em.y });
+      if (em.rep >= em.repeat) state.emitters.splice(i, 1);
+    }
+  }
+
+  function rotateVel(b, da) {
+    var c = Math.cos(da), s = Math.sin(da);
+    var vx = b.vx * c - b.vy * s;
+    b.vy = b.vx * s + b.vy * c;
+    b.vx = vx;
+  }
+
+  // Per-bullet behaviour from the pattern; returns false once a split fired
+  function steerBullet(b, dt, depth) {
+    b.age += dt;
+    if (b.acc) {
+      var sp = Math.sqrt(b.vx * b.vx + b.vy * b.vy) || 1;
+      var ns = Math.max(20, sp + b.acc * dt);
+      b.vx *= ns / sp;
+      b.vy *= ns / sp;
+    }
+    if (b.curve) rotateVel(b, b.curve * dt);
+    if (b.wobble) rotateVel(b, b.wobble.amp * Math.cos(b.age * b.wobble.freq) * dt);
+    if (b.home) {
+      var tgt = nearestPlayer(b.x, b.y);
+      var want = Math.atan2(tgt.y - b.y, tgt.x - b.x);
+      var have = Math.atan2(b.vy, b.vx);
+      rotateVel(b, turnToward(have, want, b.home * dt) - have);
+    }
+    if (b.split && b.age >= b.split.after) {
+      firePattern(b.split.pattern, null, { x: b.x, y: b.y, depth: depth, aimA: Math.atan2(b.vy, b.vx) });
+      return false;
+    }
+    return true;
+  }
+
+  // ---------- Pattern sandbox (debug) ----------
+  // Empty walled room, invulnerable player, a dummy at the centre firing
+  // the selected pattern on a loop.
+  var SANDBOX_PATTERNS = Object.keys(PATTERNS);
+
+  function startSandbox(name) {
+    var idx = SANDBOX_PATTERNS.indexOf(name);
+    resetGame();
+    var room = ensureRoom(state.roomId);
+    for (var y = 0; y < ROOM_TH; y++) {
+      for (var x = 0; x < ROOM_TW; x++) {
+        var edge = (x === 0 || y === 0 || x === ROOM_TW - 1 || y === ROOM_TH - 1);
+        room.g[tileIndex(x, y)] = edge ? 0 : 1;
+      }
+    }
+    room.neighbors = { N: false, S: false, W: false, E: false };
+    state.pickups.length = 0;
+    player.x = ROOM_W * 0.5;
+    player.y = ROOM_H * 0.8;
+    state.sandbox = { idx: idx < 0 ? 0 : idx, t: 0.5, depth: 10, dummy: { x: ROOM_W * 0.5, y: ROOM_H * 0.35, hp: 1, spinA: 0 } };
+    resetFlows();
+  }
+
+  function sandboxCycle(dir) {
+    var sb = state.sandbox;
+    if (!sb) return;
+    sb.idx = (sb.idx + dir + SANDBOX_PATTERNS.length) % SANDBOX_PATTERNS.length;
+    sb.t = 0.3;
+    state.emitters.length = 0;
+    state.bullets.length = 0;
+  }
+
+  function sandboxName() { return state.sandbox ? SANDBOX_PATTERNS[state.sandbox.idx] : null; }
+
+  function updateSandbox(dt) {
+    var sb = state.sandbox;
+    sb.t -= dt;
+    if (sb.t > 0) return;
+    var dur = firePattern(SANDBOX_PATTERNS[sb.idx], sb.dummy, { depth: sb.depth });
+    sb.t = dur + 1.2;
+    emit("enemyShot", { boss: true, x: sb.dummy.x, y: sb.dummy.y });
+  }
+
+  // ---------- Boss scripts ----------
+  // e.mode: "tele" (wind-up, aim locked in e.aimA) -> "fire" -> "wait" ->
+  // next step. Phase changes reset the script. Pattern repeats run on an
+  // emitter, so the wait starts after the last volley.
+  var BOSS_ATTACKS = {
+    charge: function (e) {
+      e.dashT = 0.55;
+      e.vx = Math.cos(e.aimA) * 620;
+      e.vy = Math.sin(e.aimA) * 620;
+      shake(8, 0.15);
+    },
+    teleport: function (e) {
+      fxBurst(e.x, e.y, 24, e.color, 260, 0.45, 4);
+      e.x = e.tpX;
+      e.y = e.tpY;
+      e.vx = 0;
+      e.vy = 0;
+      fxBurst(e.x, e.y, 24, e.color, 260, 0.45, 4);
+    },
+    summon: function (e, s, depth) {
+      var room = ensureRoom(state.roomId);
+      var type = s.type || "minion";
+      for (var k = 0; k < (s.count || 3) && state.enemies.length < 12; k++) {
+        var a = randf() * TAU;
+        var mx = e.x + Math.cos(a) * (e.r + 30), my = e.y + Math.sin(a) * (e.r + 30);
+        if (collideCircle(mx, my, ENEMIES[type].r, room)) continue;
+        spawnEnemy(type, mx, my, depth);
+        state.enemies[state.enemies.length - 1].add = true;
+      }
+      emit("summon", { x: e.x, y: e.y });
+    }
+  };
+
+  // Random open spot away from the player, for teleports
+  function bossTeleportSpot(e) {
+    var room = ensureRoom(state.roomId);
+    for (var tries = 0; tries < 20; tries++) {
+      var x = 100 + randf() * (ROOM_W - 200);
+      var y = 100 + randf() * (ROOM_H - 200);
+      if (dist2(x, y, player.x, player.y) < 200 * 200) continue;
+      if (!collideCircle(x, y, e.r, room)) return { x: x, y: y };
+    }
+    return { x: ROOM_W * 0.5, y: ROOM_H * 0.5 };
+  }
+
+  function bossPhaseFor(def, frac) {
+    var p = 0;
+    for (var i = 0; i < def.phases.length; i++) if (frac <= def.phases[i].at) p = i;
+    return p;
+  }
+
+  function enterBossPhase(e, p, depth) {
+    var def = BOSSES[e.bossId];
+    e.phase = p;
+    e.si = -1;         // the opening wait advances to step 0
+    e.mode = "wait";
+    e.modeT = (p === 0) ? 1.0 : 1.2;
+    var ph = def.phases[p];
+    if (p > 0) {
+      // clear the screen for the transition so the new phase reads cleanly
+      for (var b = state.bullets.length - 1; b >= 0; b--) if (state.bullets[b].from === "enemy") state.bullets.splice(b, 1);
+      shake(12, 0.3);
+      fxBurst(e.x, e.y, 30, e.color, 300, 0.6, 4);
+      state.msg = e.name + " — PHASE " + (p + 1);
+      state.msgT = 1.2;
+      emit("bossPhase", { phase: p, x: e.x, y: e.y });
+    }
+    if (ph.adds) BOSS_ATTACKS.summon(e, { type: ph.adds.type, count: ph.adds.n }, depth);
+  }
+
+  function startBossStep(e) {
+    var step = BOSSES[e.bossId].phases[e.phase].script[e.si];
+    e.rep = 0;
+    e.aimA = Math.atan2(player.y - e.y, player.x - e.x);
+    if (step.atk === "teleport") {
+      var spot = bossTeleportSpot(e);
+      e.tpX = spot.x;
+      e.tpY = spot.y;
+    }
+    if (step.tele) {
+      e.mode = "tele";
+      e.modeT = step.tele * (e.enraged ? 0.7 : 1);
+      emit("telegraph", { x: e.x, y: e.y, boss: true });
+    } else {
+      e.mode = "fire";
+      e.modeT = 0;
+    }
+  }
+
+  function updateBoss(e, dt, depth, room) {
+    var def = BOSSES[e.bossId];
+    var rate = e.enraged ? 1.5 : 1;
+
+    if (!e.enraged && e.t >= def.enrage) {
+      e.enraged = true;
+      state.msg = e.name + " ENRAGES";
+      state.msgT = 1.2;
+      shake(10, 0.25);
+      emit("bossEnrage", { x: e.x, y: e.y });
+    }
+
+    var p = bossPhaseFor(def, e.hp / e.hpMax);
+    if (p > e.phase) enterBossPhase(e, p, depth);
+    var ph = def.phases[e.phase];
+
+    // movement (a charge overrides it until the dash ends)
+    if (e.dashT > 0) {
+      e.dashT -= dt;
+    } else if (e.mode === "tele") {
+      e.vx = lerp(e.vx, 0, 6 * dt);
+      e.vy = lerp(e.vy, 0, 6 * dt);
+    } else if (ph.move === "orbit") {
+      e.orbitA += 0.6 * rate * dt;
+      var ox = ROOM_W * 0.5 + Math.cos(e.orbitA) * 170;
+      var oy = ROOM_H * 0.5 + Math.sin(e.orbitA) * 110;
+      e.vx = lerp(e.vx, (ox - e.x) * 2.5, 3 * dt);
+      e.vy = lerp(e.vy, (oy - e.y) * 2.5, 3 * dt);
+    } else if (ph.move === "stalk") {
+      var pd = pathDir(e, room);
+      e.vx = lerp(e.vx, pd.x * 70 * rate, 3 * dt);
+      e.vy = lerp(e.vy, pd.y * 70 * rate, 3 * dt);
     } else {
-      // Laser sweep: fast aimed bolts + slight sweep
-      var sweep = (boss.phase % 7) - 3; // -3..+3
-      var al = aToP + sweep * 0.08;
-      spawnBullet(boss.x, boss.y, Math.cos(al) * (spBase + 300), Math.sin(al) * (spBase + 300), 2, "enemy", "beL", 1.2);
-      boss.phase += 1;
-      boss.fireCD = 0.18;
+      e.vx = lerp(e.vx, (ROOM_W * 0.5 - e.x) * 0.25, 1.8 * dt);
+      e.vy = lerp(e.vy, (ROOM_H * 0.5 - e.y) * 0.25, 1.8 * dt);
     }
 
-    shake(6, 0.10);
+    var nx = e.x + e.vx * dt;
+    var ny = e.y + e.vy * dt;
+    var hit = false;
+    if (!collideCircle(nx, e.y, e.r, room)) e.x = nx; else hit = true;
+    if (!collideCircle(e.x, ny, e.r, room)) e.y = ny; else hit = true;
+    if (hit && e.dashT > 0) { e.dashT = 0; e.vx = 0; e.vy = 0; shake(10, 0.2); }
+
+    // script
+    e.modeT -= dt * rate;
+    if (e.modeT > 0) return;
+    var step = ph.script[e.si];
+    if (e.mode === "wait") {
+      e.si = (e.si + 1) % ph.script.length;
+      startBossStep(e);
+      return;
+    }
+    // tele finished or next repeat due: fire
+    if (step.fire) {
+      var dur = firePattern(step.fire, e, { depth: depth, aimA: e.aimA, repeat: step.repeat, gap: step.gap });
+      shake(6, 0.10);
+      emit("enemyShot", { boss: true, x: e.x, y: e.y });
+      e.mode = "wait";
+      e.modeT = dur + (step.wait || 0.5);
+      return;
+    }
+    BOSS_ATTACKS[step.atk](e, step, depth);
+    e.rep += 1;
+    if (e.rep < (step.n || 1)) {
+      e.mode = "fire";
+      e.modeT = step.gap || 0.2;
+    } else {
+      e.mode = "wait";
+      e.modeT = step.wait || 0.5;
+    }
   }
 
   // ---------- Updates ----------
   function update(dt) {
+    // either player can pause or restart
+    var pause = false, restart = false;
+    for (var i = 0; i < players.length; i++) {
+      pause = pause || inputs[i].pause;
+      restart = restart || inputs[i].restart;
+    }
+    if (state.over) {
+      if (restart) newRun();
+      return;
+    }
     if (state.paused) {
-      if (wasPressed(KEY.ESC)) state.paused = false;
-      if (wasPressed(KEY.R)) resetGame();
+      if (pause) state.paused = false;
+      if (restart) newRun();
       return;
     }
 
-    if (wasPressed(KEY.ESC)) {
+    if (pause) {
       if (state.shopOpen) state.shopOpen = false;
       else state.paused = true;
     }
-    if (wasPressed(KEY.R)) resetGame();
+    if (restart) { newRun(); return; }
 
+    state.stats.time += dt;
     if (state.msgT > 0) state.msgT -= dt;
-    if (player.invT > 0) player.invT -= dt;
-    if (player.fireCD > 0) player.fireCD -= dt;
-    if (player.dashT > 0) player.dashT -= dt;
-    if (player.dashCD > 0) player.dashCD -= dt;
-    if (player.burstCD > 0) player.burstCD -= dt;
+    for (i = 0; i < players.length; i++) asPlayer(players[i], tickPlayer, dt);
 
     if (state.cam.shakeT > 0) {
       state.cam.shakeT -= dt;
@@ -696,38 +2481,89 @@
 
     var node = ensureNode(state.roomId);
 
-    // Interactions
-    if (wasPressed(KEY.F) && node.kind === "shop") tryOpenShop();
+    // Interactions (the shop answers to whoever opened it)
+    for (i = 0; i < players.length; i++) {
+      if (players[i].down || !inputs[i].interact) continue;
+      if (node.kind === "shop" && (!state.shopOpen || state.shopBy === i)) {
+        state.shopBy = i;
+        asPlayer(players[i], tryOpenShop);
+      }
+      if (asPlayer(players[i], nearStairs)) { asPlayer(players[i], descendFloor); return; }
+    }
 
-    // Shop buy keys (1..7)
+    // Shop buy slots (1..9)
     if (node.kind === "shop" && state.shopOpen) {
-      if (wasPressed(KEY.ONE)) buyShopItem(SHOP_ITEMS[0]);
-      if (wasPressed(KEY.TWO)) buyShopItem(SHOP_ITEMS[1]);
-      if (wasPressed(KEY.THREE)) buyShopItem(SHOP_ITEMS[2]);
-      if (wasPressed(KEY.FOUR)) buyShopItem(SHOP_ITEMS[3]);
-      if (wasPressed(KEY.FIVE)) buyShopItem(SHOP_ITEMS[4]);
-      if (wasPressed(KEY.SIX)) buyShopItem(SHOP_ITEMS[5]);
-      if (wasPressed(KEY.SEVEN)) buyShopItem(SHOP_ITEMS[6]);
+      var buy = inputs[state.shopBy].buy;
+      if (buy >= 0 && buy < SHOP_ITEMS.length) asPlayer(players[state.shopBy], buyShopItem, SHOP_ITEMS[buy]);
       updateParticles(dt);
       return;
     }
 
-    // Weapon cycling Q/E
-    if (wasPressed(KEY.Q)) cycleWeapon(-1);
-    if (wasPressed(KEY.E)) cycleWeapon(1);
+    // A fight starts behind locked doors once every player is in the room
+    // (locally that's the step after entering; online, when the guest's
+    // screen has caught up)
+    if (state.lockPending && !anyoneAway()) {
+      state.lockPending = false;
+      lockDoors(ensureRoom(state.roomId), true);
+      emit("doors", { open: false });
+    }
+
+    for (i = 0; i < players.length; i++) {
+      if (players[i].down) continue;
+      if (asPlayer(players[i], updatePlayer, dt)) return;   // went through a door
+    }
+    updateRevive(dt);
+
+    // Sim
+    if (state.sandbox) updateSandbox(dt);
+    updateEnemies(dt);
+    updateEmitters(dt);
+    updateBullets(dt);
+    updatePickups(dt);
+    updateParticles(dt);
+
+    // Clear check
+    var room = ensureRoom(state.roomId);
+    var fights = (node.kind === "combat" || node.kind === "challenge" || node.kind === "curse");
+    if (!node.cleared && fights && state.enemies.length === 0 && !updateWaves(node, dt)) {
+      node.cleared = true;
+      state.stats.rooms += 1;
+      state.wave = null;
+      state.lockPending = false;
+      lockDoors(room, false);
+      emit("doors", { open: true });
+      state.msg = "CLEARED";
+      state.msgT = 0.9;
+      clearReward(node);
+    }
+  }
+
+  function tickPlayer(dt) {
+    if (player.invT > 0) player.invT -= dt;
+    if (player.fireCD > 0) player.fireCD -= dt;
+    if (player.dashT > 0) player.dashT -= dt;
+    if (player.dashCD > 0) player.dashCD -= dt;
+    if (player.burstCD > 0) player.burstCD -= dt;
+  }
 
-    // Dash
-    if ((wasPressed(KEY.SPACE) || wasPressed(KEY.SHIFT)) && player.dashCD <= 0) {
-      var mx = 0, my = 0;
-      if (keys[KEY.A] || keys[KEY.LEFT]) mx -= 1;
-      if (keys[KEY.D] || keys[KEY.RIGHT]) mx += 1;
-      if (keys[KEY.W] || keys[KEY.UP]) my -= 1;
-      if (keys[KEY.S] || keys[KEY.DOWN]) my += 1;
+  // One standing player's turn: weapons, dash, movement, shooting, doors.
+  // Returns true when they took everyone into the next room.
+  function updatePlayer(dt) {
+    // Weapon cycling Q/E
+    if (input.prevWeapon) cycleWeapon(-1);
+    if (input.nextWeapon) cycleWeapon(1);
+
+    // Dash: charges refill one at a time, dashCD apart
+    var dashMax = relicFold("dashCharges", 1);
+    if (player.dashCharges < dashMax && player.dashCD <= 0) {
+      player.dashCharges += 1;
+      if (player.dashCharges < dashMax) player.dashCD = 0.80;
+    }
+    if (input.dash && player.dashCharges > 0 && player.dashT <= 0) {
+      var mx = input.moveX, my = input.moveY;
 
       if (mx === 0 && my === 0) {
-        var awx = state.cam.x + (mouse.x - VIEW_OX);
-        var awy = state.cam.y + (mouse.y - VIEW_OY);
-        var dn = norm(awx - player.x, awy - player.y);
+        var dn = norm(input.aimX - player.x, input.aimY - player.y);
         mx = dn.x; my = dn.y;
       } else {
         var dn2 = norm(mx, my);
@@ -735,25 +2571,23 @@
       }
 
       player.dashT = 0.14;
-      player.dashCD = 0.80;
+      player.dashCharges -= 1;
+      if (player.dashCD <= 0) player.dashCD = 0.80;
       player.vx = mx * 820;
       player.vy = my * 820;
       shake(5, 0.10);
     }
 
     // Movement
-    var ax = 0, ay = 0;
+    var ax = input.moveX, ay = input.moveY;
     if (player.dashT <= 0) {
-      if (keys[KEY.A] || keys[KEY.LEFT]) ax -= 1;
-      if (keys[KEY.D] || keys[KEY.RIGHT]) ax += 1;
-      if (keys[KEY.W] || keys[KEY.UP]) ay -= 1;
-      if (keys[KEY.S] || keys[KEY.DOWN]) ay += 1;
-
       var sp = player.speed;
       if (ax !== 0 || ay !== 0) {
+        // analog sticks may report less than full deflection
+        var mag = Math.min(1, Math.sqrt(ax * ax + ay * ay));
         var nn = norm(ax, ay);
-        player.vx = nn.x * sp;
-        player.vy = nn.y * sp;
+        player.vx = nn.x * sp * mag;
+        player.vy = nn.y * sp * mag;
       } else {
         player.vx = lerp(player.vx, 0, 10 * dt);
         player.vy = lerp(player.vy, 0, 10 * dt);
@@ -764,8 +2598,10 @@
     }
 
     // Shooting
-    if (mouse.down) shoot();
+    if (input.reload) startReload();
+    if (input.fire) shoot();
     updateBurst(dt);
+    updateReload(dt);
 
     // Move + door transitions
     var room = ensureRoom(state.roomId);
@@ -773,109 +2609,192 @@
     var nxp = player.x + player.vx * dt;
     var nyp = player.y + player.vy * dt;
 
-    if (player.vy < 0 && inDoorBand("N", player.x, player.y) && (nyp <= 2)) { if (tryDoorTransitionByIntent("N")) return; }
-    if (player.vy > 0 && inDoorBand("S", player.x, player.y) && (nyp >= ROOM_H - 2)) { if (tryDoorTransitionByIntent("S")) return; }
-    if (player.vx < 0 && inDoorBand("W", player.x, player.y) && (nxp <= 2)) { if (tryDoorTransitionByIntent("W")) return; }
-    if (player.vx > 0 && inDoorBand("E", player.x, player.y) && (nxp >= ROOM_W - 2)) { if (tryDoorTransitionByIntent("E")) return; }
+    if (player.vy < 0 && inDoorBand("N", player.x, player.y) && (nyp <= 2)) { if (tryDoorTransitionByIntent("N")) return true; }
+    if (player.vy > 0 && inDoorBand("S", player.x, player.y) && (nyp >= ROOM_H - 2)) { if (tryDoorTransitionByIntent("S")) return true; }
+    if (player.vx < 0 && inDoorBand("W", player.x, player.y) && (nxp <= 2)) { if (tryDoorTransitionByIntent("W")) return true; }
+    if (player.vx > 0 && inDoorBand("E", player.x, player.y) && (nxp >= ROOM_W - 2)) { if (tryDoorTransitionByIntent("E")) return true; }
 
     if (!collideCircle(nxp, player.y, player.r, room)) player.x = nxp; else player.vx = 0;
     if (!collideCircle(player.x, nyp, player.r, room)) player.y = nyp; else player.vy = 0;
-
-    // Camera follow
-    updateCamera(dt);
-
-    // Sim
-    updateEnemies(dt);
-    updateBullets(dt);
-    updatePickups(dt);
-    updateParticles(dt);
-
-    // Clear check
-    if (!node.cleared && node.kind === "combat") {
-      if (state.enemies.length === 0) {
-        node.cleared = true;
-        lockDoors(room, false);
-        state.msg = "CLEARED";
-        state.msgT = 0.9;
-        // rewards
-        state.pickups.push({ x: ROOM_W / 2, y: ROOM_H / 2, t: "coin", v: 6, r: 10 });
-      }
-    }
+    return false;
   }
 
   function cycleWeapon(dir) {
+    var guns = player.guns;
     var start = player.weapon;
     var i = start;
     var count = 0;
-    while (count < WEAPONS.length) {
-      i = (i + dir + WEAPONS.length) % WEAPONS.length;
-      if (WEAPONS[i].unlocked) { player.weapon = i; break; }
+    while (count < guns.length) {
+      i = (i + dir + guns.length) % guns.length;
+      if (guns[i].unlocked) { player.weapon = i; break; }
       count++;
     }
+    if (player.weapon !== start) player.reloadT = 0;   // swapping cancels a reload
   }
 
-  function updateCamera(dt) {
-    // Camera target based on player; clamp only when room larger than viewport
-    var maxX = Math.max(0, ROOM_W - VIEW_W);
-    var maxY = Math.max(0, ROOM_H - VIEW_H);
+  // ---------- Enemy behaviors ----------
+  // ai sets e.vx/e.vy for this frame; attacks tick e.fireCD and spawn things.
+  // e.los (set each frame) = clear walking line to the player; e.shot = clear
+  // bullet line. Without los, movers follow the room flow field.
+  function turnToward(a, target, maxStep) {
+    var diff = target - a;
+    while (diff > Math.PI) diff -= TAU;
+    while (diff < -Math.PI) diff += TAU;
+    return a + clamp(diff, -maxStep, maxStep);
+  }
 
-    var tx = clamp(player.x - VIEW_W / 2, 0, maxX);
-    var ty = clamp(player.y - VIEW_H / 2, 0, maxY);
+  var ENEMY_AI = {
+    chase: function (e, def, dt, depth, dx, dy, d) {
+      var sp = enemySpeed(def.speed, def.speedDepth, depth);
+      var p = pathDir(e, ensureRoom(state.roomId));
+      e.vx = p.x * sp;
+      e.vy = p.y * sp;
+    },
+
+    // keep ~210px away; with no clear shot, reposition along the path
+    kite: function (e, def, dt, depth, dx, dy, d) {
+      var sp = enemySpeed(def.speed, def.speedDepth, depth);
+      if (!e.shot) {
+        var p = pathDir(e, ensureRoom(state.roomId));
+        e.vx = p.x * sp;
+        e.vy = p.y * sp;
+      } else if (d < 210) { e.vx = -(dx / d) * sp; e.vy = -(dy / d) * sp; }
+      else { e.vx = (randf() - 0.5) * 40; e.vy = (randf() - 0.5) * 40; }
+    },
+
+    static: function (e) {
+      e.vx = 0;
+      e.vy = 0;
+    },
+
+    // approach -> wind up (stops, direction locked, telegraphed) -> dash -> recover
+    charge: function (e, def, dt, depth, dx, dy, d) {
+      e.modeT -= dt;
+      if (e.mode === "windup") {
+        e.vx = 0; e.vy = 0;
+        if (e.modeT <= 0) { e.mode = "dash"; e.modeT = def.dashTime; }
+      } else if (e.mode === "dash") {
+        e.vx = Math.cos(e.face) * def.dashSpeed;
+        e.vy = Math.sin(e.face) * def.dashSpeed;
+        if (e.modeT <= 0) { e.mode = "recover"; e.modeT = def.recover; }
+      } else if (e.mode === "recover") {
+        e.vx = lerp(e.vx, 0, 8 * dt);
+        e.vy = lerp(e.vy, 0, 8 * dt);
+        if (e.modeT <= 0) e.mode = null;
+      } else {
+        ENEMY_AI.chase(e, def, dt, depth, dx, dy, d);
+        e.face = Math.atan2(dy, dx);
+        if (d < 320 && e.t > 0.8 && e.los) {
+          e.mode = "windup";
+          e.modeT = def.windup;
+          emit("telegraph", { x: e.x, y: e.y });
+        }
+      }
+    },
 
-    state.cam.x = lerp(state.cam.x, tx, 10 * dt);
-    state.cam.y = lerp(state.cam.y, ty, 10 * dt);
+    // slow chase; shield arc turns toward the player at a limited rate
+    guard: function (e, def, dt, depth, dx, dy, d) {
+      ENEMY_AI.chase(e, def, dt, depth, dx, dy, d);
+      e.face = turnToward(e.face, Math.atan2(dy, dx), def.turn * dt);
+    }
+  };
 
-    // Centering offsets when room smaller than viewport
-    VIEW_OX = (ROOM_W < VIEW_W) ? ((VIEW_W - ROOM_W) * 0.5) : 0;
-    VIEW_OY = (ROOM_H < VIEW_H) ? ((VIEW_H - ROOM_H) * 0.5) : 0;
-  }
-
-  function snapCameraToPlayer() {
-    var maxX = Math.max(0, ROOM_W - VIEW_W);
-    var maxY = Math.max(0, ROOM_H - VIEW_H);
+  var ENEMY_ATTACKS = {
+    // fires def.pattern; needShot = hold fire without a clear bullet line
+    fire: function (e, def, dt, depth, dx, dy, d) {
+      if (e.fireCD > 0) e.fireCD -= dt;
+      if (e.fireCD > 0 || d >= def.range || (def.needShot && !e.shot)) return;
+      firePattern(def.pattern, e, { depth: depth });
+      e.fireCD = def.fireCD[0] + randf() * def.fireCD[1];
+      emit("enemyShot", { boss: false, x: e.x, y: e.y });
+    },
+
+    summon: function (e, def, dt, depth, dx, dy, d) {
+      if (e.fireCD > 0) e.fireCD -= dt;
+      if (e.fireCD > 0 || d >= def.range) return;
+      e.fireCD = def.fireCD[0] + randf() * def.fireCD[1];
+      var s = def.summon;
+      var room = ensureRoom(state.roomId);
+      for (var k = 0; k < s.n && state.enemies.length < s.max; k++) {
+        var a = randf() * TAU;
+        var mx = e.x + Math.cos(a) * (e.r + 20), my = e.y + Math.sin(a) * (e.r + 20);
+        if (collideCircle(mx, my, ENEMIES[s.type].r, room)) continue;
+        spawnEnemy(s.type, mx, my, depth);
+        fxBurst(mx, my, 8, def.color, 160, 0.35, 3);
+      }
+      emit("summon", { x: e.x, y: e.y });
+    }
+  };
 
-    state.cam.x = clamp(player.x - VIEW_W / 2, 0, maxX);
-    state.cam.y = clamp(player.y - VIEW_H / 2, 0, maxY);
+  // Shielded enemies shrug off hits landing inside their arc: only the back is open
+  function shieldBlocks(en, b) {
+    var def = ENEMIES[en.type];
+    if (!def || !def.shieldArc) return false;
+    var hitA = Math.atan2(-b.vy, -b.vx);   // direction the shot came from
+    var diff = Math.abs(turnToward(en.face, hitA, TAU) - en.face);
+    return diff < def.shieldArc * 0.5;
+  }
 
-    VIEW_OX = (ROOM_W < VIEW_W) ? ((VIEW_W - ROOM_W) * 0.5) : 0;
-    VIEW_OY = (ROOM_H < VIEW_H) ? ((VIEW_H - ROOM_H) * 0.5) : 0;
+  function killEnemy(i, depth) {
+    var e = state.enemies[i];
+    var def = ENEMIES[e.type];
+    if (!e.noLoot) {
+      dropCoins(e.x, e.y, def.coins[0] + randi(def.coins[1] + 1) + ((depth / 4) | 0));
+      if (def.heart && chance(def.heart)) state.pickups.push({ x: e.x, y: e.y, t: "heart", v: 2, r: 10 });
+      if (chance(AMMO_DROP)) state.pickups.push({ x: e.x + 12, y: e.y - 8, t: "ammo", v: 10 + depth, r: 10 });
+    }
+    state.enemies.splice(i, 1);
+    if (def.split && !e.noLoot) {
+      for (var k = 0; k < def.split.n; k++) {
+        var a = (k / def.split.n) * TAU + randf();
+        spawnEnemy(def.split.type, e.x + Math.cos(a) * 14, e.y + Math.sin(a) * 14, depth);
+      }
+    }
+    fxDeath(e.x, e.y, def.color);
+    emit("kill", { x: e.x, y: e.y, kind: e.type });
   }
 
+  // Each enemy acts against the nearest standing player (bound as `player`
+  // for its AI, attacks and flow field); contact hurts anyone it touches
   function updateEnemies(dt) {
     var room = ensureRoom(state.roomId);
     var node = ensureNode(state.roomId);
     var depth = node.depth;
+    var lead = player;
 
     for (var i = state.enemies.length - 1; i >= 0; i--) {
       var e = state.enemies[i];
+      player = nearestPlayer(e.x, e.y);
       e.t += dt;
+      if (e.flashT > 0) e.flashT -= dt;
 
       if (e.type === "boss") {
-        // Boss movement: drift and re-center
-        var dxB = (ROOM_W * 0.5) - e.x;
-        var dyB = (ROOM_H * 0.5) - e.y;
-        e.vx = lerp(e.vx, dxB * 0.25, 1.8 * dt);
-        e.vy = lerp(e.vy, dyB * 0.25, 1.8 * dt);
-
-        // avoid sticking
-        var nx = e.x + e.vx * dt;
-        var ny = e.y + e.vy * dt;
-        if (!collideCircle(nx, e.y, e.r, room)) e.x = nx;
-        if (!collideCircle(e.x, ny, e.r, room)) e.y = ny;
+        e.los = lineOfSight(e.x, e.y, player.x, player.y, e.r, room);
+        updateBoss(e, dt, depth, room);
 
-        bossAttack(e, dt);
-
-        // contact damage
-        if (dist2(e.x, e.y, player.x, player.y) < (e.r + player.r) * (e.r + player.r)) hurtPlayer(2);
+        // contact damage (a charge hits harder)
+        hurtTouching(e.x, e.y, e.r, e.dashT > 0 ? 3 : 2);
 
         if (e.hp <= 0) {
-          // boss reward: lots of coins + weapon unlock chance
+          // boss reward: lots of coins + weapon unlock chance + an upgrade and a mod
           dropCoins(e.x, e.y, 30);
           if (chance(0.80)) unlockRandomWeapon();
+          state.pickups.push({ x: e.x - 30, y: e.y, t: "upgrade", v: 1, r: 11 });
+          state.pickups.push({ x: e.x + 30, y: e.y, t: "mod", v: MOD_IDS[randi(MOD_IDS.length)], r: 11 });
+          state.pickups.push({ x: e.x, y: e.y + 30, t: "ammo", v: 60, r: 10 });
+          var relics = unownedRelics();
+          if (relics.length) state.pickups.push({ x: e.x, y: e.y - 30, t: "relic", v: relics[randi(relics.length)], r: 12 });
           state.enemies.splice(i, 1);
+          // summoned adds go down with their boss (no loot)
+          for (var a = 0; a < state.enemies.length; a++) {
+            if (state.enemies[a].add) { state.enemies[a].hp = 0; state.enemies[a].noLoot = true; }
+          }
           shake(14, 0.25);
+          fxBossExplosion(e.x, e.y);
           state.msg = "BOSS DOWN!";
           state.msgT = 1.2;
+          state.stats.bosses += 1;
+          emit("bossDeath", { x: e.x, y: e.y });
         }
         continue;
       }
@@ -885,61 +2804,136 @@
       var dy = player.y - e.y;
       var d = Math.sqrt(dx * dx + dy * dy) || 1;
 
-      if (e.type === "chaser") {
-        var sp = 105 + depth * 2;
-        e.vx = (dx / d) * sp;
-        e.vy = (dy / d) * sp;
-      } else {
-        var sp2 = 95 + depth * 1.5;
-        var desired = 210;
-        if (d < desired) { e.vx = -(dx / d) * sp2; e.vy = -(dy / d) * sp2; }
-        else { e.vx = (randf() - 0.5) * 40; e.vy = (randf() - 0.5) * 40; }
-
-        if (e.fireCD > 0) e.fireCD -= dt;
-        if (e.fireCD <= 0 && d < 480) {
-          var n = norm(dx, dy);
-          spawnBullet(e.x, e.y, n.x * (320 + depth * 4), n.y * (320 + depth * 4), 1, "enemy", "e", 2.0);
-          e.fireCD = 0.9 + randf() * 0.6;
-        }
-      }
+      var def = ENEMIES[e.type];
+      e.shot = lineOfSight(e.x, e.y, player.x, player.y, 0, room);
+      e.los = e.shot && lineOfSight(e.x, e.y, player.x, player.y, e.r + 2, room);
+      ENEMY_AI[def.ai](e, def, dt, depth, dx, dy, d);
+      if (def.attack) ENEMY_ATTACKS[def.attack](e, def, dt, depth, dx, dy, d);
 
       var nx2 = e.x + e.vx * dt;
       var ny2 = e.y + e.vy * dt;
-      if (!collideCircle(nx2, e.y, e.r, room)) e.x = nx2;
-      if (!collideCircle(e.x, ny2, e.r, room)) e.y = ny2;
+      var hitX = collideCircle(nx2, e.y, e.r, room);
+      if (!hitX) e.x = nx2;
+      var hitY = collideCircle(e.x, ny2, e.r, room);
+      if (!hitY) e.y = ny2;
+      // a dash that hits a wall ends early
+      if (e.mode === "dash" && (hitX || hitY)) { e.mode = "recover"; e.modeT = def.recover; shake(4, 0.08); }
 
-      if (dist2(e.x, e.y, player.x, player.y) < (e.r + player.r) * (e.r + player.r)) hurtPlayer(1);
+      hurtTouching(e.x, e.y, e.r, e.mode === "dash" ? def.contact : 1);
 
-      if (e.hp <= 0) {
-        var coins = 2 + randi(3) + ((depth / 4) | 0);
-        dropCoins(e.x, e.y, coins);
-        if (chance(0.10)) state.pickups.push({ x: e.x, y: e.y, t: "heart", v: 2, r: 10 });
-        state.enemies.splice(i, 1);
-      }
+      if (e.hp <= 0) killEnemy(i, depth);
     }
+    player = lead;
   }
 
+  // Boss find: every player turns up one of their own locked weapons
   function unlockRandomWeapon() {
-    var locked = [];
-    for (var i = 0; i < WEAPONS.length; i++) if (!WEAPONS[i].unlocked) locked.push(WEAPONS[i]);
-    if (locked.length === 0) return;
-    var w = locked[randi(locked.length)];
-    w.unlocked = true;
-    state.msg = "FOUND: " + w.name;
-    state.msgT = 1.1;
+    for (var p = 0; p < players.length; p++) {
+      var guns = players[p].guns, locked = [];
+      for (var i = 0; i < guns.length; i++) if (!guns[i].unlocked) locked.push(guns[i]);
+      if (locked.length === 0) continue;
+      var w = locked[randi(locked.length)];
+      w.unlocked = true;
+      state.msg = "FOUND: " + w.name;
+      state.msgT = 1.1;
+    }
+  }
+
+  // Homing player rounds bend toward the nearest live enemy in range
+  function seekEnemy(b, dt) {
+    var best = null, bestD = 320 * 320;
+    for (var i = 0; i < state.enemies.length; i++) {
+      var en = state.enemies[i];
+      if (en.hp <= 0 || (b.hits && b.hits.indexOf(en) >= 0)) continue;
+      var d = dist2(b.x, b.y, en.x, en.y);
+      if (d < bestD) { bestD = d; best = en; }
+    }
+    if (!best) return;
+    var want = Math.atan2(best.y - b.y, best.x - b.x);
+    var have = Math.atan2(b.vy, b.vx);
+    rotateVel(b, turnToward(have, want, b.seek * dt) - have);
+  }
+
+  // Player shots chip cracked walls (tile 6); a broken one becomes the
+  // secret room's door for good.
+  function crackWall(b, wx, wy, room) {
+    var tx = (wx / TILE) | 0;
+    var ty = (wy / TILE) | 0;
+    if (tx < 0 || ty < 0 || tx >= ROOM_TW || ty >= ROOM_TH) return;
+    var idx = tileIndex(tx, ty);
+    if (room.g[idx] !== 6) return;
+    if (!room.cracks) room.cracks = {};
+    room.cracks[idx] = (room.cracks[idx] || 0) + (b.boom ? CRACK_HITS : 1);
+    fxBurst(b.x, b.y, 4, "200,200,200", 160, 0.25, 3);
+    if (room.cracks[idx] < CRACK_HITS) return;
+
+    var node = ensureNode(state.roomId);
+    var dirs = ["N", "S", "W", "E"];
+    for (var i = 0; i < dirs.length; i++) {
+      var edge = doorTile(dirs[i], 0);
+      if (tileIndex(edge.x, edge.y) !== idx) continue;
+      var inner = doorTile(dirs[i], 1);
+      room.g[idx] = 1;
+      room.g[tileIndex(inner.x, inner.y)] = 3;
+      ensureNode(neighborId(node, dirs[i])).flags.found = true;
+      resetFlows();
+      fxBurst(tx * TILE + TILE / 2, ty * TILE + TILE / 2, 24, "200,200,200", 320, 0.6, 4);
+      shake(8, 0.2);
+      state.msg = "SECRET ROOM!";
+      state.msgT = 1.2;
+      emit("secret", { dir: dirs[i] });
+      return;
+    }
+  }
+
+  // Reflect off whichever axis ran into the wall (both on a corner)
+  function bounceBullet(b, nx, ny, room) {
+    var flipX = isSolidAtPoint(nx, b.y, room);
+    var flipY = isSolidAtPoint(b.x, ny, room);
+    if (flipX || !flipY) b.vx = -b.vx;
+    if (flipY || !flipX) b.vy = -b.vy;
+    b.bounce -= 1;
+  }
+
+  // Area damage for explosive rounds; `skip` already took the direct hit
+  function explodeBullet(b, skip) {
+    var dmg = Math.max(1, Math.ceil(b.dmg * 0.5));
+    for (var i = 0; i < state.enemies.length; i++) {
+      var en = state.enemies[i];
+      if (en === skip || en.hp <= 0) continue;
+      var reach = b.boom + en.r;
+      if (dist2(b.x, b.y, en.x, en.y) > reach * reach) continue;
+      damageEnemy(en, dmg, b);
+    }
+    fxExplosion(b.x, b.y, b.boom);
+    shake(4, 0.08);
+    emit("explode", { x: b.x, y: b.y });
   }
 
   function updateBullets(dt) {
     var room = ensureRoom(state.roomId);
+    var depth = ensureNode(state.roomId).depth;
+    var slow = 1;
+    for (var pi = 0; pi < players.length; pi++) slow = asPlayer(players[pi], relicFold, "enemyBullets", slow);
 
     for (var i = state.bullets.length - 1; i >= 0; i--) {
       var b = state.bullets[i];
-      b.t -= dt;
-
-      var nx = b.x + b.vx * dt;
-      var ny = b.y + b.vy * dt;
-
-      if (isSolidAtPoint(nx, ny, room)) { state.bullets.splice(i, 1); continue; }
+      var bdt = (b.from === "player") ? dt : dt * slow;
+      b.t -= bdt;
+      if (b.age != null && !steerBullet(b, bdt, depth)) { state.bullets.splice(i, 1); continue; }
+      if (b.seek) seekEnemy(b, dt);
+
+      var nx = b.x + b.vx * bdt;
+      var ny = b.y + b.vy * bdt;
+
+      if (isSolidAtPoint(nx, ny, room)) {
+        fxImpact(b.x, b.y, b.from);
+        if (b.from === "player") crackWall(b, nx, ny, room);
+        if (b.bounce > 0) { bounceBullet(b, nx, ny, room); continue; }
+        if (b.boom) explodeBullet(b, null);
+        state.bullets.splice(i, 1);
+        continue;
+      }
 
       b.x = nx; b.y = ny;
 
@@ -947,30 +2941,64 @@
         for (var e = state.enemies.length - 1; e >= 0; e--) {
           var en = state.enemies[e];
           if (dist2(b.x, b.y, en.x, en.y) < (b.r + en.r) * (b.r + en.r)) {
-            en.hp -= b.dmg;
+            if (b.hits && b.hits.indexOf(en) >= 0) continue;
+            if (shieldBlocks(en, b)) {
+              fxImpact(b.x, b.y, "player");
+              emit("block", { x: b.x, y: b.y });
+              state.bullets.splice(i, 1);
+              break;
+            }
+            damageEnemy(en, b.dmg, b);
+            fxBurst(b.x, b.y, 3, "255,255,255", 160, 0.14, 2);
             shake(2, 0.05);
+            if (b.boom) explodeBullet(b, en);
+            if (b.pierce > 0) { b.pierce -= 1; b.hits.push(en); continue; }
             state.bullets.splice(i, 1);
             break;
           }
         }
       } else {
-        if (dist2(b.x, b.y, player.x, player.y) < (b.r + player.r) * (b.r + player.r)) {
-          hurtPlayer(b.dmg);
+        if (hurtTouching(b.x, b.y, b.r, b.dmg)) {
           state.bullets.splice(i, 1);
           continue;
         }
       }
 
-      if (b.t <= 0) state.bullets.splice(i, 1);
+      if (b.t <= 0 && state.bullets[i] === b) {
+        if (b.boom) explodeBullet(b, null);
+        state.bullets.splice(i, 1);
+      }
     }
   }
 
   function updatePickups(dt) {
+    for (var i = 0; i < players.length; i++) if (!players[i].down) asPlayer(players[i], collectPickups, dt);
+  }
+
+  // Pickups the bound player pulls in or walks over
+  function collectPickups(dt) {
+    var magnet = relicFold("magnet", 0);
     for (var i = state.pickups.length - 1; i >= 0; i--) {
       var p = state.pickups[i];
+      if (p.t === "ammo" && player.reserve >= AMMO_MAX) continue;   // left on the floor for later
+      if (magnet > 0 && p.t === "coin" && dist2(p.x, p.y, player.x, player.y) < magnet * magnet) {
+        var pull = norm(player.x - p.x, player.y - p.y);
+        p.x += pull.x * 420 * dt;
+        p.y += pull.y * 420 * dt;
+      }
       if (dist2(p.x, p.y, player.x, player.y) < (p.r + player.r + 10) * (p.r + player.r + 10)) {
-        if (p.t === "coin") { state.coins += p.v; state.msg = "+COIN"; state.msgT = 0.30; }
+        if (p.t === "coin") { earnCoins(p.v); state.msg = "+COIN"; state.msgT = 0.30; }
         else if (p.t === "heart") { player.hp = clamp(player.hp + p.v, 0, player.hpMax); state.msg = "+HP"; state.msgT = 0.45; }
+        else if (p.t === "ammo") { player.reserve = Math.min(AMMO_MAX, player.reserve + p.v); state.msg = "+AMMO"; state.msgT = 0.45; }
+        else if (p.t === "upgrade") grantUpgrade();
+        else if (p.t === "mod") grantMod(p.v);
+        else if (p.t === "relic") {
+          gainRelic(p.v);
+          if (ensureNode(state.roomId).kind === "treasure") ensureNode(state.roomId).flags.relicTaken = true;
+        }
+        if (p.t === "coin") fxCoinSparkle(p.x, p.y);
+        else fxBurst(p.x, p.y, 8, "120,255,170", 160, 0.4, 3);
+        emit("pickup", { t: p.t, v: p.v, x: p.x, y: p.y });
         state.pickups.splice(i, 1);
       }
     }
@@ -984,420 +3012,3600 @@
       p.y += p.vy * dt;
       p.vx *= Math.pow(0.002, dt);
       p.vy *= Math.pow(0.002, dt);
+      if (p.grow) p.size += p.grow * dt;
       if (p.t <= 0) state.fx.splice(i, 1);
     }
   }
 
-  // ---------- Render ----------
-  function draw() {
-    var room = ensureRoom(state.roomId);
-    var node = ensureNode(state.roomId);
+  // ---------- Reset ----------
+  // Passing a seed pins it: restarts (R) keep it. No seed rolls a fresh one each run.
+  var pinnedSeed = null;
 
-    ctx.clearRect(0, 0, VIEW_W, VIEW_H);
-    ctx.fillStyle = "#07060b";
-    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+  function resetGame(seed) {
+    emit("reset");
+    if (seed !== undefined) pinnedSeed = (seed != null && seed !== "") ? String(seed) : null;
+    setSeed(pinnedSeed != null ? pinnedSeed : newSeed());
+    clearRunState();
+    genFloor();
 
-    var sx = 0, sy = 0;
-    if (state.cam.shake > 0 && state.cam.shakeT > 0) {
-      sx = (randf() - 0.5) * state.cam.shake * 2;
-      sy = (randf() - 0.5) * state.cam.shake * 2;
-    }
+    ensureNode("0,0");
+    ensureRoom("0,0");
+    loadRoom("0,0");
+    gatherPlayers(player, 1, 0);
+  }
 
-    var camX = state.cam.x + sx;
-    var camY = state.cam.y + sy;
+  // Abandon the current run (R): the old save must not come back via Continue
+  function newRun() {
+    if (state.sandbox) { startSandbox(sandboxName()); return; }
+    clearSave();
+    resetGame();
+  }
 
-    drawRoom(room, node, camX, camY);
-    drawEntities(camX, camY);
-    drawHUD(node);
+  // Weapons found are read off the players' guns, not tallied
+  function newStats() { return { rooms: 0, depth: 0, bosses: 0, coins: 0, time: 0 }; }
 
-    if (node.kind === "shop") drawShopHint();
-    if (state.shopOpen) drawShopOverlay();
+  function clearRunState() {
+    state.msg = "";
+    state.msgT = 0;
+    state.coins = 0;
+    state.floor = 1;
+    state.layout = null;
+    state.stairs = null;
+    state.roomId = "0,0";
+    state.map = {};
+    state.rooms = {};
+    state.enemies = [];
+    state.bullets = [];
+    state.pickups = [];
+    state.fx = [];
+    state.emitters = [];
+    state.sandbox = null;
+    state.wave = null;
+    state.lockPending = false;
+    state.paused = false;
+    state.over = null;
+    state.shopOpen = false;
+    state.run = { difficulty: runCfg.difficulty, modifiers: runCfg.modifiers.slice(0) };
+    state.stats = newStats();
 
-    if (state.paused) drawPause();
+    state.shopBy = 0;
+    state.coop = { players: coopCfg.players, split: coopCfg.split };
+
+    players.length = state.coop.players;
+    for (var i = 0; i < players.length; i++) players[i] = resetPlayer(players[i] || {}, i);
+    player = players[0];
+    input = inputs[0];
   }
 
-  function drawRoom(room, node, camX, camY) {
-    var g = room.g;
-    if (!g) return;
+  // ---------- Save / resume ----------
+  // Versioned snapshot of the run, written on every room transition. Live
+  // entities are not stored: the current room respawns from its seeded stream.
+  var SAVE_KEY = "njs.run";
+  var SAVE_VERSION = 9;
+  // SAVE_MIGRATIONS[v] upgrades a version-v save to version v + 1
+  var SAVE_MIGRATIONS = {
+    // v2: per-weapon upgrade levels + mods (v1 runs start unbuilt)
+    1: function (d) {
+      d.builds = [];
+      for (var i = 0; i < WEAPONS.length; i++) d.builds.push({ lv: [0, 0, 0, 0], mods: [] });
+      d.v = 2;
+      return d;
+    },
+    // v3: ammo reserve + per-weapon magazines (v1/v2 runs resume topped up)
+    2: function (d) {
+      d.player.reserve = AMMO_START;
+      d.clips = [];
+      for (var i = 0; i < WEAPONS.length; i++) d.clips.push(WEAPONS[i].mag);
+      d.v = 3;
+      return d;
+    },
+    // v4: relics
+    3: function (d) {
+      d.relics = [];
+      d.v = 4;
+      return d;
+    },
+    // v5: floors. Open-grid rooms don't map onto a floor layout, so the run
+    // keeps its loadout and starts floor 1 afresh
+    4: function (d) {
+      d.floor = 1;
+      d.roomId = "0,0";
+      d.map = { "0,0": { kind: "start", seen: true, cleared: true, flags: {} } };
+      d.rooms = {};
+      d.player.x = ROOM_W / 2;
+      d.player.y = ROOM_H / 2;
+      d.v = 5;
+      return d;
+    },
+    // v6: co-op. Loadouts move onto the player they belong to
+    5: function (d) {
+      var p = d.player;
+      p.coins = 0;
+      p.down = false;
+      p.weapons = d.weapons;
+      p.builds = d.builds;
+      p.clips = d.clips;
+      p.relics = d.relics;
+      d.players = [p];
+      d.coop = { players: 1, split: false };
+      delete d.player;
+      delete d.weapons;
+      delete d.builds;
+      delete d.clips;
+      delete d.relics;
+      d.v = 6;
+      return d;
+    },
+    // v7: difficulty + run modifiers (older runs were Normal, unmodified)
+    6: function (d) {
+      d.run = { difficulty: "normal", mods: [] };
+      d.v = 7;
+      return d;
+    },
+    // v8: run stats (older runs count from where they resume)
+    7: function (d) {
+      d.stats = newStats();
+      d.v = 8;
+      return d;
+    },
+    // v9: run.mods renamed run.modifiers (weapon mods keep "mods")
+    8: function (d) {
+      d.run = { difficulty: d.run.difficulty, modifiers: d.run.mods };
+      d.v = 9;
+      return d;
+    }
+  };
+  var storage = null;   // localStorage in the browser; headless runs don't persist
 
-    var x, y;
-    for (y = 0; y < ROOM_TH; y++) {
-      for (x = 0; x < ROOM_TW; x++) {
-        var t = g[tileIndex(x, y)];
+  function setStorage(s) { storage = s || null; }
 
-        var sx = ((x * TILE - camX) + VIEW_OX) | 0;
-        var sy = ((y * TILE - camY) + VIEW_OY) | 0;
+  function encodeTiles(g) { return g ? g.join("") : ""; }
+  function decodeTiles(str) {
+    if (!str) return null;
+    var g = new Array(str.length);
+    for (var i = 0; i < str.length; i++) g[i] = str.charCodeAt(i) - 48;
+    return g;
+  }
 
-        if (sx > VIEW_W || sy > VIEW_H || sx + TILE < 0 || sy + TILE < 0) continue;
+  function serializeRun() {
+    var rooms = {};
+    for (var id in state.rooms) {
+      var r = state.rooms[id];
+      // the current room's floor is live; every other room's is its stash
+      var left = (id === state.roomId) ? state.pickups : r.pickups;
+      rooms[id] = {
+        g: encodeTiles(r.g), doorsOpen: r.doorsOpen, neighbors: r.neighbors, spawns: r.spawns || [],
+        pickups: left ? copyPickups(left) : null, cracks: r.cracks
+      };
+    }
+    var saved = [];
+    for (var i = 0; i < players.length; i++) saved.push(serializePlayer(players[i]));
+
+    return {
+      v: SAVE_VERSION,
+      seed: runSeed,
+      pinned: pinnedSeed != null,
+      rng: rng.s,
+      floor: state.floor,
+      roomId: state.roomId,
+      coins: state.coins,
+      coop: { players: state.coop.players, split: state.coop.split },
+      run: { difficulty: state.run.difficulty, modifiers: state.run.modifiers.slice(0) },
+      stats: copyStats(state.stats),
+      players: saved,
+      map: serializeMap(),
+      rooms: rooms
+    };
+  }
 
-        if (t === 0) {
-          ctx.fillStyle = ((x + y) & 1) ? "rgba(255,255,255,0.070)" : "rgba(255,255,255,0.095)";
-          ctx.fillRect(sx, sy, TILE, TILE);
-          ctx.fillStyle = "rgba(0,0,0,0.24)";
-          ctx.fillRect(sx, sy + TILE - 4, TILE, 4);
-          ctx.fillStyle = "rgba(255,255,255,0.06)";
-          ctx.fillRect(sx, sy, TILE, 3);
-        } else if (t === 2) {
-          ctx.fillStyle = "rgba(0,0,0,0.62)";
-          ctx.fillRect(sx, sy, TILE, TILE);
-          ctx.fillStyle = "rgba(255,255,255,0.02)";
-          ctx.fillRect(sx + 3, sy + 3, TILE - 6, TILE - 6);
-        } else {
-          ctx.fillStyle = ((x + y) & 1) ? "rgba(255,255,255,0.030)" : "rgba(255,255,255,0.040)";
-          ctx.fillRect(sx, sy, TILE, TILE);
-        }
+  function copyStats(st) {
+    return { rooms: st.rooms, depth: st.depth, bosses: st.bosses, coins: st.coins, time: st.time };
+  }
 
-        if (t === 3) {
-          ctx.fillStyle = "rgba(124,92,255,0.14)";
-          ctx.fillRect(sx + 10, sy + 10, TILE - 20, TILE - 20);
-        } else if (t === 4) {
-          // pillar
-          var cx = sx + (TILE >> 1);
-          var cy = sy + (TILE >> 1);
-          var r = (TILE * 0.30) | 0;
+  function serializeMap() {
+    var map = {};
+    for (var id in state.map) {
+      var n = state.map[id];
+      map[id] = { kind: n.kind, seen: n.seen, cleared: n.cleared, flags: n.flags };
+    }
+    return map;
+  }
 
-          ctx.fillStyle = "rgba(0,0,0,0.30)";
-          ctx.fillRect(cx - r, cy + r, r * 2, r);
+  function serializePlayer(p) {
+    var unlocked = [], builds = [], clips = [];
+    for (var i = 0; i < p.guns.length; i++) {
+      var w = p.guns[i], mods = [];
+      for (var m = 0; m < MOD_IDS.length; m++) if (w.mods[MOD_IDS[m]]) mods.push(MOD_IDS[m]);
+      unlocked.push(w.unlocked);
+      clips.push(w.clip);
+      builds.push({ lv: [w.lv.dmg, w.lv.rate, w.lv.spread, w.lv.pellets], mods: mods });
+    }
+    return {
+      x: p.x, y: p.y,
+      hp: p.hp, hpMax: p.hpMax,
+      speed: p.speed, weapon: p.weapon,
+      reserve: p.reserve,
+      coins: p.coins,
+      down: p.down,
+      weapons: unlocked,
+      builds: builds,
+      clips: clips,
+      relics: p.relics.slice(0)
+    };
+  }
 
-          ctx.fillStyle = "rgba(255,255,255,0.08)";
-          ctx.fillRect(cx - r, cy - r, r * 2, r * 2);
+  function migrateSave(data) {
+    while (data.v < SAVE_VERSION) {
+      if (!SAVE_MIGRATIONS[data.v]) return null;
+      data = SAVE_MIGRATIONS[data.v](data);
+    }
+    return (data.v === SAVE_VERSION) ? data : null;
+  }
 
-          ctx.fillStyle = "rgba(124,92,255,0.20)";
-          ctx.fillRect(cx - r + 3, cy - r + 3, r, r);
-        } else if (t === 5) {
-          ctx.fillStyle = "rgba(124,92,255,0.10)";
-          ctx.fillRect(sx + 12, sy + 12, TILE - 24, TILE - 24);
-        }
+  function isNum(v) { return typeof v === "number" && isFinite(v); }
+
+  // every kind genFloor can hand out; anything else is a hand-edited save
+  var ROOM_KINDS = ["start", "combat", "shop", "treasure", "challenge", "curse", "secret"];
+
+  function isValidSave(d) {
+    if (!d || typeof d.seed !== "string" || !isNum(d.rng) || !isNum(d.coins)) return false;
+    if (!isNum(d.floor) || d.floor < 1) return false;
+    if (typeof d.roomId !== "string" || !/^-?\d+,-?\d+$/.test(d.roomId)) return false;
+    if (!d.map || typeof d.map !== "object" || !d.map[d.roomId]) return false;
+    if (!d.rooms || typeof d.rooms !== "object") return false;
+    if (!d.coop || (d.coop.players !== 1 && d.coop.players !== 2)) return false;
+    if (!isValidRunConfig(d.run)) return false;
+    if (!d.stats || !isNum(d.stats.rooms) || !isNum(d.stats.depth) || !isNum(d.stats.bosses) ||
+      !isNum(d.stats.coins) || !isNum(d.stats.time)) return false;
+    if (!Array.isArray(d.players) || d.players.length !== d.coop.players) return false;
+    var standing = 0;
+    for (var i = 0; i < d.players.length; i++) {
+      if (!isValidSavedPlayer(d.players[i])) return false;
+      if (!d.players[i].down) standing++;
+    }
+    if (standing === 0) return false;
+    for (var id in d.map) {
+      var node = d.map[id];
+      if (!/^-?\d+,-?\d+$/.test(id) || !node || typeof node !== "object") return false;
+      if (ROOM_KINDS.indexOf(node.kind) < 0) return false;
+      if (node.flags != null && typeof node.flags !== "object") return false;
+    }
+    for (id in d.rooms) {
+      var rs = d.rooms[id];
+      if (!/^-?\d+,-?\d+$/.test(id) || !rs || typeof rs !== "object") return false;
+      if (rs.spawns != null && !Array.isArray(rs.spawns)) return false;
+      for (var si = 0; rs.spawns && si < rs.spawns.length; si++) {
+        if (!rs.spawns[si] || !isNum(rs.spawns[si].x) || !isNum(rs.spawns[si].y)) return false;
+      }
+      if ((rs.doorsOpen != null && typeof rs.doorsOpen !== "object") ||
+        (rs.neighbors != null && typeof rs.neighbors !== "object")) return false;
+      var g = rs.g, left = rs.pickups;
+      if (typeof g !== "string" || (g.length && !/^[0-6]+$/.test(g))) return false;
+      if (g.length && g.length !== ROOM_TW * ROOM_TH) return false;
+      if (left != null && !Array.isArray(left)) return false;
+      for (var pi = 0; left && pi < left.length; pi++) {
+        var pk = left[pi];
+        if (!pk || !isNum(pk.x) || !isNum(pk.y) || !isNum(pk.r) || !isValidPickupValue(pk.t, pk.v)) return false;
+      }
+      if (rs.cracks != null && typeof rs.cracks !== "object") return false;
+      for (var ti in rs.cracks) {
+        if (!/^\d+$/.test(ti) || +ti >= ROOM_TW * ROOM_TH || !isNum(rs.cracks[ti])) return false;
       }
     }
-
-    drawDoorBars(room, camX, camY);
-
-    if (node.kind === "shop") drawShopSet(camX, camY);
-    drawVignette();
+    return true;
   }
 
-  function drawDoorBars(room, camX, camY) {
-    var mx = ROOM_W * 0.5;
-    var my = ROOM_H * 0.5;
-    var span = DOOR_SPAN;
+  // relics and mods are looked up by id when picked up, the rest are amounts
+  function isValidPickupValue(t, v) {
+    if (t === "relic") return typeof v === "string" && RELICS.hasOwnProperty(v);
+    if (t === "mod") return typeof v === "string" && MODS.hasOwnProperty(v);
+    return (t === "coin" || t === "heart" || t === "ammo" || t === "upgrade") && isNum(v);
+  }
 
-    ctx.fillStyle = "rgba(255,80,140,0.24)";
-    if (room.neighbors.N && !room.doorsOpen.N) ctx.fillRect(((mx - span - camX) + VIEW_OX) | 0, ((2 - camY) + VIEW_OY) | 0, (span * 2) | 0, 8);
-    if (room.neighbors.S && !room.doorsOpen.S) ctx.fillRect(((mx - span - camX) + VIEW_OX) | 0, ((ROOM_H - 10 - camY) + VIEW_OY) | 0, (span * 2) | 0, 8);
-    if (room.neighbors.W && !room.doorsOpen.W) ctx.fillRect(((2 - camX) + VIEW_OX) | 0, ((my - span - camY) + VIEW_OY) | 0, 8, (span * 2) | 0);
-    if (room.neighbors.E && !room.doorsOpen.E) ctx.fillRect(((ROOM_W - 10 - camX) + VIEW_OX) | 0, ((my - span - camY) + VIEW_OY) | 0, 8, (span * 2) | 0);
+  function isValidSavedPlayer(p) {
+    if (!p || !isNum(p.x) || !isNum(p.y) || !isNum(p.hp) || !isNum(p.hpMax) || !isNum(p.speed) || !isNum(p.weapon)) return false;
+    if ((p.hp <= 0 && !p.down) || !WEAPONS[p.weapon] || !isNum(p.reserve) || p.reserve < 0 || !isNum(p.coins)) return false;
+    if (!Array.isArray(p.weapons) || p.weapons.length !== WEAPONS.length) return false;
+    if (!Array.isArray(p.builds) || p.builds.length !== WEAPONS.length) return false;
+    if (!Array.isArray(p.clips) || p.clips.length !== WEAPONS.length) return false;
+    if (!Array.isArray(p.relics)) return false;
+    for (var ri = 0; ri < p.relics.length; ri++) {
+      if (!RELICS.hasOwnProperty(p.relics[ri]) || p.relics.indexOf(p.relics[ri]) !== ri) return false;
+    }
+    for (var i = 0; i < p.builds.length; i++) {
+      var bd = p.builds[i];
+      if (!bd || !Array.isArray(bd.lv) || bd.lv.length !== UPGRADE_IDS.length || !Array.isArray(bd.mods)) return false;
+      for (var k = 0; k < UPGRADE_IDS.length; k++) {
+        if (!isNum(bd.lv[k]) || bd.lv[k] < 0 || bd.lv[k] > UPGRADES[UPGRADE_IDS[k]].max) return false;
+      }
+      for (k = 0; k < bd.mods.length; k++) if (!MODS.hasOwnProperty(bd.mods[k])) return false;
+      if (!isNum(p.clips[i]) || p.clips[i] < 0 || p.clips[i] > WEAPONS[i].mag) return false;
+    }
+    return true;
   }
 
-  function drawShopSet(camX, camY) {
-    var cx = ((ROOM_W * 0.5 - camX) + VIEW_OX) | 0;
-    var cy = ((TILE * 2.7 - camY) + VIEW_OY) | 0;
+  // -> { status: "none" | "ok" | "corrupt" | "old", data }
+  function readSave() {
+    var raw = null;
+    if (storage) {
+      try { raw = storage.getItem(SAVE_KEY); } catch (e) { raw = null; }
+    }
+    if (!raw) return { status: "none", data: null };
 
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.fillRect(cx - 130, cy + 22, 260, 14);
+    var data;
+    try { data = JSON.parse(raw); } catch (e2) { return { status: "corrupt", data: null }; }
+    if (!data || !isNum(data.v)) return { status: "corrupt", data: null };
 
-    ctx.fillStyle = "rgba(255,255,255,0.08)";
-    ctx.fillRect(cx - 130, cy + 4, 260, 20);
+    // migrations assume the shape of their version; a mangled one throws
+    try { data = migrateSave(data); } catch (e3) { return { status: "corrupt", data: null }; }
+    if (!data) return { status: "old", data: null };
+    if (!isValidSave(data)) return { status: "corrupt", data: null };
+    return { status: "ok", data: data };
+  }
 
-    ctx.fillStyle = "rgba(124,92,255,0.75)";
-    ctx.fillRect(cx - 8, cy - 12, 16, 16);
-    ctx.fillStyle = "rgba(255,255,255,0.35)";
-    ctx.fillRect(cx - 3, cy - 8, 6, 3);
+  function writeSave() {
+    if (!storage) return;
+    try { storage.setItem(SAVE_KEY, JSON.stringify(serializeRun())); } catch (e) { /* quota / private mode */ }
   }
 
-  function drawVignette() {
-    ctx.fillStyle = "rgba(0,0,0,0.18)";
-    ctx.fillRect(0, 0, VIEW_W, 54);
-    ctx.fillRect(0, VIEW_H - 54, VIEW_W, 54);
-    ctx.fillRect(0, 0, 54, VIEW_H);
-    ctx.fillRect(VIEW_W - 54, 0, 54, VIEW_H);
+  function clearSave() {
+    if (!storage) return;
+    try { storage.removeItem(SAVE_KEY); } catch (e) { /* ignore */ }
   }
 
-  function drawEntities(camX, camY) {
-    // pickups
-    for (var i = 0; i < state.pickups.length; i++) {
-      var pk = state.pickups[i];
-      var px = ((pk.x - camX) + VIEW_OX) | 0;
-      var py = ((pk.y - camY) + VIEW_OY) | 0;
+  function copyDirs(o) { return { N: !!o.N, S: !!o.S, W: !!o.W, E: !!o.E }; }
+
+  function restoreRun(data) {
+    pinnedSeed = data.pinned ? data.seed : null;
+    setSeed(data.seed);
+    setCoop(data.coop.players, data.coop.split);
+    setRunConfig(data.run.difficulty, data.run.modifiers);
+    clearRunState();
+    state.floor = data.floor | 0;
+    genFloor();
+
+    var id;
+    for (id in data.map) {
+      var src = data.map[id];
+      var n = ensureNode(id);
+      n.kind = assignRoomKind(n);   // the regrown layout is the authority, not the save
+      n.seen = !!src.seen;
+      n.cleared = !!src.cleared;
+      n.flags = JSON.parse(JSON.stringify(src.flags || {}));
+    }
+    for (id in data.rooms) {
+      var rs = data.rooms[id];
+      var r = ensureRoom(id);
+      r.g = decodeTiles(rs.g);
+      // copy, never alias: the save object may be replayed from again
+      if (rs.doorsOpen) r.doorsOpen = copyDirs(rs.doorsOpen);
+      if (rs.neighbors) r.neighbors = copyDirs(rs.neighbors);
+      r.spawns = [];
+      for (var j = 0; rs.spawns && j < rs.spawns.length; j++) r.spawns.push({ x: rs.spawns[j].x | 0, y: rs.spawns[j].y | 0 });
+      r.pickups = rs.pickups ? copyPickups(rs.pickups) : null;
+      r.cracks = rs.cracks ? JSON.parse(JSON.stringify(rs.cracks)) : null;
+    }
+    state.coins = data.coins;
+    state.stats = copyStats(data.stats);
+    state.roomId = layoutCell(data.roomId) ? data.roomId : "0,0";
+    for (var i = 0; i < players.length; i++) restorePlayer(players[i], data.players[i]);
 
-      ctx.fillStyle = "rgba(0,0,0,0.32)";
-      ctx.fillRect(px - pk.r, py + 10, pk.r * 2, 6);
+    loadRoom(state.roomId);
+    for (i = 0; i < players.length; i++) {
+      players[i].x = clamp(data.players[i].x, 24, ROOM_W - 24);
+      players[i].y = clamp(data.players[i].y, 24, ROOM_H - 24);
+    }
+    rng.s = data.rng | 0;
 
-      if (pk.t === "coin") {
-        ctx.fillStyle = "rgba(255,215,90,0.95)";
-        ctx.fillRect(px - 8, py - 8, 16, 16);
-        ctx.fillStyle = "rgba(255,255,255,0.30)";
-        ctx.fillRect(px - 3, py - 7, 6, 3);
-      } else {
-        ctx.fillStyle = "rgba(120,255,170,0.95)";
-        ctx.fillRect(px - 8, py - 8, 16, 16);
-      }
+    state.msg = "RUN RESUMED";
+    state.msgT = 1.0;
+  }
+
+  function restorePlayer(p, src) {
+    for (var i = 0; i < p.guns.length; i++) {
+      var w = p.guns[i], bd = src.builds[i];
+      w.unlocked = (i === 0) || !!src.weapons[i];
+      w.clip = src.clips[i] | 0;
+      for (var k = 0; k < UPGRADE_IDS.length; k++) w.lv[UPGRADE_IDS[k]] = bd.lv[k] | 0;
+      for (k = 0; k < bd.mods.length; k++) w.mods[bd.mods[k]] = true;
     }
+    p.hpMax = src.hpMax;
+    p.down = !!src.down;
+    p.hp = p.down ? 0 : clamp(src.hp, 1, src.hpMax);
+    p.speed = src.speed;
+    p.weapon = p.guns[src.weapon].unlocked ? src.weapon : 0;
+    p.reserve = Math.min(AMMO_MAX, src.reserve | 0);
+    p.coins = src.coins;
+    p.relics = src.relics.slice(0);   // hpMax already carries any Heart Vessel
+    p.dashCharges = asPlayer(p, relicFold, "dashCharges", 1);
+  }
 
-    // enemies
-    for (i = 0; i < state.enemies.length; i++) {
-      var e = state.enemies[i];
-      var ex = ((e.x - camX) + VIEW_OX) | 0;
-      var ey = ((e.y - camY) + VIEW_OY) | 0;
+  // ---------- Replays ----------
+  // A replay is the run's starting point (seed, or the save it resumed from)
+  // plus every input snapshot and dt fed to step(), packed as small arrays:
+  // [dt, moveX, moveY, aimX, aimY, bits, buy], with player 2's six fields
+  // appended in co-op. Playback is frame-exact.
+  var REPLAY_VERSION = 3;   // 3: run.modifiers (was run.mods); 2: the "away" input bit
+  var INPUT_BITS = ["fire", "dash", "prevWeapon", "nextWeapon", "interact", "pause", "restart", "reload", "away"];
+
+  function packInput(inp, dt, inp2) {
+    var f = [dt];
+    packFields(f, inp);
+    if (inp2) packFields(f, inp2);
+    return f;
+  }
 
-      ctx.fillStyle = "rgba(0,0,0,0.35)";
-      ctx.fillRect(ex - e.r, ey + e.r, e.r * 2, 8);
+  function packFields(f, inp) {
+    var bits = 0;
+    for (var i = 0; i < INPUT_BITS.length; i++) if (inp[INPUT_BITS[i]]) bits |= (1 << i);
+    f.push(inp.moveX, inp.moveY, inp.aimX, inp.aimY, bits, inp.buy);
+  }
 
-      if (e.type === "boss") {
-        // boss body
-        ctx.fillStyle = "rgba(255,90,170,0.90)";
-        ctx.fillRect(ex - e.r, ey - e.r, e.r * 2, e.r * 2);
-        ctx.fillStyle = "rgba(255,255,255,0.10)";
-        ctx.fillRect(ex - e.r + 4, ey - e.r + 4, e.r, e.r);
+  // slot 1 reads player 2's fields (idle input on a solo frame)
+  function unpackInput(f, slot) {
+    var inp = emptyInput();
+    var o = slot ? 6 : 0;
+    if (f.length < o + 7) return inp;
+    inp.moveX = f[o + 1]; inp.moveY = f[o + 2];
+    inp.aimX = f[o + 3]; inp.aimY = f[o + 4];
+    for (var i = 0; i < INPUT_BITS.length; i++) inp[INPUT_BITS[i]] = !!(f[o + 5] & (1 << i));
+    inp.buy = f[o + 6];
+    return inp;
+  }
 
-        // crown-ish pixels
-        ctx.fillStyle = "rgba(255,215,90,0.85)";
-        ctx.fillRect(ex - 18, ey - e.r - 10, 36, 10);
-        ctx.fillRect(ex - 8, ey - e.r - 18, 16, 8);
-
-        // boss HP bar
-        var w = 220;
-        var hp = Math.max(0, e.hp);
-        var maxhp = 140 + ensureNode(state.roomId).depth * 6;
-        var f = hp / maxhp;
-        ctx.fillStyle = "rgba(0,0,0,0.45)";
-        ctx.fillRect((VIEW_W / 2 - w / 2) | 0, 14, w, 12);
-        ctx.fillStyle = "rgba(255,80,140,0.85)";
-        ctx.fillRect((VIEW_W / 2 - w / 2) | 0, 14, (w * f) | 0, 12);
-
-        ctx.fillStyle = "rgba(255,255,255,0.75)";
-        ctx.font = "12px system-ui, sans-serif";
-        ctx.fillText(e.patternName, (VIEW_W / 2 - w / 2) | 0, 40);
+  function isValidReplay(d) {
+    if (!d || d.v !== REPLAY_VERSION || typeof d.seed !== "string") return false;
+    if (!Array.isArray(d.frames) || !Array.isArray(d.rooms)) return false;
+    if (d.start && !isValidSave(d.start)) return false;
+    if (d.coop && d.coop.players !== 1 && d.coop.players !== 2) return false;
+    if (d.run && !isValidRunConfig(d.run)) return false;
+    for (var i = 0; i < d.frames.length; i++) {
+      var f = d.frames[i];
+      if (!Array.isArray(f) || (f.length !== 7 && f.length !== 13)) return false;
+      for (var k = 0; k < f.length; k++) if (!isNum(f[k])) return false;
+    }
+    return true;
+  }
 
-      } else {
-        ctx.fillStyle = (e.type === "shooter") ? "rgba(140,190,255,0.92)" : "rgba(255,90,170,0.92)";
-        ctx.fillRect(ex - e.r, ey - e.r, e.r * 2, e.r * 2);
-        ctx.fillStyle = "rgba(255,255,255,0.10)";
-        ctx.fillRect(ex - e.r + 3, ey - e.r + 3, e.r, e.r);
-        ctx.fillStyle = "rgba(0,0,0,0.28)";
-        ctx.fillRect(ex + (e.type === "shooter" ? 6 : -8), ey - 3, 5, 5);
-      }
+  // Put the sim where the recording started
+  function beginReplay(d) {
+    if (d.start) restoreRun(d.start);
+    else {
+      setCoop(d.coop ? d.coop.players : 1, d.coop && d.coop.split);
+      setRunConfig(d.run ? d.run.difficulty : "normal", d.run ? d.run.modifiers : []);
+      resetGame(d.seed);
+      if (!d.pinned) pinnedSeed = null;
     }
+  }
 
-    // bullets
-    for (i = 0; i < state.bullets.length; i++) {
-      var b = state.bullets[i];
-      var bx = ((b.x - camX) + VIEW_OX) | 0;
-      var by = ((b.y - camY) + VIEW_OY) | 0;
-      ctx.fillStyle = (b.from === "player") ? "rgba(255,255,255,0.9)" : "rgba(255,200,90,0.9)";
-      if (b.kind === "beL") ctx.fillStyle = "rgba(255,120,240,0.9)";
-      ctx.fillRect(bx - 3, by - 3, 6, 6);
+  // ---------- Network snapshots ----------
+  // Online co-op runs the sim on the host only. About twenty times a second
+  // the guest gets the live room and everyone in it and applies that instead
+  // of stepping; floor layouts and room tiles it rebuilds from the seed.
+  var netIds = 0;   // enemy ids, so a guest can pair them up between snapshots
+
+  // Own numbers / strings / flags only (entities hold no nested state worth drawing)
+  function flatCopy(o) {
+    var out = {};
+    for (var k in o) {
+      var v = o[k];
+      if (typeof v === "number" || typeof v === "string" || typeof v === "boolean") out[k] = v;
     }
+    return out;
+  }
 
-    // player (more detailed)
-    drawPlayer(camX, camY);
+  function snapshotRun() {
+    var room = ensureRoom(state.roomId);
+    var ps = [], en = [], bl = [], i;
+    for (i = 0; i < players.length; i++) {
+      var p = players[i], sp = serializePlayer(p);
+      sp.vx = p.vx; sp.vy = p.vy;
+      sp.invT = p.invT; sp.dashT = p.dashT; sp.dashCharges = p.dashCharges;
+      sp.reloadT = p.reloadT; sp.reviveT = p.reviveT;
+      sp.aimX = inputs[i].aimX; sp.aimY = inputs[i].aimY;
+      ps.push(sp);
+    }
+    for (i = 0; i < state.enemies.length; i++) {
+      var e = state.enemies[i];
+      if (!e.nid) e.nid = ++netIds;
+      en.push(flatCopy(e));
+    }
+    for (i = 0; i < state.bullets.length; i++) bl.push(flatCopy(state.bullets[i]));
+
+    return {
+      seed: runSeed,
+      floor: state.floor,
+      roomId: state.roomId,
+      map: serializeMap(),
+      g: encodeTiles(room.g),
+      doorsOpen: copyDirs(room.doorsOpen),
+      coins: state.coins,
+      split: state.coop.split,
+      run: state.run,
+      paused: state.paused,
+      over: state.over,
+      stats: state.stats,
+      shopOpen: state.shopOpen,
+      shopBy: state.shopBy,
+      msg: state.msg,
+      msgT: state.msgT,
+      shake: state.cam.shake,
+      shakeT: state.cam.shakeT,
+      stairs: state.stairs ? { x: state.stairs.x, y: state.stairs.y } : null,
+      wave: state.wave ? { n: state.wave.n, of: state.wave.of, t: state.wave.t } : null,
+      players: ps,
+      enemies: en,
+      bullets: bl,
+      pickups: copyPickups(state.pickups)
+    };
   }
 
-  function drawPlayer(camX, camY) {
-    var px = ((player.x - camX) + VIEW_OX) | 0;
-    var py = ((player.y - camY) + VIEW_OY) | 0;
+  // Guest side. Takes over s's entity lists (a parsed message, not shared)
+  function applySnapshot(s) {
+    var fresh = false, i;
+    if (s.seed !== runSeed) {
+      setSeed(s.seed);
+      setCoop(s.players.length, s.split);
+      setRunConfig(s.run.difficulty, s.run.modifiers);
+      clearRunState();
+      fresh = true;
+    }
+    if (fresh || s.floor !== state.floor) {
+      state.floor = s.floor;
+      state.map = {};
+      state.rooms = {};
+      genFloor();
+      fresh = true;
+    }
+    if (players.length !== s.players.length) {
+      setCoop(s.players.length, s.split);
+      players.length = s.players.length;
+      for (i = 0; i < players.length; i++) players[i] = players[i] || resetPlayer({}, i);
+    }
+    state.coop = { players: players.length, split: !!s.split };
+
+    for (var id in s.map) {
+      var n = ensureNode(id), src = s.map[id];
+      n.kind = assignRoomKind(n);
+      n.seen = !!src.seen;
+      n.cleared = !!src.cleared;
+      n.flags = src.flags || {};
+      if (n.seen) ensureRoom(id);
+    }
+    if (fresh || s.roomId !== state.roomId) {
+      state.roomId = s.roomId;
+      buildNeighborsAround(s.roomId);
+    }
+    var room = ensureRoom(state.roomId);
+    room.g = decodeTiles(s.g) || room.g;
+    room.doorsOpen = copyDirs(s.doorsOpen);
+
+    state.coins = s.coins;
+    state.paused = !!s.paused;
+    state.over = s.over || null;
+    state.stats = s.stats;
+    state.shopOpen = !!s.shopOpen;
+    state.shopBy = s.shopBy | 0;
+    state.msg = s.msg;
+    state.msgT = s.msgT;
+    state.cam.shake = s.shake;
+    state.cam.shakeT = s.shakeT;
+    state.stairs = s.stairs;
+    state.wave = s.wave;
+    state.enemies = s.enemies;
+    state.bullets = s.bullets;
+    state.pickups = s.pickups;
+
+    for (i = 0; i < players.length; i++) {
+      var p = players[i], sp = s.players[i];
+      restorePlayer(p, sp);
+      p.x = sp.x; p.y = sp.y;
+      p.vx = sp.vx; p.vy = sp.vy;
+      p.invT = sp.invT; p.dashT = sp.dashT; p.dashCharges = sp.dashCharges;
+      p.reloadT = sp.reloadT; p.reviveT = sp.reviveT;
+      p.aimX = sp.aimX; p.aimY = sp.aimY;   // where they're aiming, for drawing their gun
+    }
+  }
 
-    // shadow
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.fillRect(px - player.r, py + player.r, player.r * 2, 8);
+  // ---------- Step ----------
+  // inp2 drives player 2 in co-op (ignored solo)
+  function step(inp, dt, inp2) {
+    events.length = 0;
+    inputs[0] = inp || emptyInput();
+    inputs[1] = inp2 || emptyInput();
+    input = inputs[0];
+    update(dt);
+    return events;
+  }
 
-    // body silhouette
-    var inv = (player.invT > 0);
+  // ---------- Public simulation API ----------
+  // Usable headless (Node: require("./n.js")) — nothing above touches the DOM.
+  var Sim = {
+    TILE: TILE, ROOM_TW: ROOM_TW, ROOM_TH: ROOM_TH, ROOM_W: ROOM_W, ROOM_H: ROOM_H,
+    state: state,
+    player: player,
+    players: players,
+    setCoop: setCoop,
+    joinPlayer: joinPlayer,
+    leavePlayer: leavePlayer,
+    DIFFICULTIES: DIFFICULTIES,
+    MODIFIERS: MODIFIERS,
+    MODIFIER_IDS: MODIFIER_IDS,
+    setRunConfig: setRunConfig,
+    FINAL_FLOOR: FINAL_FLOOR,
+    WEAPONS: WEAPONS,
+    SHOP_ITEMS: SHOP_ITEMS,
+    UPGRADES: UPGRADES,
+    MODS: MODS,
+    RELICS: RELICS,
+    gainRelic: gainRelic,
+    weaponStats: weaponStats,
+    shopOffer: shopperOffer,
+    events: events,
+    emptyInput: emptyInput,
+    step: step,
+    reset: resetGame,
+    setStorage: setStorage,
+    serialize: serializeRun,
+    readSave: readSave,
+    restore: restoreRun,
+    clearSave: clearSave,
+    REPLAY_VERSION: REPLAY_VERSION,
+    packInput: packInput,
+    unpackInput: unpackInput,
+    isValidReplay: isValidReplay,
+    beginReplay: beginReplay,
+    snapshot: snapshotRun,
+    applySnapshot: applySnapshot,
+    seed: function () { return runSeed; },
+    seedPinned: function () { return pinnedSeed != null; },
+    ensureNode: ensureNode,
+    ensureRoom: ensureRoom,
+    genRoomTiles: genRoomTiles,
+    loadRoom: loadRoom,
+    descendFloor: descendFloor,
+    updateEnemies: updateEnemies,
+    updateBullets: updateBullets,
+    updatePickups: updatePickups,
+    updateParticles: updateParticles,
+    setReducedFx: setReducedFx,
+    PATTERNS: PATTERNS,
+    firePattern: firePattern,
+    startSandbox: startSandbox,
+    sandboxCycle: sandboxCycle,
+    sandboxName: sandboxName
+  };
+
+  if (typeof module !== "undefined" && module.exports) module.exports = Sim;
+  if (typeof window === "undefined") return;
+  window.Sim = Sim;
+
+  // =====================================================================
+  // Browser shell: devices -> input snapshot, camera, canvas rendering.
+  // =====================================================================
+
+  // Entry point expected by launcher
+  window.create = function () { Game.create(); };
+
+  var KEY = {
+    LEFT: 37, UP: 38, RIGHT: 39, DOWN: 40,
+    A: 65, W: 87, D: 68, S: 83,
+    SPACE: 32, SHIFT: 16, ESC: 27,
+    F: 70, Q: 81, E: 69,
+    R: 82, N: 78, M: 77, T: 84, ENTER: 13,
+    V: 86, B: 66, PERIOD: 190, HOME: 36,
+    O: 79, BACKSPACE: 8, DELETE: 46, LBRACKET: 219, RBRACKET: 221,
+    ONE: 49, TWO: 50, THREE: 51, FOUR: 52,
+    FIVE: 53, SIX: 54, SEVEN: 55, EIGHT: 56, NINE: 57, ZERO: 48,
+    C: 67, P: 80, SEMI: 186, SLASH: 191, BSLASH: 220, QUOTE: 222
+  };
+
+  // ---------- Canvas ----------
+  var canvas, ctx;
+  var dpr = 1;
+  var VIEW_W = 960, VIEW_H = 540;
+  var lastT = 0;
+
+  // Room centering offsets (when room smaller than viewport)
+  var VIEW_OX = 0;
+  var VIEW_OY = 0;
+
+  // ---------- Input ----------
+  var keys = {};
+  var keysPressed = {};
+  var mouse = { x: 0, y: 0, down: false };
+
+  // Last device touched decides aim source and on-screen hints
+  var inputDevice = "kbm";   // kbm | pad | touch
+
+  function onKeyDown(e) {
+    inputDevice = "kbm";
+    if (e.keyCode === KEY.SPACE || e.keyCode === KEY.UP || e.keyCode === KEY.DOWN || e.keyCode === KEY.BACKSPACE) e.preventDefault();
+    if (settings.listening && !keys[e.keyCode]) { keys[e.keyCode] = true; captureBinding(e.keyCode); return; }
+    if (!keys[e.keyCode]) keysPressed[e.keyCode] = true;
+    keys[e.keyCode] = true;
+  }
+  function onKeyUp(e) { keys[e.keyCode] = false; }
+  function onMouseMove(e) {
+    var rect = canvas.getBoundingClientRect();
+    var cx = (e.clientX - rect.left);
+    var cy = (e.clientY - rect.top);
+    mouse.x = (cx / rect.width) * VIEW_W;
+    mouse.y = (cy / rect.height) * VIEW_H;
+    inputDevice = "kbm";
+  }
+  function onMouseDown(e) {
+    var code = MOUSE_BASE + (e.button || 0);
+    mouse.down = true;
+    inputDevice = "kbm";
+    if (settings.listening) { keys[code] = true; captureBinding(code); return; }
+    if (!keys[code]) keysPressed[code] = true;
+    keys[code] = true;
+  }
+  function onMouseUp(e) {
+    mouse.down = false;
+    keys[MOUSE_BASE + (e.button || 0)] = false;
+  }
+  function onContextMenu(e) { e.preventDefault(); }
+  function wasPressed(code) { return !!keysPressed[code]; }
+
+  // ---------- Actions & bindings ----------
+  // Gameplay reads actions, never raw keys. Each action has two binding slots
+  // (null = empty). Menu keys (arrows, ENTER, ESC) stay fixed so a bad
+  // binding can never lock the player out of the settings screen.
+  var MOUSE_BASE = 1000;   // mouse button b binds as code MOUSE_BASE + b
+
+  var ACTIONS = [
+    { id: "moveUp",     label: "Move up",         keys: [KEY.W, KEY.UP] },
+    { id: "moveDown",   label: "Move down",       keys: [KEY.S, KEY.DOWN] },
+    { id: "moveLeft",   label: "Move left",       keys: [KEY.A, KEY.LEFT] },
+    { id: "moveRight",  label: "Move right",      keys: [KEY.D, KEY.RIGHT] },
+    { id: "fire",       label: "Fire",            keys: [MOUSE_BASE, null] },
+    { id: "dash",       label: "Dash",            keys: [KEY.SPACE, KEY.SHIFT] },
+    { id: "prevWeapon", label: "Previous weapon", keys: [KEY.Q, null] },
+    { id: "nextWeapon", label: "Next weapon",     keys: [KEY.E, null] },
+    { id: "reload",     label: "Reload",          keys: [KEY.C, null] },
+    { id: "interact",   label: "Interact / shop", keys: [KEY.F, null] },
+    { id: "pause",      label: "Pause",           keys: [KEY.ESC, null] },
+    { id: "restart",    label: "Restart run",     keys: [KEY.R, null] },
+    { id: "map",        label: "Map",             keys: [KEY.M, null] },
+    { id: "mute",       label: "Mute audio",      keys: [null, null] },
+    { id: "buy1",       label: "Buy slot 1",      keys: [KEY.ONE, null] },
+    { id: "buy2",       label: "Buy slot 2",      keys: [KEY.TWO, null] },
+    { id: "buy3",       label: "Buy slot 3",      keys: [KEY.THREE, null] },
+    { id: "buy4",       label: "Buy slot 4",      keys: [KEY.FOUR, null] },
+    { id: "buy5",       label: "Buy slot 5",      keys: [KEY.FIVE, null] },
+    { id: "buy6",       label: "Buy slot 6",      keys: [KEY.SIX, null] },
+    { id: "buy7",       label: "Buy slot 7",      keys: [KEY.SEVEN, null] },
+    { id: "buy8",       label: "Buy slot 8",      keys: [KEY.EIGHT, null] },
+    { id: "buy9",       label: "Buy slot 9",      keys: [KEY.NINE, null] },
+    { id: "buy10",      label: "Buy slot 10",     keys: [KEY.ZERO, null] }
+  ];
+  var BINDINGS_KEY = "njs.bindings";
+
+  var bindings = {};          // action id -> [code|null, code|null]
+  var actionsPressed = {};    // synthesized by pad / touch, cleared per frame
+
+  function defaultBindings() {
+    var b = {};
+    for (var i = 0; i < ACTIONS.length; i++) b[ACTIONS[i].id] = ACTIONS[i].keys.slice(0);
+    return b;
+  }
+
+  function actionDown(id) {
+    var b = bindings[id];
+    return !!b && (boundKey(b[0], keys) || boundKey(b[1], keys));
+  }
+
+  function actionPressed(id) {
+    if (actionsPressed[id]) return true;
+    var b = bindings[id];
+    return !!b && (boundKey(b[0], keysPressed) || boundKey(b[1], keysPressed));
+  }
+
+  // Keys player 2 holds on the split keyboard don't drive player 1 too
+  function boundKey(code, set) {
+    return code != null && !!set[code] && !(splitKeyboard() && P2_KEYS.hasOwnProperty(code));
+  }
+
+  var KEY_NAMES = {
+    8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt", 20: "Caps",
+    27: "Esc", 32: "Space", 33: "PgUp", 34: "PgDn", 35: "End", 36: "Home",
+    37: "Left", 38: "Up", 39: "Right", 40: "Down", 45: "Ins", 46: "Del",
+    186: ";", 187: "=", 188: ",", 189: "-", 190: ".", 191: "/", 192: "`",
+    219: "[", 220: "\\", 221: "]", 222: "'"
+  };
+
+  function keyName(code) {
+    if (code == null) return "—";
+    if (code >= MOUSE_BASE) return ["Mouse L", "Mouse M", "Mouse R"][code - MOUSE_BASE] || ("Mouse " + (code - MOUSE_BASE + 1));
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) return String.fromCharCode(code);
+    if (code >= 96 && code <= 105) return "Num" + (code - 96);
+    if (code >= 112 && code <= 123) return "F" + (code - 111);
+    return "Key " + code;
+  }
+
+  // "Q" or "Q/Left" — for on-screen hints
+  function bindLabel(id) {
+    var b = bindings[id] || [];
+    var parts = [];
+    if (b[0] != null) parts.push(keyName(b[0]));
+    if (b[1] != null) parts.push(keyName(b[1]));
+    return parts.length ? parts.join("/") : "unbound";
+  }
+
+  // code -> list of action ids using it (conflict = more than one)
+  function bindingUsers(code) {
+    var out = [];
+    for (var i = 0; i < ACTIONS.length; i++) {
+      var b = bindings[ACTIONS[i].id];
+      if (b[0] === code || b[1] === code) out.push(ACTIONS[i].id);
+    }
+    return out;
+  }
+
+  function actionLabel(id) {
+    for (var i = 0; i < ACTIONS.length; i++) if (ACTIONS[i].id === id) return ACTIONS[i].label;
+    return id;
+  }
+
+  function loadBindings() {
+    bindings = defaultBindings();
+    var raw = null;
+    try { raw = window.localStorage.getItem(BINDINGS_KEY); } catch (e) { raw = null; }
+    if (!raw) return;
+    var data = null;
+    try { data = JSON.parse(raw); } catch (e2) { return; }
+    if (!data || typeof data !== "object") return;
+    for (var id in bindings) {
+      var b = data[id];
+      if (!Array.isArray(b) || b.length !== 2) continue;
+      var ok = true;
+      // ESC can't be captured (it cancels), so only Pause's default slot holds it
+      for (var k = 0; k < 2; k++) if (b[k] !== null && !(isNum(b[k]) && b[k] > 0 && (b[k] !== KEY.ESC || id === "pause"))) ok = false;
+      if (ok) bindings[id] = [b[0], b[1]];
+    }
+  }
+
+  function saveBindings() {
+    try { window.localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings)); } catch (e) { /* ignore */ }
+  }
+
+  // ---------- Settings screen (from pause) ----------
+  // UP/DOWN pick an action, LEFT/RIGHT a slot, ENTER rebinds (next key or
+  // mouse button), BACKSPACE clears, ESC goes back. Binding a key that another
+  // action uses swaps the two slots instead of leaving a duplicate.
+  var settings = { open: false, sel: 0, col: 0, listening: false, msg: "", msgT: 0 };
+
+  function settingsRows() { return ACTIONS.length + 1; }   // + "Reset to defaults"
+
+  function openSettings() {
+    settings.open = true;
+    settings.sel = 0;
+    settings.col = 0;
+    settings.listening = false;
+    settings.msg = "";
+  }
+
+  function settingsNote(msg) { settings.msg = msg; settings.msgT = 2.5; }
+
+  function captureBinding(code) {
+    settings.listening = false;
+    if (code === KEY.ESC) { settingsNote("Cancelled"); return; }
+
+    var act = ACTIONS[settings.sel];
+    var mine = bindings[act.id];
+    var old = mine[settings.col];
+    var users = bindingUsers(code);
+
+    for (var i = 0; i < users.length; i++) {
+      if (users[i] === act.id) continue;
+      var other = bindings[users[i]];
+      var slot = (other[0] === code) ? 0 : 1;
+      other[slot] = old;   // swap (old may be null: the other action loses the key)
+      settingsNote(keyName(code) + " was on " + actionLabel(users[i]) + (old != null ? " — swapped with " + keyName(old) : " — now unbound there"));
+    }
+    if (mine[1 - settings.col] === code) mine[1 - settings.col] = null;
+    mine[settings.col] = code;
+    if (!users.length) settingsNote(act.label + " = " + keyName(code));
+    saveBindings();
+  }
+
+  function updateSettings(dt) {
+    if (settings.msgT > 0) settings.msgT -= dt;
+    if (settings.listening) return;
+
+    var rows = settingsRows();
+    if (wasPressed(KEY.ESC)) { settings.open = false; return; }
+    if (wasPressed(KEY.UP)) settings.sel = (settings.sel + rows - 1) % rows;
+    if (wasPressed(KEY.DOWN)) settings.sel = (settings.sel + 1) % rows;
+    if (wasPressed(KEY.LEFT)) settings.col = 0;
+    if (wasPressed(KEY.RIGHT)) settings.col = 1;
+
+    var onReset = (settings.sel === ACTIONS.length);
+    if (wasPressed(KEY.ENTER)) {
+      if (onReset) {
+        bindings = defaultBindings();
+        saveBindings();
+        settingsNote("Controls reset to defaults");
+      } else {
+        settings.listening = true;
+      }
+    }
+    if (!onReset && (wasPressed(KEY.BACKSPACE) || wasPressed(KEY.DELETE))) {
+      bindings[ACTIONS[settings.sel].id][settings.col] = null;
+      saveBindings();
+    }
+  }
+
+  function drawSettings() {
+    ctx.fillStyle = "rgba(0,0,0,0.86)";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.font = "28px system-ui, sans-serif";
+    ctx.fillText("CONTROLS", 40, 56);
+    ctx.font = "13px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("UP/DOWN: action   LEFT/RIGHT: slot   ENTER: rebind   BACKSPACE: clear   ESC: back", 40, 80);
+
+    var rows = settingsRows();
+    var rowH = clamp(((VIEW_H - 140) / rows) | 0, 16, 24);
+    var y = 110;
+    var colX = [300, 440];
+
+    for (var i = 0; i < rows; i++) {
+      var sel = (i === settings.sel);
+      if (sel) {
+        ctx.fillStyle = "rgba(124,92,255,0.22)";
+        ctx.fillRect(32, y - rowH + 6, 560, rowH);
+      }
+
+      ctx.font = ((rowH * 0.6) | 0) + "px system-ui, sans-serif";
+      if (i === ACTIONS.length) {
+        ctx.fillStyle = sel ? "rgba(255,215,90,0.95)" : "rgba(255,215,90,0.65)";
+        ctx.fillText("Reset to defaults", 44, y);
+        y += rowH;
+        continue;
+      }
+
+      var act = ACTIONS[i];
+      var b = bindings[act.id];
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.fillText(act.label, 44, y);
+
+      for (var k = 0; k < 2; k++) {
+        var label = (sel && settings.col === k && settings.listening) ? "press a key…" : keyName(b[k]);
+        var clash = b[k] != null && bindingUsers(b[k]).length > 1;
+        if (sel && settings.col === k) {
+          ctx.strokeStyle = "rgba(124,92,255,0.85)";
+          ctx.strokeRect(colX[k] - 6, y - rowH + 8, 120, rowH - 4);
+        }
+        ctx.fillStyle = clash ? "rgba(255,80,140,0.95)" : (b[k] == null ? "rgba(255,255,255,0.3)" : "rgba(255,255,255,0.9)");
+        ctx.fillText(label, colX[k], y);
+      }
+      y += rowH;
+    }
+
+    if (settings.msgT > 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.font = "14px system-ui, sans-serif";
+      ctx.fillText(settings.msg, 40, VIEW_H - 20);
+    }
+  }
+
+  function mouseWorldX() { return state.cam.x + (mouse.x - VIEW_OX); }
+  function mouseWorldY() { return state.cam.y + (mouse.y - VIEW_OY); }
+
+  // ---------- Gamepad (standard mapping) ----------
+  var PAD = {
+    A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7,
+    BACK: 8, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+  };
+  var PAD_DEADZONE = 0.25;
+  var PAD_AIM_DIST = 220;    // right stick aims at a point this far from the player
+
+  function makePad() {
+    return {
+      connected: false,
+      buttons: [], prev: [],
+      lx: 0, ly: 0,
+      aimA: 0
+    };
+  }
+  var pad = makePad();
+  var pad2 = makePad();   // player 2's, in co-op
+
+  // Radial deadzone, rescaled so output still spans 0..1
+  function stickDeadzone(x, y) {
+    var m = Math.sqrt(x * x + y * y);
+    if (m < PAD_DEADZONE) return { x: 0, y: 0 };
+    var k = Math.min(1, (m - PAD_DEADZONE) / (1 - PAD_DEADZONE)) / m;
+    return { x: x * k, y: y * k };
+  }
+
+  function padDown(b, ps) { return !!(ps || pad).buttons[b]; }
+  function padPressed(b, ps) { ps = ps || pad; return !!ps.buttons[b] && !ps.prev[b]; }
+
+  // In local co-op player 2 takes the last pad connected; player 1 only gets
+  // one too when there are two (otherwise they stay on keyboard + mouse)
+  function pollGamepad() {
+    var list = (navigator.getGamepads && navigator.getGamepads()) || [];
+    var found = [];
+    for (var i = 0; i < list.length; i++) if (list[i] && list[i].connected) found.push(list[i]);
+
+    var gp = found[0] || null, gp2 = null;
+    if (players.length > 1 && !net) {
+      gp2 = found.length ? found[found.length - 1] : null;
+      gp = (found.length > 1) ? found[0] : null;
+    }
+    readPad(pad2, gp2);
+    if (readPad(pad, gp)) inputDevice = "pad";
+    padMenuKeys();
+  }
+
+  // -> true when the pad was touched this frame
+  function readPad(ps, gp) {
+    ps.prev = ps.buttons;
+    ps.buttons = [];
+    if (!gp) { ps.connected = false; ps.lx = ps.ly = 0; return false; }
+    ps.connected = true;
+
+    var active = false;
+    for (var b = 0; b < gp.buttons.length; b++) {
+      var btn = gp.buttons[b];
+      ps.buttons[b] = !!btn && (btn.pressed || btn.value > 0.35);
+      if (ps.buttons[b]) active = true;
+    }
+
+    var l = stickDeadzone(gp.axes[0] || 0, gp.axes[1] || 0);
+    var r = stickDeadzone(gp.axes[2] || 0, gp.axes[3] || 0);
+    ps.lx = l.x; ps.ly = l.y;
+    if (r.x !== 0 || r.y !== 0) { ps.aimA = Math.atan2(r.y, r.x); active = true; }
+    if (l.x !== 0 || l.y !== 0) active = true;
+    return active;
+  }
+
+  // Button edges become actions in play and fixed menu keys in overlays,
+  // so keyboard rebinding never changes what a pad button does
+  function padMenuKeys() {
+    function press(btn, code) { if (padPressed(btn)) keysPressed[code] = true; }
+    function act(btn, id) { if (padPressed(btn)) actionsPressed[id] = true; }
+    var menuCtx = state.shopOpen || state.paused || mapOpen || settings.open || !!playback || !!screen;
+
+    if (menuCtx) {
+      press(PAD.A, KEY.ENTER);
+      press(PAD.A, KEY.SPACE);
+      press(PAD.B, KEY.ESC);
+      press(PAD.UP, KEY.UP);
+      press(PAD.DOWN, KEY.DOWN);
+      press(PAD.LEFT, KEY.LEFT);
+      press(PAD.RIGHT, KEY.RIGHT);
+    } else {
+      act(PAD.A, "dash");
+    }
+    act(PAD.X, "interact");
+    act(PAD.LB, "prevWeapon");
+    act(PAD.RB, "nextWeapon");
+    act(PAD.START, "pause");
+    act(PAD.BACK, "map");
+    if (state.paused) act(PAD.Y, "restart");
+    else if (!menuCtx) act(PAD.Y, "reload");
+  }
+
+  function padAimWorldX() { return player.x + Math.cos(pad.aimA) * PAD_AIM_DIST; }
+  function padAimWorldY() { return player.y + Math.sin(pad.aimA) * PAD_AIM_DIST; }
+
+  // ---------- Touch (virtual dual sticks + buttons) ----------
+  // Left half of the screen spawns the move stick where the thumb lands,
+  // right half the aim stick (fires while pushed). Buttons synthesize key
+  // presses like the gamepad does. Sizes follow the viewport set by resize().
+  var touch = {
+    move: null,     // { id, ox, oy, x, y }
+    aim: null,
+    aimA: 0,
+    buy: -1         // shop row tapped this frame
+  };
+  var TOUCH_FIRE_MIN = 0.3;   // aim stick deflection that starts firing
+
+  function touchUnit() { return clamp(Math.min(VIEW_W, VIEW_H) / 8, 38, 80); }
+
+  function touchPoint(t) {
+    var rect = canvas.getBoundingClientRect();
+    return {
+      x: ((t.clientX - rect.left) / rect.width) * VIEW_W,
+      y: ((t.clientY - rect.top) / rect.height) * VIEW_H
+    };
+  }
+
+  // Buttons available in the current context: { x, y, r, label, key }
+  function touchButtons() {
+    var u = touchUnit();
+    var list = [];
+    // key: fixed menu key code, or an action id (string) for gameplay buttons
+    function btn(x, y, r, label, key) { list.push({ x: x, y: y, r: r, label: label, key: key }); }
+
+    if (settings.open) {
+      btn(VIEW_W - u * 0.8, u * 0.8, u * 0.5, "X", KEY.ESC);
+    } else if (screen) {
+      btn(VIEW_W - u * 2.6, VIEW_H * 0.40, u * 0.5, "▲", KEY.UP);
+      btn(VIEW_W - u * 2.6, VIEW_H * 0.40 + u * 1.2, u * 0.5, "▼", KEY.DOWN);
+      if (screen.id === "setup") {
+        btn(VIEW_W - u * 3.8, VIEW_H * 0.40 + u * 0.6, u * 0.5, "◀", KEY.LEFT);
+        btn(VIEW_W - u * 1.4, VIEW_H * 0.40 + u * 0.6, u * 0.5, "▶", KEY.RIGHT);
+      }
+      btn(VIEW_W - u * 2.6, VIEW_H * 0.40 + u * 2.6, u * 0.6, "OK", KEY.ENTER);
+      if (screen.back) btn(VIEW_W - u * 0.8, u * 0.8, u * 0.5, "X", KEY.ESC);
+    } else if (playback) {
+      btn(VIEW_W - u * 0.8, u * 0.8, u * 0.5, "EXIT", KEY.ESC);
+      btn(VIEW_W * 0.5, VIEW_H * 0.45, u * 0.6, "||", KEY.SPACE);
+      btn(VIEW_W * 0.5 - u * 1.6, VIEW_H * 0.45, u * 0.5, "<<", KEY.LEFT);
+      btn(VIEW_W * 0.5 + u * 1.6, VIEW_H * 0.45, u * 0.5, ">>", KEY.RIGHT);
+    } else if (mapOpen) {
+      btn(VIEW_W - u * 0.8, u * 0.8, u * 0.5, "X", KEY.ESC);
+    } else if (state.over) {
+      btn(VIEW_W * 0.5, VIEW_H * 0.72, u, "NEW RUN", "restart");
+    } else if (state.paused) {
+      btn(VIEW_W * 0.35, VIEW_H * 0.62, u, "RESUME", KEY.ESC);
+      btn(VIEW_W * 0.65, VIEW_H * 0.62, u, "RESTART", "restart");
+      btn(VIEW_W * 0.5, VIEW_H * 0.86, u * 0.55, audioCfg.muted ? "SOUND" : "MUTE", "mute");
+    } else if (state.shopOpen) {
+      btn(VIEW_W - u * 0.8, u * 0.8, u * 0.5, "X", KEY.ESC);
+    } else {
+      btn(VIEW_W - u * 1.0, VIEW_H - u * 3.2, u * 0.6, "DASH", "dash");
+      btn(VIEW_W - u * 2.4, VIEW_H - u * 3.6, u * 0.5, "SWAP", "nextWeapon");
+      btn(VIEW_W - u * 3.6, VIEW_H - u * 3.4, u * 0.45, "RLD", "reload");
+      btn(VIEW_W * 0.5, u * 0.7, u * 0.45, "II", "pause");
+      btn(VIEW_W * 0.5 + u * 1.2, u * 0.7, u * 0.45, "MAP", "map");
+      if (ensureNode(state.roomId).kind === "shop" || state.stairs) btn(VIEW_W - u * 3.4, VIEW_H - u * 2.2, u * 0.5, "USE", "interact");
+    }
+    return list;
+  }
+
+  function touchButtonAt(x, y) {
+    var list = touchButtons();
+    for (var i = 0; i < list.length; i++) {
+      var b = list[i];
+      if (dist2(x, y, b.x, b.y) <= b.r * b.r) return b;
+    }
+    return null;
+  }
+
+  function onTouchStart(e) {
+    e.preventDefault();
+    inputDevice = "touch";
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var t = e.changedTouches[i];
+      var p = touchPoint(t);
+
+      var b = touchButtonAt(p.x, p.y);
+      if (b) {
+        if (typeof b.key === "string") actionsPressed[b.key] = true;
+        else keysPressed[b.key] = true;
+        continue;
+      }
+
+      if (state.shopOpen) {
+        var row = shopRowAt(p.x, p.y);
+        if (row >= 0) { touch.buy = row; shopCursor = row; }
+        continue;
+      }
+      if (state.paused || mapOpen || playback || screen) continue;
+
+      var stick = { id: t.identifier, ox: p.x, oy: p.y, x: p.x, y: p.y };
+      if (p.x < VIEW_W * 0.5) { if (!touch.move) touch.move = stick; }
+      else if (!touch.aim) touch.aim = stick;
+    }
+  }
+
+  function onTouchMove(e) {
+    e.preventDefault();
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var t = e.changedTouches[i];
+      var p = touchPoint(t);
+      if (touch.move && touch.move.id === t.identifier) { touch.move.x = p.x; touch.move.y = p.y; }
+      if (touch.aim && touch.aim.id === t.identifier) { touch.aim.x = p.x; touch.aim.y = p.y; }
+    }
+  }
+
+  function onTouchEnd(e) {
+    e.preventDefault();
+    for (var i = 0; i < e.changedTouches.length; i++) {
+      var id = e.changedTouches[i].identifier;
+      if (touch.move && touch.move.id === id) touch.move = null;
+      if (touch.aim && touch.aim.id === id) touch.aim = null;
+    }
+  }
+
+  // Stick deflection, 0..1 per axis, clamped to the stick radius
+  function stickVector(st) {
+    var r = touchUnit() * 1.1;
+    var dx = (st.x - st.ox) / r;
+    var dy = (st.y - st.oy) / r;
+    var m = Math.sqrt(dx * dx + dy * dy);
+    if (m > 1) { dx /= m; dy /= m; m = 1; }
+    return { x: dx, y: dy, m: m };
+  }
+
+  function touchAimWorldX() { return player.x + Math.cos(touch.aimA) * PAD_AIM_DIST; }
+  function touchAimWorldY() { return player.y + Math.sin(touch.aimA) * PAD_AIM_DIST; }
+
+  function drawTouchControls() {
+    var u = touchUnit();
+    var r = u * 1.1;
+
+    function drawStick(st, defX, defY) {
+      var ox = st ? st.ox : defX;
+      var oy = st ? st.oy : defY;
+      ctx.strokeStyle = "rgba(255,255,255,0.22)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(ox, oy, r, 0, TAU);
+      ctx.stroke();
+      var v = st ? stickVector(st) : { x: 0, y: 0 };
+      ctx.fillStyle = st ? "rgba(124,92,255,0.55)" : "rgba(255,255,255,0.14)";
+      ctx.beginPath();
+      ctx.arc(ox + v.x * r, oy + v.y * r, u * 0.45, 0, TAU);
+      ctx.fill();
+    }
+
+    if (!state.paused && !state.shopOpen && !mapOpen && !playback && !screen) {
+      drawStick(touch.move, u * 1.8, VIEW_H - u * 1.8);
+      drawStick(touch.aim, VIEW_W - u * 1.8, VIEW_H - u * 1.8);
+    }
+
+    var list = touchButtons();
+    ctx.font = ((u * 0.26) | 0) + "px system-ui, sans-serif";
+    for (var i = 0; i < list.length; i++) {
+      var b = list[i];
+      ctx.fillStyle = "rgba(0,0,0,0.35)";
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, b.r, 0, TAU);
+      ctx.fill();
+      ctx.strokeStyle = "rgba(124,92,255,0.65)";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      var tw = ctx.measureText(b.label).width;
+      ctx.fillText(b.label, (b.x - tw / 2) | 0, (b.y + u * 0.09) | 0);
+    }
+    ctx.lineWidth = 1;
+  }
+
+  // ---------- Input snapshot ----------
+  var shopCursor = 0;
+
+  function readInput() {
+    var inp = emptyInput();
+    if (actionDown("moveLeft")) inp.moveX -= 1;
+    if (actionDown("moveRight")) inp.moveX += 1;
+    if (actionDown("moveUp")) inp.moveY -= 1;
+    if (actionDown("moveDown")) inp.moveY += 1;
+
+    if (touch.move) {
+      var mv = stickVector(touch.move);
+      inp.moveX = mv.x;
+      inp.moveY = mv.y;
+    }
+
+    if (pad.connected && inp.moveX === 0 && inp.moveY === 0) {
+      inp.moveX = pad.lx;
+      inp.moveY = pad.ly;
+      if (padDown(PAD.LEFT)) inp.moveX = -1;
+      if (padDown(PAD.RIGHT)) inp.moveX = 1;
+      if (padDown(PAD.UP)) inp.moveY = -1;
+      if (padDown(PAD.DOWN)) inp.moveY = 1;
+    }
+
+    var touchFire = false;
+    if (touch.aim) {
+      var av = stickVector(touch.aim);
+      if (av.m > 0.15) touch.aimA = Math.atan2(av.y, av.x);
+      touchFire = av.m >= TOUCH_FIRE_MIN;
+    }
+
+    if (inputDevice === "pad") {
+      inp.aimX = padAimWorldX();
+      inp.aimY = padAimWorldY();
+    } else if (inputDevice === "touch") {
+      inp.aimX = touchAimWorldX();
+      inp.aimY = touchAimWorldY();
+    } else {
+      inp.aimX = mouseWorldX();
+      inp.aimY = mouseWorldY();
+    }
+    inp.fire = actionDown("fire") || touchFire || (pad.connected && padDown(PAD.RT));
+    inp.dash = actionPressed("dash");
+    inp.prevWeapon = actionPressed("prevWeapon");
+    inp.nextWeapon = actionPressed("nextWeapon");
+    inp.reload = actionPressed("reload");
+    inp.interact = actionPressed("interact");
+    // ESC always backs out (closes shop / pauses), whatever "pause" is bound to
+    inp.pause = actionPressed("pause") || wasPressed(KEY.ESC);
+    inp.restart = actionPressed("restart");
+    for (var i = 0; i < SHOP_ITEMS.length; i++) if (actionPressed("buy" + (i + 1))) inp.buy = i;
+
+    // Shop overlay: d-pad / arrows move a cursor, A / ENTER buys it
+    if (state.shopOpen) {
+      if (wasPressed(KEY.UP)) shopCursor = (shopCursor + SHOP_ITEMS.length - 1) % SHOP_ITEMS.length;
+      if (wasPressed(KEY.DOWN)) shopCursor = (shopCursor + 1) % SHOP_ITEMS.length;
+      if (wasPressed(KEY.ENTER)) inp.buy = shopCursor;
+      if (touch.buy >= 0) inp.buy = touch.buy;
+    } else {
+      shopCursor = 0;
+    }
+    touch.buy = -1;
+    return inp;
+  }
+
+  // Player 2 without a pad: fixed keys on the right of the keyboard. They
+  // aren't rebindable and, while in use, stop counting for player 1.
+  var P2_KEYS = {};
+  P2_KEYS[KEY.LEFT] = "moveLeft";
+  P2_KEYS[KEY.RIGHT] = "moveRight";
+  P2_KEYS[KEY.UP] = "moveUp";
+  P2_KEYS[KEY.DOWN] = "moveDown";
+  P2_KEYS[KEY.SLASH] = "fire";
+  P2_KEYS[KEY.PERIOD] = "dash";
+  P2_KEYS[KEY.QUOTE] = "nextWeapon";
+  P2_KEYS[KEY.SEMI] = "reload";
+  P2_KEYS[KEY.BSLASH] = "interact";
+
+  var P2_AUTO_AIM = 520;   // split-keyboard aim locks onto enemies this close
+
+  var p2Aim = { a: 0, x: 0, y: 0 };   // last aim, for drawing player 2's gun
+
+  function splitKeyboard() { return players.length > 1 && !net && !pad2.connected; }
+
+  function p2Down(id) {
+    for (var code in P2_KEYS) if (P2_KEYS[code] === id && keys[code]) return true;
+    return false;
+  }
+
+  function p2Pressed(id) {
+    for (var code in P2_KEYS) if (P2_KEYS[code] === id && keysPressed[code]) return true;
+    return false;
+  }
+
+  // Second pad, else the split keyboard. p1 is player 1's snapshot: the shop
+  // cursor is shared, so a purchase made there counts for whoever is buying.
+  function readInput2(p1) {
+    var inp = emptyInput();
+    var p = players[1];
+    if (pad2.connected) {
+      inp.moveX = pad2.lx;
+      inp.moveY = pad2.ly;
+      if (padDown(PAD.LEFT, pad2)) inp.moveX = -1;
+      if (padDown(PAD.RIGHT, pad2)) inp.moveX = 1;
+      if (padDown(PAD.UP, pad2)) inp.moveY = -1;
+      if (padDown(PAD.DOWN, pad2)) inp.moveY = 1;
+      inp.fire = padDown(PAD.RT, pad2);
+      inp.dash = padPressed(PAD.A, pad2) && !state.shopOpen;
+      inp.prevWeapon = padPressed(PAD.LB, pad2);
+      inp.nextWeapon = padPressed(PAD.RB, pad2);
+      inp.reload = padPressed(PAD.Y, pad2) && !state.paused;
+      inp.restart = padPressed(PAD.Y, pad2) && state.paused;
+      inp.interact = padPressed(PAD.X, pad2);
+      inp.pause = padPressed(PAD.START, pad2) || (padPressed(PAD.B, pad2) && state.shopOpen);
+      p2Aim.a = pad2.aimA;
+      if (state.shopOpen && state.shopBy === 1) {
+        if (padPressed(PAD.UP, pad2)) shopCursor = (shopCursor + SHOP_ITEMS.length - 1) % SHOP_ITEMS.length;
+        if (padPressed(PAD.DOWN, pad2)) shopCursor = (shopCursor + 1) % SHOP_ITEMS.length;
+        if (padPressed(PAD.A, pad2)) inp.buy = shopCursor;
+      }
+    } else {
+      if (p2Down("moveLeft")) inp.moveX -= 1;
+      if (p2Down("moveRight")) inp.moveX += 1;
+      if (p2Down("moveUp")) inp.moveY -= 1;
+      if (p2Down("moveDown")) inp.moveY += 1;
+      inp.fire = p2Down("fire");
+      inp.dash = p2Pressed("dash");
+      inp.nextWeapon = p2Pressed("nextWeapon");
+      inp.reload = p2Pressed("reload");
+      inp.interact = p2Pressed("interact");
+      p2Aim.a = autoAimAngle(p, inp);
+    }
+    if (inp.buy < 0 && state.shopOpen && state.shopBy === 1) inp.buy = p1.buy;
+    p2Aim.x = p.x + Math.cos(p2Aim.a) * PAD_AIM_DIST;
+    p2Aim.y = p.y + Math.sin(p2Aim.a) * PAD_AIM_DIST;
+    inp.aimX = p2Aim.x;
+    inp.aimY = p2Aim.y;
+    return inp;
+  }
+
+  // No mouse for player 2 on the keyboard: aim at the nearest enemy in reach,
+  // else keep facing the way they last walked
+  function autoAimAngle(p, inp) {
+    var best = null, bestD = P2_AUTO_AIM * P2_AUTO_AIM;
+    for (var i = 0; i < state.enemies.length; i++) {
+      var e = state.enemies[i];
+      var d = dist2(p.x, p.y, e.x, e.y);
+      if (d < bestD) { bestD = d; best = e; }
+    }
+    if (best) return Math.atan2(best.y - p.y, best.x - p.x);
+    if (inp.moveX !== 0 || inp.moveY !== 0) return Math.atan2(inp.moveY, inp.moveX);
+    return p2Aim.a;
+  }
+
+  // Midpoint of everyone still standing (just the player, solo)
+  function cameraFocus() {
+    var live = livingPlayers();
+    if (live.length === 0) live = players;
+    var x = 0, y = 0;
+    for (var i = 0; i < live.length; i++) { x += live[i].x; y += live[i].y; }
+    return { x: x / live.length, y: y / live.length };
+  }
+
+  function updateCamera(dt) {
+    // Camera target based on player(s); clamp only when room larger than viewport
+    var maxX = Math.max(0, ROOM_W - VIEW_W);
+    var maxY = Math.max(0, ROOM_H - VIEW_H);
+
+    var f = cameraFocus();
+    var tx = clamp(f.x - VIEW_W / 2, 0, maxX);
+    var ty = clamp(f.y - VIEW_H / 2, 0, maxY);
+
+    state.cam.x = lerp(state.cam.x, tx, 10 * dt);
+    state.cam.y = lerp(state.cam.y, ty, 10 * dt);
+
+    // Centering offsets when room smaller than viewport
+    VIEW_OX = (ROOM_W < VIEW_W) ? ((VIEW_W - ROOM_W) * 0.5) : 0;
+    VIEW_OY = (ROOM_H < VIEW_H) ? ((VIEW_H - ROOM_H) * 0.5) : 0;
+  }
+
+  function snapCameraToPlayer() {
+    var maxX = Math.max(0, ROOM_W - VIEW_W);
+    var maxY = Math.max(0, ROOM_H - VIEW_H);
+
+    var f = cameraFocus();
+    state.cam.x = clamp(f.x - VIEW_W / 2, 0, maxX);
+    state.cam.y = clamp(f.y - VIEW_H / 2, 0, maxY);
+
+    VIEW_OX = (ROOM_W < VIEW_W) ? ((VIEW_W - ROOM_W) * 0.5) : 0;
+    VIEW_OY = (ROOM_H < VIEW_H) ? ((VIEW_H - ROOM_H) * 0.5) : 0;
+  }
+
+  // ---------- Audio (WebAudio, all synthesized) ----------
+  // Driven purely by sim events, so replays sound like the original run.
+  // The context is created on the first key/click/touch (autoplay rules).
+  var AUDIO_KEY = "njs.audio";
+  var audioCfg = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+  var audio = null;          // { ctx, master, sfx, music, layers, noise, ... }
+  var optMenu = { sel: 0 };
+  var OPTION_ROWS = ["master", "sfx", "music", "muted", "reducedFx"];
+  var FX_KEY = "njs.fx";
+
+  function loadAudioCfg() {
+    var raw = null;
+    try { raw = window.localStorage.getItem(AUDIO_KEY); } catch (e) { raw = null; }
+    if (!raw) return;
+    var d = null;
+    try { d = JSON.parse(raw); } catch (e2) { return; }
+    if (!d || typeof d !== "object") return;
+    for (var k in audioCfg) {
+      if (k === "muted") audioCfg.muted = !!d.muted;
+      else if (isNum(d[k])) audioCfg[k] = clamp(d[k], 0, 1);
+    }
+  }
+
+  function saveAudioCfg() {
+    try { window.localStorage.setItem(AUDIO_KEY, JSON.stringify(audioCfg)); } catch (e) { /* ignore */ }
+  }
+
+  // Reduced effects lives in the sim (particle cap); only the choice is stored here
+  function loadFxCfg() {
+    var raw = null;
+    try { raw = window.localStorage.getItem(FX_KEY); } catch (e) { raw = null; }
+    setReducedFx(raw === "reduced");
+  }
+
+  function toggleReducedFx() {
+    setReducedFx(!fxReduced);
+    try { window.localStorage.setItem(FX_KEY, fxReduced ? "reduced" : "full"); } catch (e) { /* ignore */ }
+  }
+
+  function unlockAudio() {
+    if (audio) {
+      if (audio.ctx.state === "suspended") audio.ctx.resume();
+      return;
+    }
+    var AC = window.AudioContext || window.webkitAudioContext;
+    if (!AC) return;
+    var ac;
+    try { ac = new AC(); } catch (e) { return; }
+
+    audio = { ctx: ac, last: {}, step: 0, nextT: 0, layers: {} };
+    audio.master = ac.createGain();
+    audio.master.connect(ac.destination);
+    audio.sfx = ac.createGain();
+    audio.sfx.connect(audio.master);
+    audio.music = ac.createGain();
+    audio.music.connect(audio.master);
+
+    var names = ["bass", "drums", "lead"];
+    for (var i = 0; i < names.length; i++) {
+      var g = ac.createGain();
+      g.gain.value = 0;
+      g.connect(audio.music);
+      audio.layers[names[i]] = g;
+    }
+
+    // 1s of white noise, reused by every noisy sound
+    var len = ac.sampleRate;
+    audio.noise = ac.createBuffer(1, len, ac.sampleRate);
+    var ch = audio.noise.getChannelData(0);
+    for (var j = 0; j < len; j++) ch[j] = fxRand() * 2 - 1;
+
+    audio.nextT = ac.currentTime + 0.05;
+    applyAudioCfg();
+  }
+
+  function applyAudioCfg() {
+    if (!audio) return;
+    var t = audio.ctx.currentTime;
+    audio.master.gain.setTargetAtTime(audioCfg.muted ? 0 : audioCfg.master, t, 0.02);
+    audio.sfx.gain.setTargetAtTime(audioCfg.sfx, t, 0.02);
+    audio.music.gain.setTargetAtTime(audioCfg.music * (state.paused ? 0.35 : 1), t, 0.15);
+  }
+
+  function toggleMute() {
+    audioCfg.muted = !audioCfg.muted;
+    applyAudioCfg();
+    saveAudioCfg();
+  }
+
+  // One enveloped voice. o: { wave | noise, f0, f1, dur, vol, at, cut, out }
+  function voice(o) {
+    var ac = audio.ctx;
+    var t0 = (o.at != null) ? o.at : ac.currentTime;
+    var dur = o.dur || 0.1;
+    var src;
+    if (o.noise) {
+      src = ac.createBufferSource();
+      src.buffer = audio.noise;
+    } else {
+      src = ac.createOscillator();
+      src.type = o.wave || "square";
+      src.frequency.setValueAtTime(o.f0, t0);
+      if (o.f1) src.frequency.exponentialRampToValueAtTime(Math.max(20, o.f1), t0 + dur);
+    }
+    var g = ac.createGain();
+    g.gain.setValueAtTime(0.0001, t0);
+    g.gain.exponentialRampToValueAtTime(o.vol || 0.2, t0 + 0.005);
+    g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+
+    var node = src;
+    if (o.cut) {
+      var f = ac.createBiquadFilter();
+      f.type = "lowpass";
+      f.frequency.value = o.cut;
+      src.connect(f);
+      node = f;
+    }
+    node.connect(g);
+    g.connect(o.out || audio.sfx);
+    src.start(t0);
+    src.stop(t0 + dur + 0.02);
+  }
+
+  // Per weapon id (WEAPONS order); unknown ids fall back to the pistol
+  var WEAPON_SFX = [
+    [{ wave: "square", f0: 880, f1: 220, dur: 0.08, vol: 0.16 }],
+    [{ noise: true, dur: 0.18, vol: 0.30, cut: 1800 }, { wave: "square", f0: 200, f1: 60, dur: 0.14, vol: 0.14 }],
+    [{ wave: "sawtooth", f0: 1200, f1: 300, dur: 0.06, vol: 0.13 }],
+    [{ wave: "square", f0: 1400, f1: 500, dur: 0.04, vol: 0.10 }],
+    [{ wave: "sawtooth", f0: 600, f1: 60, dur: 0.30, vol: 0.20 }, { noise: true, dur: 0.22, vol: 0.22, cut: 1200 }],
+    [{ wave: "square", f0: 1000, f1: 400, dur: 0.05, vol: 0.12 }],
+    [{ wave: "sine", f0: 2000, f1: 1200, dur: 0.16, vol: 0.18 }, { wave: "triangle", f0: 3000, f1: 2400, dur: 0.10, vol: 0.06 }]
+  ];
+
+  var SFX = {
+    enemyShot: [{ wave: "triangle", f0: 520, f1: 260, dur: 0.09, vol: 0.08 }],
+    bossShot:  [{ wave: "sawtooth", f0: 260, f1: 110, dur: 0.14, vol: 0.10 }],
+    hurt:      [{ wave: "square", f0: 320, f1: 80, dur: 0.22, vol: 0.22 }, { noise: true, dur: 0.12, vol: 0.15, cut: 900 }],
+    death:     [{ wave: "sawtooth", f0: 400, f1: 40, dur: 1.1, vol: 0.25 }],
+    kill:      [{ noise: true, dur: 0.14, vol: 0.14, cut: 2400 }],
+    block:     [{ wave: "square", f0: 2400, f1: 1800, dur: 0.05, vol: 0.07 }],
+    telegraph: [{ wave: "sawtooth", f0: 180, f1: 420, dur: 0.5, vol: 0.08, cut: 1200 }],
+    summon:    [{ wave: "sine", f0: 300, f1: 900, dur: 0.4, vol: 0.10 }, { wave: "sine", f0: 450, f1: 1350, dur: 0.4, vol: 0.06 }],
+    coin:      [{ wave: "square", f0: 988, dur: 0.06, vol: 0.09 }, { wave: "square", f0: 1319, dur: 0.12, vol: 0.09, delay: 0.06 }],
+    heart:     [{ wave: "sine", f0: 523, f1: 1046, dur: 0.25, vol: 0.16 }],
+    ammo:      [{ noise: true, dur: 0.05, vol: 0.12, cut: 3000 }, { noise: true, dur: 0.05, vol: 0.12, cut: 3000, delay: 0.07 }],
+    reload:    [{ noise: true, dur: 0.04, vol: 0.12, cut: 2500 }, { wave: "square", f0: 300, dur: 0.04, vol: 0.06, delay: 0.12 }],
+    dry:       [{ wave: "square", f0: 1800, dur: 0.02, vol: 0.08 }],
+    secret:    [{ noise: true, dur: 0.5, vol: 0.22, cut: 700 }, { wave: "triangle", f0: 392, f1: 784, dur: 0.6, vol: 0.14, delay: 0.2 }],
+    wave:      [{ wave: "square", f0: 330, dur: 0.1, vol: 0.12 }, { wave: "square", f0: 440, dur: 0.16, vol: 0.12, delay: 0.12 }],
+    relic:     [{ wave: "triangle", f0: 523, dur: 0.12, vol: 0.14 }, { wave: "triangle", f0: 659, dur: 0.12, vol: 0.14, delay: 0.1 },
+                { wave: "triangle", f0: 784, dur: 0.12, vol: 0.14, delay: 0.2 }, { wave: "sine", f0: 1046, dur: 0.4, vol: 0.14, delay: 0.3 }],
+    floor:     [{ wave: "triangle", f0: 784, dur: 0.14, vol: 0.14 }, { wave: "triangle", f0: 587, dur: 0.14, vol: 0.14, delay: 0.14 },
+                { wave: "triangle", f0: 392, dur: 0.14, vol: 0.14, delay: 0.28 }, { wave: "sine", f0: 196, dur: 0.6, vol: 0.18, delay: 0.42 }],
+    down:      [{ wave: "sawtooth", f0: 330, f1: 110, dur: 0.6, vol: 0.2 }, { noise: true, dur: 0.2, vol: 0.12, cut: 700 }],
+    revive:    [{ wave: "sine", f0: 392, f1: 784, dur: 0.3, vol: 0.16 }, { wave: "triangle", f0: 1046, dur: 0.3, vol: 0.12, delay: 0.22 }],
+    doorLock:  [{ wave: "square", f0: 140, f1: 90, dur: 0.18, vol: 0.16 }, { noise: true, dur: 0.08, vol: 0.12, cut: 600 }],
+    doorOpen:  [{ wave: "triangle", f0: 392, dur: 0.10, vol: 0.14 }, { wave: "triangle", f0: 587, dur: 0.18, vol: 0.14, delay: 0.09 }],
+    buy:       [{ wave: "square", f0: 660, dur: 0.07, vol: 0.12 }, { wave: "square", f0: 880, dur: 0.07, vol: 0.12, delay: 0.07 },
+                { wave: "square", f0: 1320, dur: 0.14, vol: 0.12, delay: 0.14 }],
+    buyFail:   [{ wave: "square", f0: 160, dur: 0.16, vol: 0.12 }],
+    explode:   [{ noise: true, dur: 0.22, vol: 0.2, cut: 900 }, { wave: "sine", f0: 120, f1: 40, dur: 0.2, vol: 0.16 }],
+    bossSpawn: [{ wave: "sawtooth", f0: 55, f1: 110, dur: 1.2, vol: 0.25, cut: 700 }, { noise: true, dur: 0.6, vol: 0.18, cut: 400 }],
+    bossPhase: [{ wave: "sawtooth", f0: 110, f1: 440, dur: 0.6, vol: 0.18, cut: 1600 }, { noise: true, dur: 0.4, vol: 0.15, cut: 800 }],
+    bossEnrage:[{ wave: "square", f0: 220, f1: 110, dur: 0.3, vol: 0.14 }, { wave: "square", f0: 220, f1: 110, dur: 0.3, vol: 0.14, delay: 0.35 }],
+    bossDeath: [{ noise: true, dur: 1.4, vol: 0.35, cut: 1500 }, { wave: "sawtooth", f0: 220, f1: 30, dur: 1.3, vol: 0.22 },
+                { wave: "triangle", f0: 523, dur: 0.3, vol: 0.15, delay: 0.5 }, { wave: "triangle", f0: 784, dur: 0.5, vol: 0.15, delay: 0.7 }],
+    victory:   [{ wave: "triangle", f0: 523, dur: 0.16, vol: 0.15, delay: 1.2 }, { wave: "triangle", f0: 659, dur: 0.16, vol: 0.15, delay: 1.36 },
+                { wave: "triangle", f0: 784, dur: 0.16, vol: 0.15, delay: 1.52 }, { wave: "sine", f0: 1046, dur: 0.9, vol: 0.18, delay: 1.68 }]
+  };
+
+  // Throttled per name so 8x replay or a shotgun volley doesn't stack dozens of voices
+  function playSfx(name, parts) {
+    if (!audio || audioCfg.muted) return;
+    var now = audio.ctx.currentTime;
+    if (audio.last[name] != null && now - audio.last[name] < 0.035) return;
+    audio.last[name] = now;
+    for (var i = 0; i < parts.length; i++) {
+      var p = parts[i];
+      var o = {};
+      for (var k in p) o[k] = p[k];
+      o.at = now + (p.delay || 0);
+      voice(o);
+    }
+  }
+
+  function audioEvent(ev) {
+    var t = ev.type;
+    if (t === "shot") playSfx("shot" + ev.weapon, WEAPON_SFX[ev.weapon] || WEAPON_SFX[0]);
+    else if (t === "enemyShot") playSfx(ev.boss ? "bossShot" : "enemyShot", ev.boss ? SFX.bossShot : SFX.enemyShot);
+    else if (t === "hurt") playSfx("hurt", SFX.hurt);
+    else if (t === "death") playSfx("death", SFX.death);
+    else if (t === "victory") playSfx("victory", SFX.victory);
+    else if (t === "kill") playSfx("kill", SFX.kill);
+    else if (t === "block" || t === "telegraph" || t === "summon") playSfx(t, SFX[t]);
+    else if (t === "pickup") playSfx(ev.t, SFX[ev.t] || SFX.buy);
+    else if (t === "reload" || t === "dry" || t === "relic" || t === "secret" || t === "wave") playSfx(t, SFX[t]);
+    else if (t === "down" || t === "revive") playSfx(t, SFX[t]);
+    else if (t === "curse") playSfx("curse", SFX.hurt);
+    else if (t === "floor") playSfx("floor", SFX.floor);
+    else if (t === "explode") playSfx("explode", SFX.explode);
+    else if (t === "doors") playSfx("doors", ev.open ? SFX.doorOpen : SFX.doorLock);
+    else if (t === "buy") playSfx("buy", ev.ok ? SFX.buy : SFX.buyFail);
+    else if (t === "bossSpawn") playSfx("bossSpawn", SFX.bossSpawn);
+    else if (t === "bossDeath") playSfx("bossDeath", SFX.bossDeath);
+    else if (t === "bossPhase" || t === "bossEnrage") playSfx(t, SFX[t]);
+  }
+
+  // ---------- Music (step sequencer, three layers) ----------
+  // 0 = calm (cleared / shop), 1 = combat, 2 = boss. Layers fade in and out
+  // with intensity; notes are only scheduled for layers that are audible.
+  var MUSIC_BPM = 112;
+  var MUSIC_ROOTS = [45, 41, 48, 43];          // A F C G, one bar each
+  var MUSIC_ARP = [0, 7, 12, 7, 3, 7, 12, 15];  // minor-ish arpeggio offsets
+  var MUSIC_LAYERS = [
+    { bass: 0.7, drums: 0.0, lead: 0.0 },
+    { bass: 0.8, drums: 0.6, lead: 0.25 },
+    { bass: 1.0, drums: 0.9, lead: 0.7 }
+  ];
+
+  function midiHz(n) { return 440 * Math.pow(2, (n - 69) / 12); }
+
+  function musicIntensity() {
+    var es = state.enemies;
+    if (!es.length) return 0;
+    for (var i = 0; i < es.length; i++) if (es[i].type === "boss") return 2;
+    return 1;
+  }
+
+  function scheduleMusicStep(s, at, lvl) {
+    var L = audio.layers;
+    var stepDur = 60 / MUSIC_BPM / 4;
+    var root = MUSIC_ROOTS[((s / 16) | 0) % MUSIC_ROOTS.length];
+
+    // bass: quarters when calm, eighths in a fight
+    if (s % (lvl ? 2 : 4) === 0) {
+      voice({ wave: "triangle", f0: midiHz(root), dur: stepDur * (lvl ? 1.8 : 3.5), vol: 0.22, at: at, out: L.bass });
+    }
+    if (lvl >= 1) {
+      if (s % 4 === 0) voice({ wave: "sine", f0: 150, f1: 45, dur: 0.16, vol: 0.5, at: at, out: L.drums });
+      if (s % 8 === 4) voice({ noise: true, dur: 0.10, vol: 0.18, cut: 3000, at: at, out: L.drums });
+      if (s % 2 === 1) voice({ noise: true, dur: 0.03, vol: 0.06, at: at, out: L.drums });
+      var every = (lvl === 2) ? 1 : 2;
+      if (s % every === 0) {
+        var n = root + 24 + MUSIC_ARP[((s / every) | 0) % MUSIC_ARP.length];
+        voice({ wave: "square", f0: midiHz(n), dur: stepDur * 0.9, vol: 0.05, at: at, out: L.lead, cut: lvl === 2 ? 4000 : 1800 });
+      }
+    } else if (s % 16 === 6 || s % 16 === 14) {
+      // sparse bell over the calm bass
+      var m = root + 24 + MUSIC_ARP[(s >> 4) % MUSIC_ARP.length];
+      voice({ wave: "sine", f0: midiHz(m), dur: stepDur * 5, vol: 0.07, at: at, out: L.bass });
+    }
+  }
+
+  function updateMusic() {
+    if (!audio) return;
+    var ac = audio.ctx;
+    var lvl = musicIntensity();
+    var mix = MUSIC_LAYERS[lvl];
+    for (var k in mix) audio.layers[k].gain.setTargetAtTime(mix[k], ac.currentTime, 0.6);
+    audio.music.gain.setTargetAtTime(audioCfg.music * (state.paused ? 0.35 : 1), ac.currentTime, 0.15);
+
+    // tab in background: skip ahead instead of flooding the queue on return
+    if (audio.nextT < ac.currentTime) audio.nextT = ac.currentTime + 0.05;
+    var stepDur = 60 / MUSIC_BPM / 4;
+    while (audio.nextT < ac.currentTime + 0.12) {
+      if (!audioCfg.muted && audioCfg.music > 0) scheduleMusicStep(audio.step, audio.nextT, lvl);
+      audio.step = (audio.step + 1) % 64;
+      audio.nextT += stepDur;
+    }
+  }
+
+  // Pause menu rows: UP/DOWN select, LEFT/RIGHT adjust, ENTER toggles
+  function updateOptionsMenu() {
+    var n = OPTION_ROWS.length;
+    if (wasPressed(KEY.UP)) optMenu.sel = (optMenu.sel + n - 1) % n;
+    if (wasPressed(KEY.DOWN)) optMenu.sel = (optMenu.sel + 1) % n;
+    var row = OPTION_ROWS[optMenu.sel];
+    var d = (wasPressed(KEY.RIGHT) ? 1 : 0) - (wasPressed(KEY.LEFT) ? 1 : 0);
+    if (row === "muted" || row === "reducedFx") {
+      if (d !== 0 || wasPressed(KEY.ENTER)) {
+        if (row === "muted") toggleMute();
+        else toggleReducedFx();
+      }
+      return;
+    }
+    if (d !== 0) {
+      audioCfg[row] = clamp(Math.round((audioCfg[row] + d * 0.1) * 10) / 10, 0, 1);
+      applyAudioCfg();
+      saveAudioCfg();
+      if (row === "sfx") playSfx("coin", SFX.coin);
+    }
+  }
+
+  function drawOptionsMenu(x, y) {
+    var labels = { master: "Master", sfx: "Sound FX", music: "Music", muted: "Mute", reducedFx: "Reduced FX" };
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("OPTIONS   UP/DOWN select   LEFT/RIGHT adjust   ENTER toggle", x, y);
+    for (var i = 0; i < OPTION_ROWS.length; i++) {
+      var row = OPTION_ROWS[i];
+      var ry = y + 26 + i * 24;
+      var sel = (i === optMenu.sel);
+      ctx.fillStyle = sel ? "rgba(255,215,90,0.95)" : "rgba(255,255,255,0.8)";
+      ctx.fillText((sel ? "> " : "  ") + labels[row], x, ry);
+      if (row === "muted" || row === "reducedFx") {
+        ctx.fillText((row === "muted" ? audioCfg.muted : fxReduced) ? "ON" : "OFF", x + 110, ry);
+        continue;
+      }
+      ctx.fillStyle = "rgba(255,255,255,0.15)";
+      ctx.fillRect(x + 110, ry - 11, 160, 12);
+      ctx.fillStyle = audioCfg.muted ? "rgba(255,255,255,0.3)" : "rgba(124,92,255,0.85)";
+      ctx.fillRect(x + 110, ry - 11, 160 * audioCfg[row], 12);
+    }
+  }
+
+  // ---------- Render ----------
+  function draw() {
+    var room = ensureRoom(state.roomId);
+    var node = ensureNode(state.roomId);
+
+    ctx.clearRect(0, 0, VIEW_W, VIEW_H);
+    ctx.fillStyle = "#07060b";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+
+    var sx = 0, sy = 0;
+    if (state.cam.shake > 0 && state.cam.shakeT > 0) {
+      var amt = state.cam.shake * (fxReduced ? 0.6 : 2);
+      sx = (fxRand() - 0.5) * amt;
+      sy = (fxRand() - 0.5) * amt;
+    }
+
+    var camX = state.cam.x + sx;
+    var camY = state.cam.y + sy;
+
+    drawRoom(room, node, camX, camY);
+    drawEntities(camX, camY);
+    drawFx(camX, camY);
+    drawHUD(node);
+    drawMinimap();
+
+    if (node.kind === "shop") drawShopHint();
+    if (state.shopOpen) drawShopOverlay();
+
+    if (state.sandbox) drawSandboxInfo();
+    if (mapOpen) drawFullMap();
+    if (state.over) { if (!screen) drawSummary(null); }
+    else if (state.paused) drawPause();
+    if (net) drawNetStatus();
+  }
+
+  function drawRoom(room, node, camX, camY) {
+    var g = room.g;
+    if (!g) return;
+
+    var x, y;
+    for (y = 0; y < ROOM_TH; y++) {
+      for (x = 0; x < ROOM_TW; x++) {
+        var t = g[tileIndex(x, y)];
+
+        var sx = ((x * TILE - camX) + VIEW_OX) | 0;
+        var sy = ((y * TILE - camY) + VIEW_OY) | 0;
+
+        if (sx > VIEW_W || sy > VIEW_H || sx + TILE < 0 || sy + TILE < 0) continue;
+
+        if (t === 0 || t === 6) {
+          ctx.fillStyle = ((x + y) & 1) ? "rgba(255,255,255,0.070)" : "rgba(255,255,255,0.095)";
+          ctx.fillRect(sx, sy, TILE, TILE);
+          ctx.fillStyle = "rgba(0,0,0,0.24)";
+          ctx.fillRect(sx, sy + TILE - 4, TILE, 4);
+          ctx.fillStyle = "rgba(255,255,255,0.06)";
+          ctx.fillRect(sx, sy, TILE, 3);
+          if (t === 6) {
+            // cracked wall: a faint zig-zag hints at the secret behind it
+            ctx.strokeStyle = "rgba(0,0,0,0.45)";
+            ctx.beginPath();
+            ctx.moveTo(sx + TILE * 0.30, sy + 4);
+            ctx.lineTo(sx + TILE * 0.55, sy + TILE * 0.40);
+            ctx.lineTo(sx + TILE * 0.40, sy + TILE * 0.60);
+            ctx.lineTo(sx + TILE * 0.70, sy + TILE - 6);
+            ctx.stroke();
+          }
+        } else if (t === 2) {
+          ctx.fillStyle = "rgba(0,0,0,0.62)";
+          ctx.fillRect(sx, sy, TILE, TILE);
+          ctx.fillStyle = "rgba(255,255,255,0.02)";
+          ctx.fillRect(sx + 3, sy + 3, TILE - 6, TILE - 6);
+        } else {
+          ctx.fillStyle = ((x + y) & 1) ? "rgba(255,255,255,0.030)" : "rgba(255,255,255,0.040)";
+          ctx.fillRect(sx, sy, TILE, TILE);
+        }
+
+        if (t === 3) {
+          ctx.fillStyle = "rgba(124,92,255,0.14)";
+          ctx.fillRect(sx + 10, sy + 10, TILE - 20, TILE - 20);
+        } else if (t === 4) {
+          // pillar
+          var cx = sx + (TILE >> 1);
+          var cy = sy + (TILE >> 1);
+          var r = (TILE * 0.30) | 0;
+
+          ctx.fillStyle = "rgba(0,0,0,0.30)";
+          ctx.fillRect(cx - r, cy + r, r * 2, r);
+
+          ctx.fillStyle = "rgba(255,255,255,0.08)";
+          ctx.fillRect(cx - r, cy - r, r * 2, r * 2);
+
+          ctx.fillStyle = "rgba(124,92,255,0.20)";
+          ctx.fillRect(cx - r + 3, cy - r + 3, r, r);
+        } else if (t === 5) {
+          ctx.fillStyle = "rgba(124,92,255,0.10)";
+          ctx.fillRect(sx + 12, sy + 12, TILE - 24, TILE - 24);
+        }
+      }
+    }
+
+    drawDoorBars(room, camX, camY);
+
+    if (node.kind === "curse") {
+      ctx.fillStyle = "rgba(170,60,255,0.07)";
+      ctx.fillRect(((0 - camX) + VIEW_OX) | 0, ((0 - camY) + VIEW_OY) | 0, ROOM_W, ROOM_H);
+    }
+    if (node.kind === "shop") drawShopSet(camX, camY);
+    if (node.kind === "treasure") drawTreasureSet(camX, camY);
+    if (state.stairs) drawStairs(camX, camY);
+    drawVignette();
+  }
+
+  function drawDoorBars(room, camX, camY) {
+    var mx = ROOM_W * 0.5;
+    var my = ROOM_H * 0.5;
+    var span = DOOR_SPAN;
+    var node = ensureNode(state.roomId);
+    function barred(dir) { return room.neighbors[dir] && !room.doorsOpen[dir] && !doorHidden(node, dir); }
+
+    ctx.fillStyle = "rgba(255,80,140,0.24)";
+    if (barred("N")) ctx.fillRect(((mx - span - camX) + VIEW_OX) | 0, ((2 - camY) + VIEW_OY) | 0, (span * 2) | 0, 8);
+    if (barred("S")) ctx.fillRect(((mx - span - camX) + VIEW_OX) | 0, ((ROOM_H - 10 - camY) + VIEW_OY) | 0, (span * 2) | 0, 8);
+    if (barred("W")) ctx.fillRect(((2 - camX) + VIEW_OX) | 0, ((my - span - camY) + VIEW_OY) | 0, 8, (span * 2) | 0);
+    if (barred("E")) ctx.fillRect(((ROOM_W - 10 - camX) + VIEW_OX) | 0, ((my - span - camY) + VIEW_OY) | 0, 8, (span * 2) | 0);
+  }
+
+  // Pedestal under the room's relic
+  function drawTreasureSet(camX, camY) {
+    var cx = ((ROOM_W * 0.5 - camX) + VIEW_OX) | 0;
+    var cy = ((ROOM_H * 0.5 - camY) + VIEW_OY) | 0;
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(cx - 30, cy + 14, 60, 10);
+    ctx.fillStyle = "rgba(90,220,255,0.18)";
+    ctx.fillRect(cx - 26, cy - 6, 52, 22);
+    ctx.strokeStyle = "rgba(90,220,255,0.55)";
+    ctx.strokeRect(cx - 26, cy - 6, 52, 22);
+  }
+
+  // Steps going down, with a prompt when a player stands on them
+  function drawStairs(camX, camY) {
+    var cx = ((state.stairs.x - camX) + VIEW_OX) | 0;
+    var cy = ((state.stairs.y - camY) + VIEW_OY) | 0;
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fillRect(cx - 24, cy - 24, 48, 48);
+    for (var i = 0; i < 4; i++) {
+      ctx.fillStyle = "rgba(124,92,255," + (0.55 - i * 0.12) + ")";
+      ctx.fillRect(cx - 20 + i * 3, cy - 20 + i * 10, 40 - i * 6, 6);
+    }
+    ctx.strokeStyle = "rgba(124,92,255,0.85)";
+    ctx.strokeRect(cx - 24.5, cy - 24.5, 49, 49);
+    var near = false;
+    for (i = 0; i < players.length; i++) if (!players[i].down && asPlayer(players[i], nearStairs)) near = true;
+    if (near) {
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.font = "13px system-ui, sans-serif";
+      var label = bindLabel("interact") + ": descend to floor " + (state.floor + 1);
+      ctx.fillText(label, cx - ctx.measureText(label).width / 2, cy - 32);
+    }
+  }
+
+  function drawShopSet(camX, camY) {
+    var cx = ((ROOM_W * 0.5 - camX) + VIEW_OX) | 0;
+    var cy = ((TILE * 2.7 - camY) + VIEW_OY) | 0;
+
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(cx - 130, cy + 22, 260, 14);
+
+    ctx.fillStyle = "rgba(255,255,255,0.08)";
+    ctx.fillRect(cx - 130, cy + 4, 260, 20);
+
+    ctx.fillStyle = "rgba(124,92,255,0.75)";
+    ctx.fillRect(cx - 8, cy - 12, 16, 16);
+    ctx.fillStyle = "rgba(255,255,255,0.35)";
+    ctx.fillRect(cx - 3, cy - 8, 6, 3);
+  }
+
+  function drawVignette() {
+    ctx.fillStyle = "rgba(0,0,0,0.18)";
+    ctx.fillRect(0, 0, VIEW_W, 54);
+    ctx.fillRect(0, VIEW_H - 54, VIEW_W, 54);
+    ctx.fillRect(0, 0, 54, VIEW_H);
+    ctx.fillRect(VIEW_W - 54, 0, 54, VIEW_H);
+  }
+
+  function drawEntities(camX, camY) {
+    // pickups
+    for (var i = 0; i < state.pickups.length; i++) {
+      var pk = state.pickups[i];
+      var px = ((pk.x - camX) + VIEW_OX) | 0;
+      var py = ((pk.y - camY) + VIEW_OY) | 0;
+
+      ctx.fillStyle = "rgba(0,0,0,0.32)";
+      ctx.fillRect(px - pk.r, py + 10, pk.r * 2, 6);
+
+      if (pk.t === "coin") {
+        ctx.fillStyle = "rgba(255,215,90,0.95)";
+        ctx.fillRect(px - 8, py - 8, 16, 16);
+        ctx.fillStyle = "rgba(255,255,255,0.30)";
+        ctx.fillRect(px - 3, py - 7, 6, 3);
+      } else if (pk.t === "ammo") {
+        ctx.fillStyle = "rgba(150,200,255,0.95)";
+        ctx.fillRect(px - 9, py - 6, 18, 12);
+        ctx.fillStyle = "rgba(40,60,90,0.9)";
+        ctx.fillRect(px - 6, py - 3, 3, 6);
+        ctx.fillRect(px - 1, py - 3, 3, 6);
+        ctx.fillRect(px + 4, py - 3, 3, 6);
+      } else if (pk.t === "relic") {
+        var rc = RELICS[pk.v].color;
+        ctx.fillStyle = "rgba(" + rc + ",0.25)";
+        ctx.fillRect(px - 14, py - 14, 28, 28);
+        ctx.fillStyle = "rgba(" + rc + ",0.95)";
+        ctx.fillRect(px - 7, py - 10, 14, 20);
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.fillRect(px - 4, py - 7, 4, 6);
+      } else if (pk.t === "upgrade") {
+        ctx.fillStyle = "rgba(255,215,90,0.95)";
+        ctx.fillRect(px - 3, py - 10, 6, 20);
+        ctx.fillRect(px - 10, py - 3, 20, 6);
+      } else if (pk.t === "mod") {
+        ctx.save();
+        ctx.translate(px, py);
+        ctx.rotate(Math.PI / 4);
+        ctx.fillStyle = "rgba(124,92,255,0.95)";
+        ctx.fillRect(-8, -8, 16, 16);
+        ctx.restore();
+      } else {
+        ctx.fillStyle = "rgba(120,255,170,0.95)";
+        ctx.fillRect(px - 8, py - 8, 16, 16);
+      }
+    }
+
+    // enemies
+    for (i = 0; i < state.enemies.length; i++) {
+      var e = state.enemies[i];
+      var ex = ((e.x - camX) + VIEW_OX) | 0;
+      var ey = ((e.y - camY) + VIEW_OY) | 0;
+
+      ctx.fillStyle = "rgba(0,0,0,0.35)";
+      ctx.fillRect(ex - e.r, ey + e.r, e.r * 2, 8);
+
+      if (e.type === "boss") {
+        drawBoss(e, ex, ey, camX, camY);
+        drawBossBar(e);
+      } else {
+        drawEnemy(e, ENEMIES[e.type], ex, ey);
+      }
+
+      if (e.flashT > 0) {
+        ctx.fillStyle = "rgba(255,255,255," + (fxReduced ? 0.35 : 0.75) + ")";
+        ctx.fillRect(ex - e.r, ey - e.r, e.r * 2, e.r * 2);
+      }
+    }
+
+    // bullets
+    for (i = 0; i < state.bullets.length; i++) {
+      var b = state.bullets[i];
+      var bx = ((b.x - camX) + VIEW_OX) | 0;
+      var by = ((b.y - camY) + VIEW_OY) | 0;
+      ctx.fillStyle = (b.from === "player") ? "rgba(255,255,255,0.9)" : "rgba(255,200,90,0.9)";
+      if (b.kind === "beL") ctx.fillStyle = "rgba(255,120,240,0.9)";
+      ctx.fillRect(bx - 3, by - 3, 6, 6);
+    }
+
+    // players (more detailed)
+    for (i = players.length - 1; i >= 0; i--) drawPlayer(players[i], camX, camY);
+  }
+
+  // Accent per player slot: visor, backpack, gun, reticle, HUD
+  var PLAYER_TINT = ["124,92,255", "255,170,60"];
+
+  function drawPlayer(p, camX, camY) {
+    var px = ((p.x - camX) + VIEW_OX) | 0;
+    var py = ((p.y - camY) + VIEW_OY) | 0;
+    var tint = PLAYER_TINT[p.slot];
+
+    // shadow
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(px - p.r, py + p.r, p.r * 2, 8);
+
+    if (p.down) { drawDownedPlayer(p, px, py, tint); return; }
+
+    // body silhouette
+    var inv = (p.invT > 0);
     ctx.fillStyle = inv ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.92)";
     ctx.fillRect(px - 14, py - 10, 28, 26); // torso
 
-    // head
-    ctx.fillStyle = inv ? "rgba(255,255,255,0.25)" : "rgba(255,255,255,0.88)";
-    ctx.fillRect(px - 10, py - 22, 20, 14);
+    // head
+    ctx.fillStyle = inv ? "rgba(255,255,255,0.25)" : "rgba(255,255,255,0.88)";
+    ctx.fillRect(px - 10, py - 22, 20, 14);
+
+    // visor / accent
+    ctx.fillStyle = "rgba(" + tint + ",0.35)";
+    ctx.fillRect(px - 8, py - 18, 16, 5);
+
+    // backpack
+    ctx.fillStyle = "rgba(" + tint + ",0.18)";
+    ctx.fillRect(px - 16, py - 6, 6, 18);
+
+    // belt
+    ctx.fillStyle = "rgba(0,0,0,0.16)";
+    ctx.fillRect(px - 14, py + 2, 28, 3);
+
+    // gun points toward the aim point (screen-space)
+    var local = (p.slot === localSlot());
+    var aim = local ? null : partnerAim(p);
+    var gx = local ? asPlayer(p, aimScreenX) : (aim.x - state.cam.x) + VIEW_OX;
+    var gy = local ? asPlayer(p, aimScreenY) : (aim.y - state.cam.y) + VIEW_OY;
+    var dx = gx - px;
+    var dy = gy - py;
+    var n = norm(dx, dy);
+
+    ctx.fillStyle = "rgba(0,0,0,0.22)";
+    ctx.fillRect(px + (n.x * 10) | 0, py + (n.y * 4) | 0, 14, 6);
+
+    ctx.fillStyle = "rgba(" + tint + ",0.45)";
+    ctx.fillRect(px + (n.x * 10) | 0, py + (n.y * 4) | 0, 10, 3);
+
+    // reticle
+    ctx.strokeStyle = "rgba(" + tint + ",0.55)";
+    ctx.strokeRect((gx - 10) | 0, (gy - 10) | 0, 20, 20);
+
+    // reload progress
+    if (p.reloadT > 0) {
+      var w = p.guns[p.weapon];
+      ctx.fillStyle = "rgba(0,0,0,0.5)";
+      ctx.fillRect(px - 16, py - 34, 32, 5);
+      ctx.fillStyle = "rgba(150,200,255,0.9)";
+      ctx.fillRect(px - 16, py - 34, (32 * (1 - p.reloadT / w.reload)) | 0, 5);
+    }
+  }
+
+  // Lying flat, with the revive radius and how far along the revive is
+  function drawDownedPlayer(p, px, py, tint) {
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.fillRect(px - 20, py - 4, 30, 14);   // body
+    ctx.fillRect(px + 12, py - 2, 12, 10);   // head
+    ctx.fillStyle = "rgba(" + tint + ",0.35)";
+    ctx.fillRect(px + 14, py, 8, 4);
+
+    ctx.strokeStyle = "rgba(120,255,170,0.35)";
+    ctx.beginPath();
+    ctx.arc(px, py, REVIVE_R, 0, TAU);
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(px - 20, py - 26, 40, 5);
+    ctx.fillStyle = "rgba(120,255,170,0.9)";
+    ctx.fillRect(px - 20, py - 26, (40 * p.reviveT / REVIVE_TIME) | 0, 5);
+  }
+
+  function drawEnemy(e, def, ex, ey) {
+    // charger telegraph: a line along the locked dash direction
+    if (e.mode === "windup") {
+      ctx.strokeStyle = "rgba(255,150,60," + (0.35 + 0.4 * Math.sin(e.modeT * 40) * Math.sin(e.modeT * 40)) + ")";
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.moveTo(ex, ey);
+      ctx.lineTo(ex + Math.cos(e.face) * 260, ey + Math.sin(e.face) * 260);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+
+    ctx.fillStyle = "rgba(" + def.color + ",0.92)";
+    ctx.fillRect(ex - e.r, ey - e.r, e.r * 2, e.r * 2);
+    ctx.fillStyle = "rgba(255,255,255,0.10)";
+    ctx.fillRect(ex - e.r + 3, ey - e.r + 3, e.r, e.r);
+
+    if (def.ai === "static") {
+      // turret: barrel ring
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.strokeRect(ex - e.r + 5, ey - e.r + 5, e.r * 2 - 10, e.r * 2 - 10);
+      ctx.fillStyle = "rgba(0,0,0,0.35)";
+      ctx.fillRect(ex - 4, ey - 4, 8, 8);
+    } else {
+      // eye faces the player (or the dash direction)
+      var fx = Math.cos(e.face || 0), fy = Math.sin(e.face || 0);
+      if (def.ai !== "charge" && def.ai !== "guard") { var n = norm(player.x - e.x, player.y - e.y); fx = n.x; fy = n.y; }
+      ctx.fillStyle = "rgba(0,0,0,0.28)";
+      ctx.fillRect((ex + fx * e.r * 0.5 - 2.5) | 0, (ey + fy * e.r * 0.5 - 2.5) | 0, 5, 5);
+    }
+
+    if (def.shieldArc) {
+      ctx.strokeStyle = "rgba(220,230,255,0.85)";
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(ex, ey, e.r + 6, e.face - def.shieldArc * 0.5, e.face + def.shieldArc * 0.5);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+    if (def.summon) {
+      ctx.fillStyle = "rgba(255,255,255,0.45)";
+      ctx.fillRect(ex - 3, ey - e.r - 9, 6, 6);
+    }
+  }
+
+  function drawBoss(e, ex, ey, camX, camY) {
+    var step = BOSSES[e.bossId].phases[e.phase].script[e.si];
+
+    // wind-up telegraphs, pulsing faster as the attack gets close
+    if (e.mode === "tele" && step) {
+      var pulse = 0.35 + 0.45 * Math.abs(Math.sin(e.modeT * 18));
+      ctx.strokeStyle = "rgba(255,230,120," + pulse + ")";
+      ctx.lineWidth = (step.atk === "charge") ? 10 : 3;
+      ctx.beginPath();
+      var pat = step.fire ? PATTERNS[step.fire] : null;
+      if (step.atk === "teleport") {
+        var tx = ((e.tpX - camX) + VIEW_OX) | 0, ty = ((e.tpY - camY) + VIEW_OY) | 0;
+        ctx.arc(tx, ty, e.r + 6, 0, TAU);
+      } else if (step.atk === "summon" || (pat && pat.aim !== "locked")) {
+        ctx.arc(ex, ey, e.r + 14 + 10 * pulse, 0, TAU);
+      } else {
+        // locked aim: show the cone (fan spread or sweep swing) about to fire
+        var spread = 0;
+        if (pat && pat.shape === "fan") spread = (pat.spread || 0) * 0.5;
+        if (pat && pat.sweep) spread = pat.sweep.step * (pat.sweep.span - 1) * 0.5;
+        var len = (step.atk === "charge") ? 420 : 300;
+        ctx.moveTo(ex, ey);
+        ctx.lineTo(ex + Math.cos(e.aimA - spread) * len, ey + Math.sin(e.aimA - spread) * len);
+        if (spread) {
+          ctx.moveTo(ex, ey);
+          ctx.lineTo(ex + Math.cos(e.aimA + spread) * len, ey + Math.sin(e.aimA + spread) * len);
+        }
+      }
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+
+    // body (reddens when enraged)
+    ctx.fillStyle = "rgba(" + (e.enraged ? "255,60,60" : e.color) + ",0.90)";
+    ctx.fillRect(ex - e.r, ey - e.r, e.r * 2, e.r * 2);
+    ctx.fillStyle = "rgba(255,255,255,0.10)";
+    ctx.fillRect(ex - e.r + 4, ey - e.r + 4, e.r, e.r);
+
+    // crown-ish pixels, one extra point per phase
+    ctx.fillStyle = "rgba(255,215,90,0.85)";
+    ctx.fillRect(ex - 18, ey - e.r - 10, 36, 10);
+    for (var p = 0; p <= e.phase; p++) ctx.fillRect(ex - 8 - e.phase * 10 + p * 20, ey - e.r - 18, 16, 8);
+  }
+
+  // Top-centre HP bar with a tick at every phase threshold
+  function drawBossBar(e) {
+    var w = 260;
+    var x0 = (VIEW_W / 2 - w / 2) | 0;
+    var f = Math.max(0, e.hp) / e.hpMax;
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(x0, 14, w, 12);
+    ctx.fillStyle = e.enraged ? "rgba(255,60,60,0.9)" : "rgba(255,80,140,0.85)";
+    ctx.fillRect(x0, 14, (w * f) | 0, 12);
+
+    var phases = BOSSES[e.bossId].phases;
+    for (var i = 1; i < phases.length; i++) {
+      var mx = x0 + ((w * phases[i].at) | 0);
+      ctx.fillStyle = (i <= e.phase) ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.9)";
+      ctx.fillRect(mx - 1, 10, 2, 20);
+    }
+
+    ctx.fillStyle = "rgba(255,255,255,0.75)";
+    ctx.font = "12px system-ui, sans-serif";
+    ctx.fillText(e.name + "   phase " + (e.phase + 1) + "/" + phases.length + (e.enraged ? "   ENRAGED" : ""), x0, 42);
+  }
+
+  // Particles from state.fx; alpha follows remaining life
+  function drawFx(camX, camY) {
+    for (var i = 0; i < state.fx.length; i++) {
+      var p = state.fx[i];
+      var k = clamp(p.t / (p.life || 1), 0, 1);
+      var x = (p.x - camX) + VIEW_OX;
+      var y = (p.y - camY) + VIEW_OY;
+      if (x < -150 || y < -150 || x > VIEW_W + 150 || y > VIEW_H + 150) continue;
+
+      if (p.kind === "text") {
+        ctx.font = "bold " + p.size + "px system-ui, sans-serif";
+        ctx.fillStyle = "rgba(0,0,0," + (0.6 * k) + ")";
+        ctx.fillText(p.text, (x + 1) | 0, (y + 1) | 0);
+        ctx.fillStyle = "rgba(" + p.color + "," + k + ")";
+        ctx.fillText(p.text, x | 0, y | 0);
+      } else if (p.kind === "flash") {
+        ctx.fillStyle = "rgba(" + p.color + "," + (0.7 * k) + ")";
+        ctx.beginPath();
+        ctx.arc(x, y, p.size * (0.6 + 0.4 * k), 0, TAU);
+        ctx.fill();
+      } else if (p.kind === "ring") {
+        ctx.strokeStyle = "rgba(" + p.color + "," + k + ")";
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, p.size, 0, TAU);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+      } else {
+        var sz = Math.max(1, p.size * (0.5 + 0.5 * k));
+        ctx.fillStyle = "rgba(" + p.color + "," + k + ")";
+        ctx.fillRect((x - sz / 2) | 0, (y - sz / 2) | 0, sz | 0 || 1, sz | 0 || 1);
+      }
+    }
+  }
+
+  function aimScreenX() {
+    if (inputDevice === "pad") return (padAimWorldX() - state.cam.x) + VIEW_OX;
+    if (inputDevice === "touch") return (touchAimWorldX() - state.cam.x) + VIEW_OX;
+    return mouse.x;
+  }
+  function aimScreenY() {
+    if (inputDevice === "pad") return (padAimWorldY() - state.cam.y) + VIEW_OY;
+    if (inputDevice === "touch") return (touchAimWorldY() - state.cam.y) + VIEW_OY;
+    return mouse.y;
+  }
+
+  // One panel per player; player 1's also carries the floor / room / seed lines
+  function drawHUD(node) {
+    drawPlayerPanel(players[0], 0, node);
+    if (players.length > 1) drawPlayerPanel(players[1], 92, null);
+
+    if (state.msgT > 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.9)";
+      ctx.font = "18px system-ui, sans-serif";
+      ctx.fillText(state.msg, 16, VIEW_H - 22);
+    }
+  }
+
+  function drawPlayerPanel(p, oy, node) {
+    var x = 16;
+    var tint = PLAYER_TINT[p.slot];
+    ctx.fillStyle = "rgba(0,0,0,0.48)";
+    ctx.fillRect(x, oy + 12, 520, node ? 86 : 66);
+    if (players.length > 1) {
+      ctx.fillStyle = "rgba(" + tint + ",0.85)";
+      ctx.fillRect(x, oy + 12, 4, node ? 86 : 66);
+    }
+
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillText(players.length > 1 ? "P" + (p.slot + 1) : "HP", x + 12, oy + 40);
+
+    for (var i = 0; i < p.hpMax; i++) {
+      ctx.fillStyle = (i < p.hp) ? "rgba(120,255,170,0.9)" : "rgba(255,255,255,0.12)";
+      ctx.fillRect(x + 46 + i * 18, oy + 28, 14, 14);
+    }
+
+    ctx.fillStyle = "rgba(255,255,255,0.85)";
+    var coins = state.coop.split ? p.coins : state.coins;
+    ctx.fillText("Coins: " + coins + (players.length > 1 && !state.coop.split ? " (shared)" : ""), x + 12, oy + 70);
+
+    if (p.down) {
+      ctx.fillStyle = "rgba(255,80,140,0.95)";
+      ctx.fillText("DOWN — partner, stand close to revive", x + 204, oy + 40);
+    } else {
+      var w = p.guns[p.weapon];
+      ctx.fillText("Weapon: " + w.name + " (" + weaponHint(p) + ")", x + 204, oy + 40);
+      ctx.font = "12px system-ui, sans-serif";
+      var ammo = (p.reloadT > 0 ? "RELOADING" : "Ammo " + w.clip + "/" + w.mag) + "   Reserve " + (w.infinite ? "∞" : p.reserve);
+      ctx.fillStyle = (w.clip === 0 && !w.infinite && p.reserve === 0) ? "rgba(255,80,140,0.95)" : "rgba(255,255,255,0.85)";
+      ctx.fillText(ammo, x + 204, oy + 56);
+      var tags = weaponBuildTags(w);
+      if (tags) {
+        ctx.fillStyle = "rgba(255,215,90,0.85)";
+        ctx.fillText(tags, x + 204 + ctx.measureText(ammo).width + 18, oy + 56);
+      }
+      ctx.font = "14px system-ui, sans-serif";
+    }
+
+    if (!node) return;
+    ctx.fillStyle = "rgba(255,255,255,0.65)";
+    ctx.fillText("Floor: " + state.floor + "   Room: " + node.kind + "   Depth: " + node.depth + "   [" + state.roomId + "]", x + 204, oy + 70);
+    var picked = state.run.modifiers.length;
+    ctx.fillText("Seed: " + runSeed + "   " + diff().name + (picked ? " + " + picked + (picked > 1 ? " modifiers" : " modifier") : ""), x + 12, oy + 90);
+  }
+
+  function weaponHint(p) {
+    if (p.slot !== localSlot()) return net ? "online" : (pad2.connected ? "LB/RB" : keyName(KEY.QUOTE));
+    return inputDevice === "pad" ? "LB/RB" : bindLabel("prevWeapon") + " / " + bindLabel("nextWeapon");
+  }
+
+  function drawShopHint() {
+    ctx.fillStyle = "rgba(0,0,0,0.40)";
+    ctx.fillRect(16, VIEW_H - 62, 620, 46);
+    ctx.fillStyle = "rgba(255,255,255,0.85)";
+    ctx.font = "14px system-ui, sans-serif";
+    if (hasModifier("noshops")) {
+      ctx.fillText("SHOP — closed this run (No shops)", 28, VIEW_H - 34);
+      return;
+    }
+    var hint = "SHOP — press " + bindLabel("interact") + " at the counter. Buy with " +
+      bindLabel("buy1") + "–" + bindLabel("buy" + SHOP_ITEMS.length) + " or arrows + ENTER.";
+    if (inputDevice === "pad") hint = "SHOP — press X at the counter. D-pad to choose, A to buy.";
+    else if (inputDevice === "touch") hint = "SHOP — tap USE at the counter, then tap an item.";
+    ctx.fillText(hint, 28, VIEW_H - 34);
+  }
+
+  // Rows shrink on short (phone) screens so every item stays tappable
+  function shopLayout() {
+    var step = clamp(((VIEW_H - 130) / SHOP_ITEMS.length) | 0, 40, 76);
+    return { y0: 130, step: step, compact: step < 64 };
+  }
+
+  function shopRowAt(x, y) {
+    var L = shopLayout();
+    if (x < 40 || x > VIEW_W - 40) return -1;
+    for (var i = 0; i < SHOP_ITEMS.length; i++) {
+      var ry = L.y0 + i * L.step;
+      if (y >= ry - 36 && y <= ry - 36 + L.step - 4) return i;
+    }
+    return -1;
+  }
+
+  function drawShopOverlay() {
+    ctx.fillStyle = "rgba(0,0,0,0.72)";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.font = "28px system-ui, sans-serif";
+    ctx.fillText(players.length > 1 ? "SHOP — P" + (state.shopBy + 1) : "SHOP", 40, 60);
+
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.75)";
+    var closeHint = (inputDevice === "pad") ? "   (B to close)" : (inputDevice === "touch" ? "   (tap an item to buy)" : "   (ESC to close)");
+    var purse = state.coop.split ? players[state.shopBy] : state;
+    ctx.fillText("Coins: " + purse.coins + closeHint, 40, 84);
+
+    var L = shopLayout();
+    var y = L.y0;
+    for (var i = 0; i < SHOP_ITEMS.length; i++) {
+      var it = SHOP_ITEMS[i];
+      var offer = shopperOffer(it);
+
+      ctx.fillStyle = (i === shopCursor) ? "rgba(124,92,255,0.28)" : "rgba(255,255,255,0.10)";
+      ctx.fillRect(40, y - 36, VIEW_W - 80, L.step - 18);
+
+      ctx.fillStyle = "rgba(124,92,255,0.65)";
+      ctx.font = "14px system-ui, sans-serif";
+      ctx.fillText("[" + (inputDevice === "kbm" ? bindLabel("buy" + it.key) : it.key) + "]", 58, y);
+
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.font = "18px system-ui, sans-serif";
+      ctx.fillText(offer.label, 100, y);
+
+      ctx.font = "14px system-ui, sans-serif";
+      ctx.fillStyle = "rgba(255,255,255,0.65)";
+      if (!L.compact) ctx.fillText(offer.desc, 100, y + 20);
+
+      var right = VIEW_W - 210;
+      if (offer.done) {
+        ctx.fillStyle = "rgba(120,255,170,0.85)";
+        ctx.fillText(offer.done, right, y);
+      } else {
+        ctx.fillStyle = (purse.coins >= offer.cost) ? "rgba(255,215,90,0.92)" : "rgba(255,255,255,0.35)";
+        ctx.fillText(offer.cost + " coins", right, y);
+      }
+
+      y += L.step;
+    }
+  }
+
+  function drawPause() {
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    ctx.font = "26px system-ui, sans-serif";
+    ctx.fillText("PAUSED", 40, 62);
+    ctx.font = "14px system-ui, sans-serif";
+    if (inputDevice === "pad") ctx.fillText("START/B: resume   Y: restart (reload in play)   LB/RB: cycle weapons   A: dash   RT: fire   BACK: map", 40, 90);
+    else ctx.fillText("ESC: resume   " + bindLabel("restart") + ": restart   " + bindLabel("prevWeapon") + "/" + bindLabel("nextWeapon") +
+      ": cycle weapons   " + bindLabel("reload") + ": reload   " + bindLabel("dash") + ": dash   " + bindLabel("map") + ": map", 40, 90);
+    ctx.fillText("Seed: " + runSeed + (pinnedSeed != null ? "  (pinned)" : "") + "   Run: " + runLabel(), 40, 114);
+    if (recorder) ctx.fillText("V: save replay   " + (recorder.full ? "(replay full)" : "B: watch replay") + "   (drop a replay file anywhere to play it)", 40, 138);
+    ctx.fillText("O: controls / settings" + (!net && !state.sandbox ? "   T: save and go to the main menu" : ""), 40, 162);
+    if (net) ctx.fillText("Online co-op — " + netStatusText(), 40, 186);
+    else ctx.fillText("P: co-op — " + COOP_MODES[coopMode()].label + "  (changing it starts a new run)", 40, 186);
+    drawOptionsMenu(40, 204);
+    var y = 204;
+    for (var i = 0; i < players.length; i++) y = drawInventory(players[i], Math.max(380, VIEW_W - 360), y) + 24;
+  }
+
+  // "Hard — One-hit deaths, No shops"
+  function runLabel() {
+    var names = [];
+    for (var i = 0; i < state.run.modifiers.length; i++) names.push(MODIFIERS[state.run.modifiers[i]].name);
+    return diff().name + (names.length ? " — " + names.join(", ") : "");
+  }
+
+  // -> y below the list
+  function drawInventory(p, x, y) {
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText((players.length > 1 ? "P" + (p.slot + 1) + " " : "") + "RELICS  " + p.relics.length + "/" + RELIC_IDS.length, x, y);
+    if (p.relics.length === 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.35)";
+      ctx.fillText("None yet — find treasure rooms or beat a boss", x, y + 26);
+      return y + 26;
+    }
+    for (var i = 0; i < p.relics.length; i++) {
+      var r = RELICS[p.relics[i]];
+      var ry = y + 26 + i * 36;
+      ctx.fillStyle = "rgba(" + r.color + ",0.95)";
+      ctx.fillRect(x, ry - 12, 10, 14);
+      ctx.fillStyle = "rgba(255,255,255,0.9)";
+      ctx.font = "14px system-ui, sans-serif";
+      ctx.fillText(r.name, x + 18, ry);
+      ctx.fillStyle = "rgba(255,255,255,0.55)";
+      ctx.font = "12px system-ui, sans-serif";
+      ctx.fillText(r.desc, x + 18, ry + 15);
+    }
+    return y + 26 + (p.relics.length - 1) * 36 + 15;
+  }
+
+  // ---------- Minimap / full map ----------
+  var mapOpen = false;
+
+  var MAP_DIRS = [
+    { d: "N", x: 0, y: -1 }, { d: "S", x: 0, y: 1 },
+    { d: "W", x: -1, y: 0 }, { d: "E", x: 1, y: 0 }
+  ];
+
+  // A secret room's wall shows no door until it has been broken
+  function mapLinked(n, r, dir) {
+    return !!r.neighbors[dir] && !doorHidden(n, dir);
+  }
+
+  // Seen rooms plus whatever their doors lead to
+  function collectKnownRooms() {
+    var known = {};
+    for (var id in state.map) {
+      var n = state.map[id];
+      if (!n.seen) continue;
+      known[id] = n;
+      var r = state.rooms[id];
+      if (!r) continue;
+      for (var i = 0; i < MAP_DIRS.length; i++) {
+        var md = MAP_DIRS[i];
+        if (!mapLinked(n, r, md.d)) continue;
+        var nid = roomKey(n.x + md.x, n.y + md.y);
+        if (state.map[nid]) known[nid] = state.map[nid];
+      }
+    }
+    return known;
+  }
+
+  function mapCellColor(n) {
+    // Unseen rooms still show their kind (the layout rule is no secret)
+    var kind = n.seen ? n.kind : assignRoomKind(n);
+    if (kind === "shop") return "rgba(255,215,90,0.90)";
+    if (kind === "treasure") return "rgba(90,220,255,0.90)";
+    if (kind === "challenge") return "rgba(255,150,60,0.90)";
+    if (kind === "curse") return "rgba(170,60,255,0.90)";
+    if (kind === "secret") return "rgba(200,200,200,0.90)";
+    if (kind === "start") return "rgba(124,92,255,0.90)";
+    if (kind === "combat" && shouldSpawnBoss(n)) return "rgba(255,80,140,0.95)";
+    if (n.cleared) return "rgba(120,255,170,0.55)";
+    return "rgba(255,255,255,0.55)";
+  }
+
+  function drawMapRooms(known, ox, oy, cell, clip) {
+    var cur = ensureNode(state.roomId);
+    var half = cell * 0.5;
+    var box = Math.max(4, (cell * 0.62) | 0);
+    var id, n, sx, sy;
+
+    function visible(n) {
+      return !clip || (Math.abs(n.x - cur.x) <= clip && Math.abs(n.y - cur.y) <= clip);
+    }
+
+    // door links first, rooms on top
+    ctx.fillStyle = "rgba(255,255,255,0.22)";
+    for (id in known) {
+      n = known[id];
+      if (!n.seen || !visible(n)) continue;
+      var r = state.rooms[id];
+      if (!r) continue;
+      sx = ox + (n.x - cur.x) * cell;
+      sy = oy + (n.y - cur.y) * cell;
+      for (var i = 0; i < MAP_DIRS.length; i++) {
+        var md = MAP_DIRS[i];
+        if (!mapLinked(n, r, md.d)) continue;
+        if (md.x !== 0) ctx.fillRect((sx + (md.x > 0 ? 0 : -half)) | 0, (sy - 1) | 0, half | 0, 2);
+        else ctx.fillRect((sx - 1) | 0, (sy + (md.y > 0 ? 0 : -half)) | 0, 2, half | 0);
+      }
+    }
+
+    for (id in known) {
+      n = known[id];
+      if (!visible(n)) continue;
+      sx = ox + (n.x - cur.x) * cell;
+      sy = oy + (n.y - cur.y) * cell;
+      var bx = (sx - box / 2) | 0;
+      var by = (sy - box / 2) | 0;
+
+      if (n.seen) {
+        ctx.fillStyle = mapCellColor(n);
+        ctx.fillRect(bx, by, box, box);
+      } else {
+        ctx.strokeStyle = mapCellColor(n);
+        ctx.strokeRect(bx + 0.5, by + 0.5, box - 1, box - 1);
+      }
+
+      if (id === state.roomId) {
+        ctx.strokeStyle = "rgba(255,255,255,0.95)";
+        ctx.strokeRect(bx - 2.5, by - 2.5, box + 4, box + 4);
+      }
+    }
+  }
+
+  function drawMinimap() {
+    var radius = 3;
+    var cell = 18;
+    var size = (radius * 2 + 1) * cell + 12;
+    var x0 = VIEW_W - size - 16;
+    var y0 = 12;
+
+    ctx.fillStyle = "rgba(0,0,0,0.48)";
+    ctx.fillRect(x0, y0, size, size);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x0, y0, size, size);
+    ctx.clip();
+    drawMapRooms(collectKnownRooms(), x0 + size / 2, y0 + size / 2, cell, radius);
+    ctx.restore();
+
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.font = "11px system-ui, sans-serif";
+    ctx.fillText(bindLabel("map") + ": map", x0 + 4, y0 + size + 14);
+  }
+
+  function drawFullMap() {
+    var known = collectKnownRooms();
+    var cur = ensureNode(state.roomId);
+    var minX = cur.x, maxX = cur.x, minY = cur.y, maxY = cur.y;
+    for (var id in known) {
+      var n = known[id];
+      minX = Math.min(minX, n.x); maxX = Math.max(maxX, n.x);
+      minY = Math.min(minY, n.y); maxY = Math.max(maxY, n.y);
+    }
+
+    ctx.fillStyle = "rgba(0,0,0,0.82)";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+
+    var top = 110;
+    var cols = maxX - minX + 1;
+    var rows = maxY - minY + 1;
+    var cell = Math.min(40, (VIEW_W - 80) / cols, (VIEW_H - top - 40) / rows) | 0;
+    cell = Math.max(cell, 8);
+
+    // origin = screen position of the current room's center
+    var ox = (VIEW_W - cols * cell) / 2 + (cur.x - minX + 0.5) * cell;
+    var oy = top + (VIEW_H - top - 40 - rows * cell) / 2 + (cur.y - minY + 0.5) * cell;
+    drawMapRooms(known, ox, oy, cell, 0);
+
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.font = "28px system-ui, sans-serif";
+    ctx.fillText("MAP — FLOOR " + state.floor, 40, 60);
+
+    ctx.font = "14px system-ui, sans-serif";
+    var legend = [
+      ["rgba(124,92,255,0.90)", "Start"],
+      ["rgba(255,215,90,0.90)", "Shop"],
+      ["rgba(90,220,255,0.90)", "Treasure"],
+      ["rgba(255,150,60,0.90)", "Challenge"],
+      ["rgba(170,60,255,0.90)", "Curse"],
+      ["rgba(200,200,200,0.90)", "Secret"],
+      ["rgba(255,80,140,0.95)", "Boss"],
+      ["rgba(120,255,170,0.55)", "Cleared"],
+      ["rgba(255,255,255,0.55)", "Uncleared"]
+    ];
+    var lx = 40;
+    for (var i = 0; i < legend.length; i++) {
+      ctx.fillStyle = legend[i][0];
+      ctx.fillRect(lx, 78, 12, 12);
+      ctx.fillStyle = "rgba(255,255,255,0.75)";
+      ctx.fillText(legend[i][1], lx + 18, 89);
+      lx += 36 + ctx.measureText(legend[i][1]).width;
+    }
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.fillText("Outlined: known but unvisited      " + bindLabel("map") + " / ESC: close", lx, 89);
+  }
+
+  // ---------- Resize (full window canvas, crisp) ----------
+  function resize() {
+    dpr = window.devicePixelRatio || 1;
+
+    var w = window.innerWidth;
+    var h = window.innerHeight;
+
+    canvas.style.position = "fixed";
+    canvas.style.left = "0";
+    canvas.style.top = "0";
+    canvas.style.width = "100vw";
+    canvas.style.height = "100vh";
+
+    canvas.width = (w * dpr) | 0;
+    canvas.height = (h * dpr) | 0;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.scale(dpr, dpr);
+    ctx.imageSmoothingEnabled = false;
+
+    VIEW_W = w;
+    VIEW_H = h;
 
-    // visor / accent
-    ctx.fillStyle = "rgba(124,92,255,0.35)";
-    ctx.fillRect(px - 8, py - 18, 16, 5);
+    snapCameraToPlayer();
+  }
 
-    // backpack
-    ctx.fillStyle = "rgba(124,92,255,0.18)";
-    ctx.fillRect(px - 16, py - 6, 6, 18);
+  // ---------- Seed from URL (?seed=...) ----------
+  function readSeedFromURL() {
+    var m = /[?&]seed=([^&#]*)/.exec(window.location.search || "");
+    if (!m) return null;
+    var s;
+    // a malformed escape (?seed=%E0) plays a random seed instead of throwing
+    try { s = decodeURIComponent(m[1].replace(/\+/g, " ")); } catch (e) { return null; }
+    return s.length ? s : null;
+  }
 
-    // belt
-    ctx.fillStyle = "rgba(0,0,0,0.16)";
-    ctx.fillRect(px - 14, py + 2, 28, 3);
+  // ?coop (shared coins) or ?coop=split starts in local co-op
+  function readCoopFromURL() {
+    var m = /[?&]coop(?:=([^&#]*))?/.exec(window.location.search || "");
+    if (!m) return null;
+    return (m[1] === "split") ? "split" : "shared";
+  }
 
-    // gun points toward mouse (screen-space)
-    var gx = (mouse.x);
-    var gy = (mouse.y);
-    var dx = gx - px;
-    var dy = gy - py;
-    var n = norm(dx, dy);
+  // ?net=ws://host:port/room plays online through relay.js (bare ?net: localhost)
+  function readNetFromURL() {
+    var m = /[?&]net(?:=([^&#]*))?/.exec(window.location.search || "");
+    if (!m) return null;
+    if (!m[1]) return "ws://localhost:8787/run";
+    // a relay address that won't decode can't be dialled: play offline
+    try { return decodeURIComponent(m[1]); } catch (e) { return null; }
+  }
 
-    ctx.fillStyle = "rgba(0,0,0,0.22)";
-    ctx.fillRect(px + (n.x * 10) | 0, py + (n.y * 4) | 0, 14, 6);
+  // ---------- Co-op toggle (from pause) ----------
+  var COOP_MODES = [
+    { label: "off", players: 1, split: false },
+    { label: "2 players, shared coins", players: 2, split: false },
+    { label: "2 players, split coins", players: 2, split: true }
+  ];
 
-    ctx.fillStyle = "rgba(124,92,255,0.45)";
-    ctx.fillRect(px + (n.x * 10) | 0, py + (n.y * 4) | 0, 10, 3);
+  function coopMode() {
+    if (state.coop.players < 2) return 0;
+    return state.coop.split ? 2 : 1;
+  }
 
-    // reticle
-    ctx.strokeStyle = "rgba(124,92,255,0.55)";
-    ctx.strokeRect((mouse.x - 10) | 0, (mouse.y - 10) | 0, 20, 20);
+  function cycleCoop() {
+    var m = COOP_MODES[(coopMode() + 1) % COOP_MODES.length];
+    setCoop(m.players, m.split);
+    newRun();
+    startRecording(null);
+    snapCameraToPlayer();
+    state.msg = "CO-OP: " + m.label.toUpperCase();
+    state.msgT = 1.4;
   }
 
-  function drawHUD(node) {
-    ctx.fillStyle = "rgba(0,0,0,0.48)";
-    ctx.fillRect(16, 12, 520, 86);
+  // ?sandbox or ?sandbox=<pattern> opens the pattern preview room
+  function readSandboxFromURL() {
+    var m = /[?&]sandbox(?:=([^&#]*))?/.exec(window.location.search || "");
+    if (!m) return null;
+    if (!m[1]) return "";
+    // a malformed pattern name opens the sandbox on its first pattern
+    try { return decodeURIComponent(m[1]); } catch (e) { return ""; }
+  }
 
-    ctx.fillStyle = "rgba(255,255,255,0.9)";
-    ctx.font = "14px system-ui, sans-serif";
-    ctx.fillText("HP", 28, 40);
+  function drawSandboxInfo() {
+    var name = sandboxName();
+    var pat = PATTERNS[name];
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fillRect(16, VIEW_H - 92, VIEW_W - 32, 76);
+    ctx.fillStyle = "rgba(255,215,90,0.95)";
+    ctx.font = "16px system-ui, sans-serif";
+    ctx.fillText("PATTERN SANDBOX  " + (state.sandbox.idx + 1) + "/" + SANDBOX_PATTERNS.length + "   " + name, 28, VIEW_H - 68);
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.font = "12px ui-monospace, monospace";
+    var spec = JSON.stringify(pat);
+    ctx.fillText(spec.length > 130 ? spec.slice(0, 127) + "..." : spec, 28, VIEW_H - 46);
+    ctx.font = "12px system-ui, sans-serif";
+    ctx.fillText("[ / ]: previous / next pattern   " + bindLabel("restart") + ": reset room   (player cannot be hurt)", 28, VIEW_H - 26);
+  }
+
+  // ---------- Replay recording / playback ----------
+  // Every live step is recorded; playback swaps the live run out, feeds the
+  // recorded frames back through step() and re-simulates to resume afterwards.
+  // Seeks re-simulate a slice per drawn frame, so a long run never stalls.
+  var REPLAY_SPEEDS = [1, 2, 4, 8];
+  var REPLAY_MAX_FRAMES = 60 * 60 * 45;   // ~45 minutes; past that only the opening is kept
+  var REPLAY_SLICE_MS = 8;                // re-simulation per drawn frame while seeking
+  var recorder = null;
+  var playback = null;   // { data, frame, to (seek target, -1 when landed), speedI, paused, resume, exiting }
+  var liveStorage = null;
+  var liveCoop = null;   // co-op setting to go back to (replays bring their own)
+  var liveRun = null;    // same for difficulty + modifiers
+
+  // Not online: a run that changes hands mid-way can't be replayed from its inputs
+  function startRecording(startSave) {
+    if (net) { recorder = null; return; }
+    recorder = {
+      v: REPLAY_VERSION,
+      seed: runSeed,
+      pinned: pinnedSeed != null,
+      start: startSave || null,
+      coop: { players: state.coop.players, split: state.coop.split },
+      run: { difficulty: state.run.difficulty, modifiers: state.run.modifiers.slice(0) },
+      frames: [],
+      rooms: [[0, state.roomId]]
+    };
+  }
 
-    for (var i = 0; i < player.hpMax; i++) {
-      ctx.fillStyle = (i < player.hp) ? "rgba(120,255,170,0.9)" : "rgba(255,255,255,0.12)";
-      ctx.fillRect(62 + i * 18, 28, 14, 14);
+  // A full recording can still be saved, but no longer replays up to the
+  // live run, so it can't be watched from the pause menu
+  function recordFrame(inp, dt, evs, inp2) {
+    if (!recorder) return;
+    if (recorder.frames.length < REPLAY_MAX_FRAMES) recorder.frames.push(packInput(inp, dt, inp2));
+    else if (!recorder.full) {
+      recorder.full = true;
+      state.msg = "REPLAY FULL — RECORDING STOPPED";
+      state.msgT = 1.4;
     }
+    for (var i = 0; i < evs.length; i++) {
+      if (evs[i].type === "reset") startRecording(null);
+      else if (evs[i].type === "room" && !recorder.full) recorder.rooms.push([recorder.frames.length, evs[i].id]);
+    }
+  }
 
-    ctx.fillStyle = "rgba(255,255,255,0.85)";
-    ctx.fillText("Coins: " + state.coins, 28, 70);
+  function downloadReplay() {
+    if (!recorder) return;
+    try {
+      var blob = new Blob([JSON.stringify(recorder)], { type: "application/json" });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement("a");
+      a.href = url;
+      a.download = "replay-" + recorder.seed + ".json";
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+      state.msg = "REPLAY SAVED";
+    } catch (e) {
+      state.msg = "REPLAY SAVE FAILED";
+    }
+    state.msgT = 1.0;
+  }
 
-    var w = WEAPONS[player.weapon];
-    ctx.fillText("Weapon: " + w.name + " (Q/E)", 220, 40);
+  // resume: true when watching the current run (we come back to it on exit)
+  function startPlayback(data, resume) {
+    liveStorage = storage;
+    liveCoop = { players: coopCfg.players, split: coopCfg.split };
+    liveRun = { difficulty: runCfg.difficulty, modifiers: runCfg.modifiers.slice(0) };
+    setStorage(null);   // playback must never touch the real save
+    mapOpen = false;
+    playback = { data: data, frame: 0, to: -1, speedI: 0, paused: false, resume: resume, exiting: false };
+    seekPlayback(0);
+  }
 
-    ctx.fillStyle = "rgba(255,255,255,0.65)";
-    ctx.fillText("Room: " + node.kind + "   Depth: " + node.depth + "   [" + state.roomId + "]", 220, 70);
+  // Watching the current run ends back in it once the sim has caught up to
+  // the end of the recording (over several frames; now: in one go)
+  function stopPlayback(now) {
+    var pb = playback;
+    if (pb.resume) {
+      if (!pb.exiting) {
+        pb.exiting = true;
+        seekPlayback(pb.data.frames.length);
+      }
+      if (now) seekSlice(Infinity);
+      if (pb.to >= 0) return;
+    }
+    playback = null;
+    setStorage(liveStorage);
+    if (!pb.resume) {
+      setCoop(liveCoop.players, liveCoop.split);
+      setRunConfig(liveRun.difficulty, liveRun.modifiers);
+      resetGame(readSeedFromURL());
+      startRecording(null);
+    }
+    snapCameraToPlayer();
+  }
 
-    if (state.msgT > 0) {
-      ctx.fillStyle = "rgba(255,255,255,0.9)";
-      ctx.font = "18px system-ui, sans-serif";
-      ctx.fillText(state.msg, 16, VIEW_H - 22);
+  // Scrubbing backwards means re-simulating from the start
+  function seekPlayback(target) {
+    var pb = playback;
+    target = clamp(target, 0, pb.data.frames.length);
+    if (target < pb.frame || target === 0) {
+      beginReplay(pb.data);
+      pb.frame = 0;
     }
+    pb.to = target;
+    seekSlice(REPLAY_SLICE_MS);
   }
 
-  function drawShopHint() {
-    ctx.fillStyle = "rgba(0,0,0,0.40)";
-    ctx.fillRect(16, VIEW_H - 62, 620, 46);
-    ctx.fillStyle = "rgba(255,255,255,0.85)";
-    ctx.font = "14px system-ui, sans-serif";
-    ctx.fillText("SHOP — press F at the counter. Buy with 1–7.", 28, VIEW_H - 34);
+  // Steps toward the seek target for at most `ms`; true once it's landed
+  function seekSlice(ms) {
+    var pb = playback;
+    var until = nowMs() + ms;
+    while (pb.frame < pb.to) {
+      var f = pb.data.frames[pb.frame++];
+      step(unpackInput(f, 0), f[0], unpackInput(f, 1));
+      if ((pb.frame & 63) === 0 && nowMs() > until) return false;
+    }
+    pb.to = -1;
+    snapCameraToPlayer();
+    return true;
   }
 
-  function drawShopOverlay() {
-    ctx.fillStyle = "rgba(0,0,0,0.72)";
-    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+  function nowMs() { return (typeof performance !== "undefined" && performance.now) ? performance.now() : Date.now(); }
+
+  function seekRoomMark(dir) {
+    var marks = playback.data.rooms;
+    var cur = playback.frame;
+    var target = (dir < 0) ? 0 : playback.data.frames.length;
+    for (var i = 0; i < marks.length; i++) {
+      var f = marks[i][0];
+      // going back from just past a mark skips to the one before it
+      if (dir < 0 && f < cur - 30 && f >= target) target = f;
+      if (dir > 0 && f > cur && f < target) target = f;
+    }
+    seekPlayback(target);
+  }
 
-    ctx.fillStyle = "rgba(255,255,255,0.92)";
-    ctx.font = "28px system-ui, sans-serif";
-    ctx.fillText("SHOP", 40, 60);
+  function updatePlayback() {
+    var pb = playback;
+    var total = pb.data.frames.length;
+
+    // mid-seek, keys wait until it lands
+    if (pb.to >= 0) {
+      if (seekSlice(REPLAY_SLICE_MS) && pb.exiting) stopPlayback();
+      return;
+    }
+    if (wasPressed(KEY.ESC)) { stopPlayback(); return; }
+    if (wasPressed(KEY.SPACE)) pb.paused = !pb.paused;
+    if (wasPressed(KEY.UP)) pb.speedI = Math.min(REPLAY_SPEEDS.length - 1, pb.speedI + 1);
+    if (wasPressed(KEY.DOWN)) pb.speedI = Math.max(0, pb.speedI - 1);
+    if (wasPressed(KEY.LEFT)) seekRoomMark(-1);
+    if (wasPressed(KEY.RIGHT)) seekRoomMark(1);
+    if (wasPressed(KEY.HOME)) seekPlayback(0);
+
+    var n = pb.paused ? (wasPressed(KEY.PERIOD) ? 1 : 0) : REPLAY_SPEEDS[pb.speedI];
+    for (var i = 0; i < n && pb.frame < total; i++) {
+      var f = pb.data.frames[pb.frame++];
+      handleSimEvents(step(unpackInput(f, 0), f[0], unpackInput(f, 1)));
+      updateCamera(f[0]);
+    }
+  }
+
+  function drawPlaybackBar() {
+    var pb = playback;
+    var total = Math.max(1, pb.data.frames.length);
+    var x0 = 40, w = VIEW_W - 80, y0 = VIEW_H - 64;
+
+    ctx.fillStyle = "rgba(0,0,0,0.62)";
+    ctx.fillRect(x0 - 16, y0 - 30, w + 32, 82);
+
+    ctx.fillStyle = "rgba(255,255,255,0.12)";
+    ctx.fillRect(x0, y0, w, 8);
+    ctx.fillStyle = "rgba(124,92,255,0.85)";
+    ctx.fillRect(x0, y0, (w * pb.frame / total) | 0, 8);
+
+    ctx.fillStyle = "rgba(255,215,90,0.85)";
+    for (var i = 0; i < pb.data.rooms.length; i++) {
+      ctx.fillRect((x0 + w * pb.data.rooms[i][0] / total - 1) | 0, y0 - 4, 2, 16);
+    }
 
+    var status = pb.exiting ? "BACK TO THE RUN..." : (pb.to >= 0) ? "SEEKING..." :
+      (pb.frame >= pb.data.frames.length) ? "END" : (pb.paused ? "PAUSED" : "PLAYING x" + REPLAY_SPEEDS[pb.speedI]);
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
     ctx.font = "14px system-ui, sans-serif";
-    ctx.fillStyle = "rgba(255,255,255,0.75)";
-    ctx.fillText("Coins: " + state.coins + "   (ESC to close)", 40, 84);
+    ctx.fillText("REPLAY  " + status + "   seed " + pb.data.seed + "   frame " + pb.frame + "/" + pb.data.frames.length, x0, y0 - 10);
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("SPACE: pause   . : step   UP/DOWN: speed   LEFT/RIGHT: prev/next room   HOME: restart   ESC: exit", x0, y0 + 34);
+  }
 
-    var y = 130;
-    for (var i = 0; i < SHOP_ITEMS.length; i++) {
-      var it = SHOP_ITEMS[i];
+  function loadReplayFile(file) {
+    if (net) {
+      state.msg = "REPLAYS ARE OFFLINE ONLY";
+      state.msgT = 1.2;
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+      var data = null;
+      try { data = JSON.parse(reader.result); } catch (e) { data = null; }
+      if (!isValidReplay(data)) {
+        state.msg = "NOT A VALID REPLAY";
+        state.msgT = 1.2;
+        return;
+      }
+      if (playback) stopPlayback(true);
+      startPlayback(data, false);
+    };
+    reader.readAsText(file);
+  }
 
-      var owned = false;
-      if (it.type === "unlock") owned = WEAPONS[it.weaponId].unlocked;
+  function onDragOver(e) { e.preventDefault(); }
+  function onDrop(e) {
+    e.preventDefault();
+    var files = e.dataTransfer && e.dataTransfer.files;
+    if (files && files.length) loadReplayFile(files[0]);
+  }
+
+  // ---------- Network co-op (see relay.js) ----------
+  // The host steps the sim as always, with player 2's input coming off the
+  // wire, and sends snapshots back. The guest never steps: it sends its input
+  // and draws the host's run NET_DELAY behind, blending the two snapshots
+  // either side of that moment.
+  var NET_SNAP_DT = 0.05;   // host: seconds between snapshots
+  var NET_DELAY = 0.1;      // guest: how far behind the newest snapshot it draws
+  var NET_STALE = 0.25;     // host: a guest silent this long lets go of the sticks
+  var NET_EDGES = ["dash", "prevWeapon", "nextWeapon", "interact", "pause", "restart", "reload"];
+
+  // { ws, url, role: null | "host" | "guest", clock, ... } while online
+  var net = null;
+
+  function startNet(url, split) {
+    net = {
+      ws: null, url: url, role: null, clock: 0,
+      split: split, peer: null, remote: emptyInput(), quiet: 0, at: "", sendT: 0, evs: [],   // host
+      slot: 1, snaps: [], storage: null                                                    // guest
+    };
+    recorder = null;
+    try { net.ws = new WebSocket(url); } catch (e) { net.ws = null; }
+    if (!net.ws) { stopNet("CAN'T GO ONLINE — PLAYING SOLO"); return; }
+
+    var ws = net.ws;
+    ws.onmessage = function (e) { if (net && net.ws === ws) netMessage(e.data); };
+    ws.onclose = function () {
+      if (net && net.ws === ws) stopNet(net.role ? "CONNECTION LOST — PLAYING SOLO" : "NO RELAY AT " + url + " — PLAYING SOLO");
+    };
+  }
 
-      ctx.fillStyle = "rgba(255,255,255,0.10)";
-      ctx.fillRect(40, y - 36, VIEW_W - 80, 58);
+  function stopNet(msg) {
+    var was = net;
+    net = null;
+    if (was.ws) {
+      was.ws.onclose = null;
+      try { was.ws.close(); } catch (e) { /* already gone */ }
+    }
+    if (was.role === "guest") {
+      // the host's run isn't ours to keep: back to a fresh solo one
+      setStorage(was.storage);
+      setCoop(1, false);
+      loadRunCfg();
+      resetGame(readSeedFromURL());
+      startRecording(null);
+      snapCameraToPlayer();
+    } else if (players.length > 1) {
+      leavePlayer();
+    }
+    mapOpen = false;
+    state.msg = msg;
+    state.msgT = 2.0;
+  }
 
-      ctx.fillStyle = "rgba(124,92,255,0.65)";
-      ctx.font = "14px system-ui, sans-serif";
-      ctx.fillText("[" + it.key + "]", 58, y);
+  function netSend(m) {
+    if (net.ws && net.ws.readyState === 1) net.ws.send(JSON.stringify(m));
+  }
 
-      ctx.fillStyle = "rgba(255,255,255,0.92)";
-      ctx.font = "18px system-ui, sans-serif";
-      ctx.fillText(it.label, 100, y);
+  function netMessage(text) {
+    var m;
+    try { m = JSON.parse(text); } catch (e) { return; }
+    if (!m || typeof m !== "object") return;
+
+    if (m.t === "hello") {
+      net.role = m.role;
+      if (m.role === "guest") {
+        net.storage = storage;
+        setStorage(null);   // never save over this machine's own run
+        go(null);
+      }
+    } else if (m.t === "full") {
+      // from the host, or from the relay before a role was ever handed out
+      stopNet("THAT GAME IS FULL — PLAYING SOLO");
+    } else if (net.role === "host") {
+      netHostMessage(m);
+    } else if (net.role === "guest") {
+      netGuestMessage(m);
+    }
+  }
 
-      ctx.font = "14px system-ui, sans-serif";
-      ctx.fillStyle = "rgba(255,255,255,0.65)";
-      ctx.fillText(it.desc, 100, y + 20);
+  // ---- host ----
+  function netHostMessage(m) {
+    if (m.t === "join") {
+      if (net.peer != null) { netSend({ t: "full", to: m.id }); return; }
+      net.peer = m.id;
+      net.remote = emptyInput();
+      net.at = "";
+      net.sendT = NET_SNAP_DT;   // first snapshot right away
+      net.evs = [];
+      netSend({ t: "welcome", to: m.id, slot: 1 });
+      state.msg = "PLAYER 2 JOINED";
+      state.msgT = 1.4;
+    } else if (m.t === "leave" && m.id === net.peer) {
+      net.peer = null;
+      state.msg = "PLAYER 2 LEFT";
+      state.msgT = 1.4;
+    } else if (m.t === "in" && m.from === net.peer) {
+      netTakeInput(m);
+    }
+  }
 
-      var right = VIEW_W - 210;
-      if (owned) {
-        ctx.fillStyle = "rgba(120,255,170,0.85)";
-        ctx.fillText("OWNED", right, y);
-      } else {
-        ctx.fillStyle = (state.coins >= it.cost) ? "rgba(255,215,90,0.92)" : "rgba(255,255,255,0.35)";
-        ctx.fillText(it.cost + " coins", right, y);
+  // Held fields follow the newest message; edges stay set until a step uses them
+  function netTakeInput(m) {
+    if (!Array.isArray(m.f) || m.f.length !== 7) return;
+    for (var i = 0; i < m.f.length; i++) if (typeof m.f[i] !== "number" || !isFinite(m.f[i])) return;
+    var inp = unpackInput(m.f, 0), r = net.remote;
+    r.moveX = clamp(inp.moveX, -1, 1);
+    r.moveY = clamp(inp.moveY, -1, 1);
+    r.aimX = inp.aimX;
+    r.aimY = inp.aimY;
+    r.fire = inp.fire;
+    for (i = 0; i < NET_EDGES.length; i++) r[NET_EDGES[i]] = r[NET_EDGES[i]] || inp[NET_EDGES[i]];
+    if (inp.buy >= 0) r.buy = inp.buy;
+    net.at = String(m.at);
+    net.quiet = 0;
+  }
+
+  // Player 2 is in the run exactly while someone is connected as them
+  function netSyncPlayers() {
+    if (net.peer != null && players.length < 2) {
+      joinPlayer(net.split);
+      snapCameraToPlayer();
+    } else if (net.peer == null && players.length > 1) {
+      leavePlayer();
+    }
+  }
+
+  function netRemoteInput() {
+    if (net.peer == null) return null;
+    var r = net.remote;
+    if (net.quiet > NET_STALE) { r.moveX = r.moveY = 0; r.fire = false; }
+    // their screen hasn't shown this room yet: the doors wait for them
+    r.away = (net.at !== runSeed + "|" + state.floor + "|" + state.roomId);
+    p2Aim.x = r.aimX;
+    p2Aim.y = r.aimY;
+    return r;
+  }
+
+  function netHostFrame(dt, evs) {
+    if (net.peer == null) return;
+    var r = net.remote, now = false, i;
+    for (i = 0; i < NET_EDGES.length; i++) r[NET_EDGES[i]] = false;
+    r.buy = -1;
+    net.quiet += dt;
+
+    for (i = 0; i < evs.length; i++) {
+      net.evs.push(evs[i]);
+      // room changes go out at once so both screens turn over together
+      if (evs[i].type === "room" || evs[i].type === "reset") now = true;
+    }
+    net.sendT += dt;
+    if (!now && net.sendT < NET_SNAP_DT) return;
+    net.sendT = 0;
+    netSend({ t: "snap", to: net.peer, s: snapshotRun(), ev: net.evs });
+    net.evs = [];
+  }
+
+  // ---- guest ----
+  function netGuestMessage(m) {
+    if (m.t === "welcome") {
+      net.slot = m.slot | 0;
+    } else if (m.t === "bye") {
+      stopNet("HOST LEFT — PLAYING SOLO");
+    } else if (m.t === "snap" && m.s) {
+      net.snaps.push({ t: net.clock, s: m.s, ev: m.ev || [], shown: false });
+      if (net.snaps.length > 30) net.snaps.shift();
+    }
+  }
+
+  function netGuestFrame(dt) {
+    var me = players[net.slot] || player;
+    var inp = asPlayer(me, readInput);
+    netSend({ t: "in", f: packInput(inp, dt), at: net.at });
+
+    var buf = net.snaps, rt = net.clock - NET_DELAY;
+    while (buf.length > 1 && buf[1].t <= rt) buf.shift();
+    if (!buf.length) return;
+    var a = buf[0], b = buf[1] || null;
+    var k = (b && b.t > a.t) ? clamp((rt - a.t) / (b.t - a.t), 0, 1) : 0;
+    applySnapshot(netBlend(a.s, b && b.s, k, clamp(rt - a.t, 0, NET_DELAY * 2)));
+    net.at = a.s.seed + "|" + a.s.floor + "|" + a.s.roomId;
+    if (!a.shown) {
+      a.shown = true;
+      handleSimEvents(a.ev);
+    }
+  }
+
+  function copyOwn(o) {
+    var c = {};
+    for (var k in o) c[k] = o[k];
+    return c;
+  }
+
+  // Snapshot a moved k of the way toward b: players and enemies (paired by
+  // id) slide between the two, bullets fly on from a for `ahead` seconds.
+  // Nothing blends across a room change.
+  function netBlend(a, b, k, ahead) {
+    var s = copyOwn(a), i, q;
+    var same = !!b && b.seed === a.seed && b.floor === a.floor && b.roomId === a.roomId;
+
+    s.players = [];
+    for (i = 0; i < a.players.length; i++) {
+      var p = copyOwn(a.players[i]);
+      q = same ? b.players[i] : null;
+      if (q) {
+        p.x = lerp(p.x, q.x, k); p.y = lerp(p.y, q.y, k);
+        p.aimX = lerp(p.aimX, q.aimX, k); p.aimY = lerp(p.aimY, q.aimY, k);
       }
+      s.players.push(p);
+    }
+
+    var later = {};
+    for (i = 0; same && i < b.enemies.length; i++) later[b.enemies[i].nid] = b.enemies[i];
+    s.enemies = [];
+    for (i = 0; i < a.enemies.length; i++) {
+      var e = copyOwn(a.enemies[i]);
+      q = later[e.nid];
+      if (q) { e.x = lerp(e.x, q.x, k); e.y = lerp(e.y, q.y, k); }
+      s.enemies.push(e);
+    }
 
-      y += 76;
+    s.bullets = [];
+    for (i = 0; i < a.bullets.length; i++) {
+      var bl = copyOwn(a.bullets[i]);
+      bl.x += bl.vx * ahead;
+      bl.y += bl.vy * ahead;
+      s.bullets.push(bl);
     }
+    s.pickups = a.pickups.slice(0);
+    return s;
   }
 
-  function drawPause() {
-    ctx.fillStyle = "rgba(0,0,0,0.55)";
+  // ---- shared ----
+  function localSlot() { return (net && net.role === "guest") ? net.slot : 0; }
+
+  // Where the player this screen doesn't control is aiming
+  function partnerAim(p) {
+    if (net && net.role === "guest") return { x: p.aimX, y: p.aimY };
+    return p2Aim;
+  }
+
+  function netStatusText() {
+    if (!net.role) return "connecting to " + net.url;
+    if (net.role === "guest") return net.snaps.length ? "playing as P" + (net.slot + 1) + " in the host's run" : "joining " + net.url;
+    return (net.peer != null) ? "hosting, player 2 connected" : "hosting at " + net.url + ", waiting for player 2";
+  }
+
+  function drawNetStatus() {
+    var text = "ONLINE — " + netStatusText();
+    ctx.font = "12px system-ui, sans-serif";
+    var w = ctx.measureText(text).width;
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(VIEW_W - w - 28, VIEW_H - 30, w + 16, 20);
+    ctx.fillStyle = (net.role && (net.role === "guest" || net.peer != null)) ? "rgba(120,255,170,0.9)" : "rgba(255,215,90,0.9)";
+    ctx.fillText(text, VIEW_W - w - 20, VIEW_H - 16);
+  }
+
+  // ---------- Front end (title / run setup / summary / stats) ----------
+  // Offline the game opens on the title menu. One screen at a time sits over
+  // the idle sim; `screen` is null while playing. go(id, back) switches, and
+  // back names the screen ESC returns to ("play" = the run underneath).
+  // title -> setup -> play -> summary -> setup | title; stats hangs off title.
+  var screen = null;   // { id, sel, back, ... }
+
+  function go(id, back) {
+    screen = id ? { id: id, sel: 0, back: back || null } : null;
+    if (screen && SCREENS[id].enter) SCREENS[id].enter(screen);
+    mapOpen = false;
+  }
+
+  function goBack() { go(screen.back === "play" ? null : screen.back); }
+
+  function menuNav(s, rows) {
+    if (wasPressed(KEY.UP)) s.sel = (s.sel + rows - 1) % rows;
+    if (wasPressed(KEY.DOWN)) s.sel = (s.sel + 1) % rows;
+  }
+
+  function menuOk() { return wasPressed(KEY.ENTER) || wasPressed(KEY.SPACE); }
+
+  function drawMenuBackdrop(title, hint) {
+    ctx.fillStyle = "rgba(7,6,11,0.90)";
     ctx.fillRect(0, 0, VIEW_W, VIEW_H);
-    ctx.fillStyle = "rgba(255,255,255,0.9)";
-    ctx.font = "26px system-ui, sans-serif";
-    ctx.fillText("PAUSED", 40, 62);
-    ctx.font = "14px system-ui, sans-serif";
-    ctx.fillText("ESC: resume   R: restart   Q/E: cycle weapons   SPACE/SHIFT: dash", 40, 90);
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.font = "28px system-ui, sans-serif";
+    ctx.fillText(title, 40, 56);
+    ctx.font = "13px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText(hint, 40, 80);
   }
 
-  // ---------- Resize (full window canvas, crisp) ----------
-  function resize() {
-    dpr = window.devicePixelRatio || 1;
+  // One highlighted menu row; returns the next row's y
+  function drawMenuRow(label, y, sel, color) {
+    if (sel) {
+      ctx.fillStyle = "rgba(124,92,255,0.22)";
+      ctx.fillRect(32, y - 26, 600, 36);
+    }
+    ctx.font = "18px system-ui, sans-serif";
+    ctx.fillStyle = color || (sel ? "rgba(255,215,90,0.95)" : "rgba(255,255,255,0.8)");
+    ctx.fillText(label, 44, y);
+    return y + 44;
+  }
 
-    var w = window.innerWidth;
-    var h = window.innerHeight;
+  function fmtTime(t) {
+    var s = Math.floor(t);
+    var sec = s % 60;
+    return Math.floor(s / 60) + ":" + (sec < 10 ? "0" : "") + sec;
+  }
 
-    canvas.style.position = "fixed";
-    canvas.style.left = "0";
-    canvas.style.top = "0";
-    canvas.style.width = "100vw";
-    canvas.style.height = "100vh";
+  // ---- Lifetime stats (localStorage), one entry per finished run ----
+  var LIFETIME_KEY = "njs.stats";
+  var lifetime = null;
+  var lastOver = null;   // state.over as of the last played frame
 
-    canvas.width = (w * dpr) | 0;
-    canvas.height = (h * dpr) | 0;
+  function emptyLifetime() {
+    return { runs: 0, wins: 0, rooms: 0, bosses: 0, coins: 0, time: 0, bestDepth: 0, bestTime: 0 };
+  }
 
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.scale(dpr, dpr);
-    ctx.imageSmoothingEnabled = false;
+  function loadLifetime() {
+    lifetime = emptyLifetime();
+    var raw = null;
+    try { raw = window.localStorage.getItem(LIFETIME_KEY); } catch (e) { raw = null; }
+    var d = null;
+    try { d = raw ? JSON.parse(raw) : null; } catch (e2) { d = null; }
+    if (!d || typeof d !== "object") return;
+    for (var k in lifetime) if (isNum(d[k]) && d[k] >= 0) lifetime[k] = d[k];
+  }
 
-    VIEW_W = w;
-    VIEW_H = h;
+  function saveLifetime() {
+    try { window.localStorage.setItem(LIFETIME_KEY, JSON.stringify(lifetime)); } catch (e) { /* ignore */ }
+  }
+
+  // Called after every played frame (not replays): counts a run once as it
+  // ends, and offline brings up its summary
+  function trackRunEnd() {
+    if (state.over && !lastOver && !state.sandbox) {
+      var st = state.stats;
+      lifetime.runs += 1;
+      lifetime.rooms += st.rooms;
+      lifetime.bosses += st.bosses;
+      lifetime.coins += st.coins;
+      lifetime.time += st.time;
+      lifetime.bestDepth = Math.max(lifetime.bestDepth, st.depth);
+      if (state.over === "won") {
+        lifetime.wins += 1;
+        if (!lifetime.bestTime || st.time < lifetime.bestTime) lifetime.bestTime = st.time;
+      }
+      saveLifetime();
+    }
+    lastOver = state.over;
+    if (state.over && !net && !screen) go("summary");
+  }
 
+  // Everyone's unlocked guns past the starting one, by name
+  function weaponsFound() {
+    var out = [];
+    for (var p = 0; p < players.length; p++) {
+      for (var i = 1; i < players[p].guns.length; i++) {
+        var w = players[p].guns[i];
+        if (w.unlocked && out.indexOf(w.name) < 0) out.push(w.name);
+      }
+    }
+    return out;
+  }
+
+  // ---- Title ----
+  var TITLE_ROWS = { "continue": "Continue", "new": "New run", settings: "Settings", stats: "Stats" };
+
+  function titleRows(s) {
+    var rows = s.save ? ["continue"] : [];
+    return rows.concat(["new", "settings", "stats"]);
+  }
+
+  function continueRun(save) {
+    try {
+      restoreRun(save);
+      startRecording(save);
+    } catch (e) {
+      clearSave();
+      resetGame(readSeedFromURL());
+      startRecording(null);
+      state.msg = "SAVE UNREADABLE — NEW RUN";
+      state.msgT = 2.0;
+    }
+    go(null);
     snapCameraToPlayer();
   }
 
-  // ---------- Reset ----------
-  function resetGame() {
-    state.msg = "";
-    state.msgT = 0;
-    state.coins = 0;
-    state.roomId = "0,0";
-    state.map = {};
-    state.rooms = {};
-    state.enemies = [];
-    state.bullets = [];
-    state.pickups = [];
-    state.fx = [];
-    state.paused = false;
-    state.shopOpen = false;
+  function drawSaveInfo(save, x, y) {
+    var m = save.map[save.roomId];
+    var hp = [];
+    for (var i = 0; i < save.players.length; i++) hp.push(save.players[i].hp + "/" + save.players[i].hpMax);
+    ctx.font = "12px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.fillText("Floor " + save.floor + "   Room: " + (m ? m.kind : "?") + "   Coins: " + save.coins + "   HP: " + hp.join("  ") +
+      (hp.length > 1 ? "   (co-op)" : "") + "   " + difficultyDef(save.run.difficulty).name +
+      (save.run.modifiers.length ? " + modifiers" : "") + "   " + fmtTime(save.stats.time) + "   seed " + save.seed, x, y);
+  }
 
-    for (var i = 0; i < WEAPONS.length; i++) WEAPONS[i].unlocked = (WEAPONS[i].id === 0);
+  // ---- Run setup: difficulty, one row per modifier, "Start run" ----
+  // The last choice is remembered (online the host's is used as is).
+  // ENTER on the difficulty row starts straight away.
+  var RUNCFG_KEY = "njs.setup";
+
+  function loadRunCfg() {
+    var raw = null;
+    try { raw = window.localStorage.getItem(RUNCFG_KEY); } catch (e) { raw = null; }
+    var d = null;
+    try { d = raw ? JSON.parse(raw) : null; } catch (e2) { d = null; }
+    if (d && typeof d === "object") setRunConfig(d.difficulty, Array.isArray(d.modifiers) ? d.modifiers : []);
+    else setRunConfig("normal", []);
+  }
 
-    player.x = ROOM_W / 2;
-    player.y = ROOM_H / 2;
-    player.hpMax = 8;
-    player.hp = 8;
-    player.invT = 0;
-    player.dashT = 0;
-    player.dashCD = 0;
-    player.vx = 0;
-    player.vy = 0;
-    player.weapon = 0;
-    player.fireCD = 0;
-    player.burstQ = 0;
-    player.burstCD = 0;
+  function saveRunCfg() {
+    try { window.localStorage.setItem(RUNCFG_KEY, JSON.stringify(runCfg)); } catch (e) { /* ignore */ }
+  }
 
-    ensureNode("0,0");
-    ensureRoom("0,0");
-    loadRoom("0,0");
+  function startSetupRun(s) {
+    var picked = [];
+    for (var i = 0; i < MODIFIER_IDS.length; i++) if (s.modifiers[MODIFIER_IDS[i]]) picked.push(MODIFIER_IDS[i]);
+    setRunConfig(DIFFICULTIES[s.difficulty].id, picked);
+    saveRunCfg();
+    go(null);
+    newRun();
+    startRecording(null);
     snapCameraToPlayer();
   }
 
+  // "enemy HP x1.3, speed x1.1, ..." against Normal
+  function difficultyBlurb(dd) {
+    if (dd.id === "normal") return "The standard depth scaling";
+    return "Enemy HP x" + dd.hp + ", speed x" + dd.speed + ", count x" + dd.count + ", boss HP x" + dd.bossHp;
+  }
+
+  // ---- Summary (death / victory): this run's tally ----
+  // Offline it's a screen with its own menu; online it's drawn over the run
+  // (s = null) and a restart goes through the host as usual.
+  function drawSummary(s) {
+    var won = state.over === "won";
+    var st = state.stats;
+    var found = weaponsFound();
+    ctx.fillStyle = won ? "rgba(0,14,10,0.80)" : "rgba(20,0,8,0.80)";
+    ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+    ctx.fillStyle = won ? "rgba(120,255,170,0.95)" : "rgba(255,80,140,0.95)";
+    ctx.font = "34px system-ui, sans-serif";
+    ctx.fillText(won ? "VICTORY" : "YOU DIED", 40, 72);
+
+    ctx.font = "14px system-ui, sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillText((won ? "Beat floor " + state.floor + "'s boss" : "Floor " + state.floor + ", " + ensureNode(state.roomId).kind + " room") +
+      "   Seed: " + runSeed + "   " + runLabel(), 40, 100);
+
+    var rows = [
+      ["Rooms cleared", st.rooms],
+      ["Deepest depth", st.depth],
+      ["Bosses killed", st.bosses],
+      ["Coins earned", st.coins],
+      ["Weapons found", found.length ? found.join(", ") : "none"],
+      ["Run time", fmtTime(st.time)]
+    ];
+    var y = 140;
+    for (var i = 0; i < rows.length; i++) {
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.fillText(rows[i][0], 40, y);
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.fillText(String(rows[i][1]), 200, y);
+      y += 24;
+    }
+
+    y += 24;
+    if (!s) {
+      ctx.fillStyle = "rgba(124,92,255,0.9)";
+      ctx.font = "18px system-ui, sans-serif";
+      var key = (inputDevice === "pad") ? "Y" : (inputDevice === "touch" ? "NEW RUN" : bindLabel("restart"));
+      ctx.fillText(key + ": new run", 40, y);
+      return;
+    }
+    y = drawMenuRow("New run", y, s.sel === 0);
+    drawMenuRow("Main menu", y, s.sel === 1);
+    if (recorder) {
+      ctx.font = "13px system-ui, sans-serif";
+      ctx.fillStyle = "rgba(255,255,255,0.5)";
+      ctx.fillText("V: save replay", 40, y + 44);
+    }
+  }
+
+  var SCREENS = {
+    title: {
+      // a save that doesn't read is dropped here, with a note
+      enter: function (s) {
+        var save = readSave();
+        s.save = (save.status === "ok") ? save.data : null;
+        s.note = "";
+        if (save.status === "corrupt" || save.status === "old") {
+          clearSave();
+          s.note = (save.status === "old") ? "Old save discarded" : "Save unreadable — start a new run";
+        }
+      },
+      update: function (s) {
+        var rows = titleRows(s);
+        menuNav(s, rows.length);
+        if (wasPressed(KEY.N)) { go("setup", "title"); return; }
+        if (!menuOk()) return;
+        var row = rows[s.sel];
+        if (row === "continue") continueRun(s.save);
+        else if (row === "new") go("setup", "title");
+        else if (row === "settings") openSettings();
+        else go("stats", "title");
+      },
+      draw: function (s) {
+        ctx.fillStyle = "rgba(7,6,11,0.92)";
+        ctx.fillRect(0, 0, VIEW_W, VIEW_H);
+        ctx.fillStyle = "rgba(124,92,255,0.95)";
+        ctx.font = "52px system-ui, sans-serif";
+        ctx.fillText("n.js", 40, 96);
+        ctx.fillStyle = "rgba(255,255,255,0.55)";
+        ctx.font = "14px system-ui, sans-serif";
+        ctx.fillText("a dungeon shooter   —   UP/DOWN: choose   ENTER: select", 40, 124);
+
+        var rows = titleRows(s);
+        var y = 180;
+        for (var i = 0; i < rows.length; i++) {
+          y = drawMenuRow(TITLE_ROWS[rows[i]], y, i === s.sel);
+          if (rows[i] === "continue") {
+            drawSaveInfo(s.save, 44, y - 24);
+            y += 14;
+          }
+        }
+        ctx.font = "13px system-ui, sans-serif";
+        ctx.fillStyle = "rgba(255,255,255,0.45)";
+        if (s.note) ctx.fillText(s.note, 40, y + 6);
+        if (lifetime.runs) {
+          ctx.fillText("Runs " + lifetime.runs + "   Wins " + lifetime.wins + "   Best depth " + lifetime.bestDepth, 40, VIEW_H - 24);
+        }
+      }
+    },
+
+    setup: {
+      enter: function (s) {
+        s.difficulty = DIFFICULTIES.indexOf(difficultyDef(runCfg.difficulty));
+        s.modifiers = {};
+        for (var i = 0; i < runCfg.modifiers.length; i++) s.modifiers[runCfg.modifiers[i]] = true;
+      },
+      update: function (s) {
+        var rows = MODIFIER_IDS.length + 2;
+        if (wasPressed(KEY.ESC)) { goBack(); return; }
+        menuNav(s, rows);
+        var d = (wasPressed(KEY.RIGHT) ? 1 : 0) - (wasPressed(KEY.LEFT) ? 1 : 0);
+        var ok = menuOk();
+        if (s.sel === 0) {
+          s.difficulty = clamp(s.difficulty + d, 0, DIFFICULTIES.length - 1);
+          if (ok) startSetupRun(s);
+        } else if (s.sel <= MODIFIER_IDS.length) {
+          var id = MODIFIER_IDS[s.sel - 1];
+          if (ok || d !== 0) s.modifiers[id] = !s.modifiers[id];
+        } else if (ok) {
+          startSetupRun(s);
+        }
+      },
+      draw: function (s) {
+        drawMenuBackdrop("NEW RUN", "UP/DOWN: choose   LEFT/RIGHT: difficulty   ENTER: toggle / start   ESC: back");
+        var y = 124;
+        for (var i = 0; i < MODIFIER_IDS.length + 2; i++) {
+          if (i === 0) {
+            var dd = DIFFICULTIES[s.difficulty];
+            drawMenuRow("Difficulty", y, s.sel === 0, "rgba(255,255,255,0.85)");
+            ctx.fillStyle = "rgba(255,215,90,0.95)";
+            ctx.fillText((s.difficulty > 0 ? "< " : "  ") + dd.name + (s.difficulty < DIFFICULTIES.length - 1 ? " >" : ""), 220, y);
+            ctx.font = "12px system-ui, sans-serif";
+            ctx.fillStyle = "rgba(255,255,255,0.55)";
+            ctx.fillText(difficultyBlurb(dd), 220, y + 14);
+          } else if (i <= MODIFIER_IDS.length) {
+            var id = MODIFIER_IDS[i - 1];
+            drawMenuRow((s.modifiers[id] ? "[x] " : "[ ] ") + MODIFIERS[id].name, y, s.sel === i,
+              s.modifiers[id] ? "rgba(120,255,170,0.95)" : "rgba(255,255,255,0.5)");
+            ctx.font = "12px system-ui, sans-serif";
+            ctx.fillStyle = "rgba(255,255,255,0.55)";
+            ctx.fillText(MODIFIERS[id].desc, 86, y + 14);
+          } else {
+            drawMenuRow("Start run", y, s.sel === i, s.sel === i ? "rgba(255,215,90,0.95)" : "rgba(255,215,90,0.65)");
+          }
+          y += 44;
+        }
+      }
+    },
+
+    summary: {
+      update: function (s) {
+        menuNav(s, 2);
+        if (recorder && wasPressed(KEY.V)) downloadReplay();
+        if (actionPressed("restart")) { go("setup", "summary"); return; }
+        if (!menuOk()) return;
+        if (s.sel === 0) go("setup", "summary");
+        else go("title");
+      },
+      draw: function (s) { drawSummary(s); }
+    },
+
+    stats: {
+      update: function () {
+        if (wasPressed(KEY.ESC) || menuOk()) goBack();
+      },
+      draw: function () {
+        drawMenuBackdrop("STATS", "All runs on this device   —   ESC: back");
+        var L = lifetime;
+        var rows = [
+          ["Runs", L.runs],
+          ["Wins", L.wins + (L.runs ? "  (" + Math.round(100 * L.wins / L.runs) + "%)" : "")],
+          ["Rooms cleared", L.rooms],
+          ["Bosses killed", L.bosses],
+          ["Coins earned", L.coins],
+          ["Deepest depth", L.bestDepth],
+          ["Fastest win", L.bestTime ? fmtTime(L.bestTime) : "—"],
+          ["Time played", fmtTime(L.time)]
+        ];
+        ctx.font = "16px system-ui, sans-serif";
+        for (var i = 0; i < rows.length; i++) {
+          ctx.fillStyle = "rgba(255,255,255,0.6)";
+          ctx.fillText(rows[i][0], 44, 130 + i * 30);
+          ctx.fillStyle = "rgba(255,255,255,0.92)";
+          ctx.fillText(String(rows[i][1]), 240, 130 + i * 30);
+        }
+      }
+    }
+  };
+
   // ---------- Main loop ----------
+  function handleSimEvents(evs) {
+    for (var i = 0; i < evs.length; i++) {
+      // If room smaller than viewport, keep camera at 0 and center via offsets
+      if (evs[i].type === "room") snapCameraToPlayer();
+      audioEvent(evs[i]);
+    }
+  }
+
   function frame(t) {
     if (!state.running) return;
     var now = t || 0;
@@ -1405,10 +6613,81 @@
     lastT = now;
     dt = clamp(dt, 0, 1 / 30);
 
-    update(dt);
-    draw();
+    pollGamepad();
+    if (net) net.clock += dt;
+
+    if (playback) {
+      updatePlayback();
+      draw();
+      if (playback) drawPlaybackBar();
+    } else if (settings.open) {
+      updateSettings(dt);
+      draw();
+      if (settings.open) drawSettings();
+    } else if (screen) {
+      SCREENS[screen.id].update(screen);
+      draw();
+      if (screen) SCREENS[screen.id].draw(screen);
+    } else if (state.paused && wasPressed(KEY.O)) {
+      openSettings();
+      draw();
+      drawSettings();
+    } else if (state.paused && !state.over && !state.sandbox && !net && wasPressed(KEY.T)) {
+      writeSave();   // Continue picks up here, not at the last door
+      go("title");
+      draw();
+      SCREENS.title.draw(screen);
+    } else if (state.paused && !state.sandbox && !net && wasPressed(KEY.P)) {
+      cycleCoop();
+      draw();
+    } else if (state.paused && recorder && wasPressed(KEY.V)) {
+      downloadReplay();
+      draw();
+    } else if (state.paused && recorder && !recorder.full && wasPressed(KEY.B)) {
+      startPlayback(recorder, true);
+      draw();
+    } else if (mapOpen && !net) {
+      // full map freezes the sim until closed (online it just covers the view)
+      if (actionPressed("map") || wasPressed(KEY.ESC)) mapOpen = false;
+      draw();
+    } else if (actionPressed("map") && !net && !state.paused && !state.shopOpen) {
+      mapOpen = true;
+      draw();
+    } else {
+      if (state.paused && !state.over) updateOptionsMenu();
+      if (state.sandbox && wasPressed(KEY.LBRACKET)) sandboxCycle(-1);
+      if (state.sandbox && wasPressed(KEY.RBRACKET)) sandboxCycle(1);
+      if (net && actionPressed("map") && !state.shopOpen) mapOpen = !mapOpen;
+      if (net && mapOpen && wasPressed(KEY.ESC)) { mapOpen = false; keysPressed[KEY.ESC] = false; }
+      if (net && net.role === "guest") {
+        netGuestFrame(dt);
+      } else {
+        if (net) netSyncPlayers();
+        var inp = readInput();
+        var inp2 = net ? netRemoteInput() : (players.length > 1) ? readInput2(inp) : null;
+        if (!net && !state.sandbox && (inp.restart || (inp2 && inp2.restart))) {
+          // offline, a new run goes through the setup screen
+          go("setup", "play");
+          inp.restart = false;
+          if (inp2) inp2.restart = false;
+        }
+        var evs = step(inp, dt, inp2);
+        recordFrame(inp, dt, evs, inp2);
+        if (net) netHostFrame(dt, evs);
+        handleSimEvents(evs);
+      }
+      trackRunEnd();
+      updateCamera(dt);
+      draw();
+    }
+
+    if (inputDevice === "touch") drawTouchControls();
+
+    if (actionPressed("mute")) toggleMute();
+    updateMusic();
 
     keysPressed = {};
+    actionsPressed = {};
     requestAnimationFrame(frame);
   }
 
@@ -1432,11 +6711,45 @@
       window.addEventListener("keyup", onKeyUp);
       canvas.addEventListener("mousemove", onMouseMove);
       canvas.addEventListener("mousedown", onMouseDown);
+      canvas.addEventListener("contextmenu", onContextMenu);
       window.addEventListener("mouseup", onMouseUp);
+      // audio can only start from a user gesture
+      window.addEventListener("keydown", unlockAudio);
+      window.addEventListener("mousedown", unlockAudio);
+      window.addEventListener("touchstart", unlockAudio);
+      canvas.addEventListener("touchstart", onTouchStart, { passive: false });
+      canvas.addEventListener("touchmove", onTouchMove, { passive: false });
+      canvas.addEventListener("touchend", onTouchEnd, { passive: false });
+      canvas.addEventListener("touchcancel", onTouchEnd, { passive: false });
+      canvas.style.touchAction = "none";
       window.addEventListener("resize", resize);
+      window.addEventListener("dragover", onDragOver);
+      window.addEventListener("drop", onDrop);
+
+      try { setStorage(window.localStorage); } catch (e) { setStorage(null); }
+      loadBindings();
+      loadAudioCfg();
+      loadFxCfg();
+      loadLifetime();
+
+      // online, ?coop only picks shared or split coins
+      var coop = readCoopFromURL();
+      var netUrl = readNetFromURL();
+      if (coop && !netUrl) setCoop(2, coop === "split");
 
       resize();
-      resetGame();
+      var sandbox = readSandboxFromURL();
+      if (sandbox == null) loadRunCfg();   // the sandbox previews patterns unmodified
+      resetGame(readSeedFromURL());
+      if (sandbox != null) {
+        setStorage(null);   // never touch the real save from the sandbox
+        startSandbox(sandbox);
+      } else {
+        startRecording(null);
+        if (netUrl) startNet(netUrl, coop === "split");
+        else go("title");
+      }
+      snapCameraToPlayer();
 
       state.running = true;
       lastT = (performance && performance.now) ? performance.now() : 0;
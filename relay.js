@@ -0,0 +1,210 @@
+/* relay.js — zero-dependency WebSocket relay for network co-op (n.js)
+
+   node relay.js [port]          (default 8787)
+
+   Then open the game with ?net=ws://localhost:8787/<room> on both machines
+   (bare ?net means ws://localhost:8787/run). The first one into a room hosts
+   and runs the simulation; the next one plays player 2. The relay never looks
+   inside the game's messages, it only routes them:
+   - to everyone on connect: { t: "hello", role: "host" | "guest", id }
+   - to the host: { t: "join", id } / { t: "leave", id }, and guest messages
+     with `from` set to the guest's id
+   - to guests: host messages (all of them, or just `to` when it's set), and
+     { t: "bye" } when the host goes
+   - to anyone past MAX_GUESTS: { t: "full" }, then the socket is closed
+*/
+
+(function () {
+  "use strict";
+
+  var http = require("http");
+  var crypto = require("crypto");
+
+  var PORT = +process.argv[2] || 8787;
+  var WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+  var MAX_FRAME = 1 << 20;   // nothing the game sends comes close
+  var MAX_GUESTS = 1;        // the game seats two players: the host and one guest
+
+  var rooms = {};   // path -> { host, guests: { id: conn }, nextId }
+
+  // ---------- WebSocket framing (RFC 6455, text only) ----------
+  function encodeFrame(opcode, payload) {
+    var len = payload.length, head;
+    if (len < 126) {
+      head = Buffer.alloc(2);
+      head[1] = len;
+    } else if (len < 65536) {
+      head = Buffer.alloc(4);
+      head[1] = 126;
+      head.writeUInt16BE(len, 2);
+    } else {
+      head = Buffer.alloc(10);
+      head[1] = 127;
+      head.writeUInt32BE(0, 2);
+      head.writeUInt32BE(len, 6);
+    }
+    head[0] = 0x80 | opcode;
+    return Buffer.concat([head, payload]);
+  }
+
+  // -> { fin, opcode, payload, size } or null until the whole frame is in
+  function decodeFrame(buf) {
+    if (buf.length < 2) return null;
+    var len = buf[1] & 0x7f, off = 2;
+    if (len === 126) {
+      if (buf.length < 4) return null;
+      len = buf.readUInt16BE(2);
+      off = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return null;
+      if (buf.readUInt32BE(2) !== 0) return { error: true };
+      len = buf.readUInt32BE(6);
+      off = 10;
+    }
+    if (len > MAX_FRAME) return { error: true };
+    var masked = !!(buf[1] & 0x80);
+    var mask = null;
+    if (masked) {
+      if (buf.length < off + 4) return null;
+      mask = buf.slice(off, off + 4);
+      off += 4;
+    }
+    if (buf.length < off + len) return null;
+    var payload = Buffer.from(buf.slice(off, off + len));
+    if (mask) for (var i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+    return { fin: !!(buf[0] & 0x80), opcode: buf[0] & 0x0f, payload: payload, size: off + len };
+  }
+
+  // ---------- Connections ----------
+  function makeConn(socket, onText, onClose) {
+    var conn = { socket: socket, buf: Buffer.alloc(0), parts: [], open: true };
+
+    conn.send = function (obj) {
+      if (conn.open) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj))));
+    };
+
+    conn.close = function () {
+      if (!conn.open) return;
+      conn.open = false;
+      socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+      onClose();
+    };
+
+    // also handed whatever arrived with the upgrade request
+    conn.feed = function (chunk) {
+      conn.buf = Buffer.concat([conn.buf, chunk]);
+      var f;
+      while (conn.open && (f = decodeFrame(conn.buf))) {
+        if (f.error) { conn.close(); return; }
+        conn.buf = conn.buf.slice(f.size);
+        if (f.opcode === 0x8) { conn.close(); return; }
+        if (f.opcode === 0x9) { socket.write(encodeFrame(0xA, f.payload)); continue; }
+        if (f.opcode === 0xA) continue;
+        // text (or its continuation); binary frames are ignored
+        if (f.opcode === 0x1 || f.opcode === 0x0) conn.parts.push(f.payload);
+        if (!f.fin) continue;
+        var text = Buffer.concat(conn.parts).toString("utf8");
+        conn.parts = [];
+        if (f.opcode !== 0x2) onText(text);
+      }
+    };
+
+    socket.on("data", conn.feed);
+    socket.on("close", function () {
+      if (!conn.open) return;
+      conn.open = false;
+      onClose();
+    });
+    socket.on("error", function () { socket.destroy(); });
+    return conn;
+  }
+
+  // ---------- Rooms ----------
+  function join(path, socket, head) {
+    var room = rooms[path] || (rooms[path] = { host: null, guests: {}, nextId: 1 });
+    if (room.host && Object.keys(room.guests).length >= MAX_GUESTS) {
+      socket.end(Buffer.concat([
+        encodeFrame(0x1, Buffer.from(JSON.stringify({ t: "full" }))),
+        encodeFrame(0x8, Buffer.alloc(0))]));
+      log(path + ": turned away, room full");
+      return;
+    }
+    var id = room.host ? room.nextId++ : 0;
+    var conn = makeConn(socket, function (text) {
+      var msg;
+      try { msg = JSON.parse(text); } catch (e) { return; }
+      if (!msg || typeof msg !== "object") return;
+      route(room, id, msg);
+    }, function () {
+      leave(path, room, id);
+    });
+
+    if (id === 0) room.host = conn;
+    else room.guests[id] = conn;
+    conn.send({ t: "hello", role: id === 0 ? "host" : "guest", id: id });
+    if (id !== 0) room.host.send({ t: "join", id: id });
+    log(path + ": " + (id === 0 ? "host" : "guest " + id) + " in");
+    if (head && head.length) conn.feed(head);
+  }
+
+  function route(room, id, msg) {
+    if (id !== 0) {
+      msg.from = id;
+      if (room.host) room.host.send(msg);
+      return;
+    }
+    if (msg.to != null) {
+      if (room.guests[msg.to]) room.guests[msg.to].send(msg);
+      return;
+    }
+    for (var g in room.guests) room.guests[g].send(msg);
+  }
+
+  // The room goes with its host; guests are told and let go
+  function leave(path, room, id) {
+    log(path + ": " + (id === 0 ? "host" : "guest " + id) + " out");
+    if (id !== 0) {
+      delete room.guests[id];
+      if (room.host) room.host.send({ t: "leave", id: id });
+      return;
+    }
+    room.host = null;
+    var guests = room.guests;
+    room.guests = {};
+    for (var g in guests) {
+      guests[g].send({ t: "bye" });
+      guests[g].close();
+    }
+    if (rooms[path] === room) delete rooms[path];
+  }
+
+  function log(line) { console.log(new Date().toISOString().slice(11, 19) + " " + line); }
+
+  // ---------- Server ----------
+  var server = http.createServer(function (req, res) {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("n.js co-op relay. Connect with ?net=ws://" + (req.headers.host || "localhost:" + PORT) + "/<room>\n");
+  });
+
+  server.on("upgrade", function (req, socket, head) {
+    var key = req.headers["sec-websocket-key"];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    var accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      "Sec-WebSocket-Accept: " + accept + "\r\n\r\n");
+    socket.setNoDelay(true);
+    join((req.url || "/").split("?")[0], socket, head);
+  });
+
+  server.on("error", function (e) {
+    log("relay: " + e.message);
+    process.exit(1);
+  });
+  server.listen(PORT, function () { log("relay listening on ws://localhost:" + PORT); });
+})();
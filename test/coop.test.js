@@ -0,0 +1,43 @@
+// Local co-op: both players come back from a save and a replay.
+// Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+test("a co-op replay lands on the recorded run", function () {
+  Sim.setCoop(2, false);
+  Sim.reset("REPLAY-COOP");
+  var data = H.record(900), live = H.fingerprint();
+  Sim.setCoop(1, false);
+  H.playBack(JSON.parse(JSON.stringify(data)));
+  assert.strictEqual(Sim.players.length, 2);
+  assert.strictEqual(H.fingerprint(), live);
+});
+
+test("a co-op save brings both players back", function () {
+  Sim.setCoop(2, true);
+  Sim.reset("COOP-SAVE");
+  Sim.players[1].hp = 3;
+  var r = H.readBack(H.savedRun());
+  assert.strictEqual(r.status, "ok");
+  Sim.setCoop(1, false);
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(r.data);
+  assert.strictEqual(Sim.players.length, 2);
+  assert.strictEqual(Sim.players[1].hp, 3);
+  assert.strictEqual(Sim.state.coop.split, true);
+});
+
+test("a save with everyone down reads as corrupt", function () {
+  Sim.setCoop(2, false);
+  Sim.reset("COOP-DOWN");
+  var d = H.savedRun();
+  d.players.forEach(function (p) { p.down = true; p.hp = 0; });
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+  d.players[1].down = false;
+  d.players[1].hp = 2;
+  assert.strictEqual(H.readBack(d).status, "ok");
+});
@@ -0,0 +1,64 @@
+// Floors: every room links back to the start and every floor has its boss,
+// shop and treasure room, down to the last floor.
+// Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+var SEEDS = ["FLOORS-1", "FLOORS-2", "FLOORS-3", "FLOORS-4", "FLOORS-5", "FLOORS-6"];
+var STEP = { N: [0, -1], S: [0, 1], W: [-1, 0], E: [1, 0] };
+
+function eachFloor(fn) {
+  SEEDS.forEach(function (seed) {
+    Sim.reset(seed);
+    for (var f = 1; f <= Sim.FINAL_FLOOR; f++) {
+      if (f > 1) Sim.descendFloor();
+      fn(seed + " floor " + f);
+    }
+  });
+}
+
+test("every room on a floor links back to the start", function () {
+  eachFloor(function (where) {
+    var cells = Sim.state.layout.cells, seen = { "0,0": true }, queue = ["0,0"], n = 1;
+    while (queue.length) {
+      var c = cells[queue.shift()];
+      for (var dir in STEP) {
+        var id = (c.x + STEP[dir][0]) + "," + (c.y + STEP[dir][1]);
+        if (!c.links[dir] || seen[id]) continue;
+        assert.ok(cells[id], where + ": " + c.id + " links " + dir + " to nothing");
+        seen[id] = true;
+        queue.push(id);
+        n++;
+      }
+    }
+    assert.strictEqual(n, Object.keys(cells).length, where + ": rooms cut off from the start");
+    assert.ok(seen[Sim.state.layout.boss], where + ": boss room cut off");
+  });
+});
+
+test("every floor has a boss, a shop and a treasure room", function () {
+  for (var i = 0; i < 40; i++) {
+    Sim.reset("SPECIALS-" + i);
+    for (var f = 1; f <= Sim.FINAL_FLOOR; f++) {
+      if (f > 1) Sim.descendFloor();
+      var cells = Sim.state.layout.cells, kinds = {}, where = "SPECIALS-" + i + " floor " + f;
+      for (var id in cells) kinds[cells[id].kind] = (kinds[cells[id].kind] || 0) + 1;
+      var boss = cells[Sim.state.layout.boss];
+      assert.ok(boss, where + ": no boss room");
+      assert.strictEqual(Object.keys(boss.links).length, 1, where + ": boss room is not a dead end");
+      assert.strictEqual(kinds.shop, 1, where + ": shops");
+      assert.strictEqual(kinds.treasure, 1, where + ": treasure rooms");
+    }
+  }
+});
+
+test("a save standing in a room off the floor reads as corrupt", function () {
+  Sim.reset("FLOORS-SAVE");
+  var d = H.savedRun();
+  d.roomId = "99,99";
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+});
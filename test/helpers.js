@@ -0,0 +1,102 @@
+// Shared bits for the Sim tests (not a test file itself)
+"use strict";
+
+var Sim = require("../n.js");
+
+var DT = 1 / 60;
+
+// Frame f of a fixed input script: heads out of the start room through its
+// first door, then circles and fires at whatever is in the next one
+function scriptedInput(f) {
+  var inp = Sim.emptyInput();
+  var start = Sim.state.layout.cells["0,0"];
+  var dir = start.links.N ? "N" : start.links.S ? "S" : start.links.W ? "W" : "E";
+  if (Sim.state.roomId === "0,0") {
+    inp.moveX = (dir === "W") ? -1 : (dir === "E") ? 1 : 0;
+    inp.moveY = (dir === "N") ? -1 : (dir === "S") ? 1 : 0;
+    inp.dash = (f % 20 === 0);
+  } else {
+    inp.moveX = Math.sin(f / 40);
+    inp.moveY = Math.cos(f / 55);
+    inp.fire = true;
+    var e = Sim.state.enemies[0];
+    inp.aimX = e ? e.x : Sim.ROOM_W / 2;
+    inp.aimY = e ? e.y : Sim.ROOM_H / 2;
+  }
+  return inp;
+}
+
+// Everything a desync would show up in
+function fingerprint() {
+  return JSON.stringify([Sim.serialize(), Sim.state.enemies, Sim.state.bullets.length]);
+}
+
+// Steps `frames` frames of the script from the current run and returns the
+// replay file for them, laid out the way the shell's recorder writes it.
+// A second player, if any, runs the script a little behind the first.
+function record(frames) {
+  var coop = Sim.players.length > 1;
+  var data = {
+    v: Sim.REPLAY_VERSION,
+    seed: Sim.seed(),
+    pinned: Sim.seedPinned(),
+    start: null,
+    coop: { players: Sim.state.coop.players, split: Sim.state.coop.split },
+    run: { difficulty: Sim.state.run.difficulty, modifiers: Sim.state.run.modifiers.slice(0) },
+    frames: [],
+    rooms: [[0, Sim.state.roomId]]
+  };
+  for (var f = 0; f < frames; f++) {
+    var inp = scriptedInput(f), inp2 = coop ? scriptedInput(f + 17) : null;
+    data.frames.push(Sim.packInput(inp, DT, inp2));
+    Sim.step(inp, DT, inp2);
+  }
+  return data;
+}
+
+// Feeds a replay file's frames back through step()
+function playBack(data) {
+  Sim.beginReplay(data);
+  for (var i = 0; i < data.frames.length; i++) {
+    var f = data.frames[i];
+    Sim.step(Sim.unpackInput(f, 0), f[0], Sim.unpackInput(f, 1));
+  }
+}
+
+// localStorage stand-in
+function memStorage() {
+  var mem = {};
+  return {
+    mem: mem,
+    getItem: function (k) { return Object.prototype.hasOwnProperty.call(mem, k) ? mem[k] : null; },
+    setItem: function (k, v) { mem[k] = String(v); },
+    removeItem: function (k) { delete mem[k]; }
+  };
+}
+
+// Writes `data` (an object, or raw text) where the save lives and reads it
+// back through Sim.readSave
+function readBack(data) {
+  var store = memStorage();
+  Sim.setStorage(store);
+  store.setItem("njs.run", typeof data === "string" ? data : JSON.stringify(data));
+  var r = Sim.readSave();
+  Sim.setStorage(null);
+  return r;
+}
+
+// The current run as it would come out of storage
+function savedRun() {
+  return JSON.parse(JSON.stringify(Sim.serialize()));
+}
+
+module.exports = {
+  DT: DT,
+  scriptedInput: scriptedInput,
+  fingerprint: fingerprint,
+  record: record,
+  playBack: playBack,
+  memStorage: memStorage,
+  readBack: readBack,
+  savedRun: savedRun
+};
@@ -0,0 +1,48 @@
+// Room state kept for backtracking (tiles, leftover pickups, wall cracks)
+// survives a save, and a save with it damaged reads as "corrupt".
+// Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+// A run with a coin left on the floor and a wall half broken
+function playedRun() {
+  Sim.reset("PERSIST");
+  var room = Sim.ensureRoom("0,0");
+  room.pickups = [{ x: 200, y: 160, t: "coin", v: 1, r: 8 }];
+  room.cracks = { 30: 2 };
+  return H.savedRun();
+}
+
+test("room tiles, pickups and cracks round-trip through a save", function () {
+  var saved = playedRun();
+  var r = H.readBack(saved);
+  assert.strictEqual(r.status, "ok");
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(r.data);
+  var again = H.savedRun().rooms["0,0"];
+  assert.deepStrictEqual(again.g, saved.rooms["0,0"].g);
+  assert.deepStrictEqual(again.pickups, saved.rooms["0,0"].pickups);
+  assert.deepStrictEqual(again.cracks, { 30: 2 });
+});
+
+var BREAKS = {
+  "bad tiles": function (room) { room.g = "xyz"; },
+  "unknown pickup": function (room) { room.pickups = [{ x: 1, y: 1, r: 9, t: "gem", v: 1 }]; },
+  "unknown relic pickup": function (room) { room.pickups = [{ x: 1, y: 1, r: 9, t: "relic", v: "toString" }]; },
+  "unknown mod pickup": function (room) { room.pickups = [{ x: 1, y: 1, r: 9, t: "mod", v: "laser" }]; },
+  "bad cracks": function (room) { room.cracks = { 30: "x" }; }
+};
+
+Object.keys(BREAKS).forEach(function (name) {
+  test("a save with " + name + " reads as corrupt", function () {
+    var d = playedRun();
+    BREAKS[name](d.rooms["0,0"]);
+    var r = H.readBack(d);
+    assert.strictEqual(r.status, "corrupt");
+    assert.strictEqual(r.data, null);
+  });
+});
@@ -0,0 +1,47 @@
+// Relics: held ones survive a save, unknown ones make it "corrupt", and the
+// Vampire Fang banks every hit its shots land.  Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+function chaser(x, y) {
+  return { type: "chaser", x: x, y: y, r: 19, hp: 100, hpMax: 100, vx: 0, vy: 0, flashT: 0 };
+}
+
+test("held relics round-trip through a save", function () {
+  Sim.reset("RELICS");
+  Sim.gainRelic("fang");
+  Sim.gainRelic("soles");
+  var r = H.readBack(H.savedRun());
+  assert.strictEqual(r.status, "ok");
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(r.data);
+  assert.deepStrictEqual(Sim.player.relics, ["fang", "soles"]);
+});
+
+test("a save holding an unknown relic reads as corrupt", function () {
+  Sim.reset("RELICS-BAD");
+  var d = H.savedRun();
+  d.players[0].relics = ["nope"];
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+  d.players[0].relics = ["fang", "fang"];
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+});
+
+test("the Fang leeches splash damage as well as direct hits", function () {
+  Sim.reset("RELICS-FANG");
+  Sim.gainRelic("fang");
+  var near = chaser(400, 260), far = chaser(440, 260);
+  Sim.state.enemies = [near, far];
+  Sim.state.bullets = [{
+    x: 400, y: 260, vx: 0, vy: 0, r: 5, t: 1, dmg: 20, from: "player", owner: Sim.player,
+    leech: true, boom: 60, pierce: 0, bounce: 0, hits: []
+  }];
+  Sim.updateBullets(H.DT);
+  assert.strictEqual(near.hp, 80);
+  assert.strictEqual(far.hp, 90);
+  assert.strictEqual(Sim.player.leech, 30);
+});
@@ -0,0 +1,63 @@
+// Replays: recorded inputs fed back through step() land on the same run.
+// These cover Sim's side only (packInput, isValidReplay, beginReplay): the
+// shell's recorder (startRecording/recordFrame) needs a DOM and is not run
+// here, so helpers.record() builds the file the same way it does.
+// Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+var DT = H.DT, fingerprint = H.fingerprint, playBack = H.playBack;
+
+// A fresh run of `frames` scripted frames, recorded
+function record(seed, frames) {
+  Sim.reset(seed);
+  return H.record(frames);
+}
+
+test("input packing round-trips", function () {
+  var inp = Sim.emptyInput();
+  inp.moveX = 0.5;
+  inp.moveY = -1;
+  inp.aimX = 412;
+  inp.aimY = 96;
+  inp.fire = true;
+  inp.away = true;
+  inp.buy = 3;
+  var back = Sim.unpackInput(Sim.packInput(inp, DT), 0);
+  assert.deepStrictEqual(back, inp);
+});
+
+test("a solo replay lands on the recorded run", function () {
+  var data = record("REPLAY", 900);
+  var live = fingerprint();
+  var file = JSON.parse(JSON.stringify(data));
+  assert.ok(Sim.isValidReplay(file));
+  playBack(file);
+  assert.strictEqual(fingerprint(), live);
+});
+
+// Continue restores the save, then records from there
+test("a replay of a continued run starts from its save", function () {
+  record("REPLAY-SAVE", 300);
+  var save = H.savedRun();
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(save);
+  var data = H.record(600);
+  data.start = save;
+  var live = fingerprint();
+  playBack(data);
+  assert.strictEqual(fingerprint(), live);
+});
+
+test("files from another format version or with broken frames are refused", function () {
+  var data = record("REPLAY-BAD", 10);
+  assert.ok(Sim.isValidReplay(data));
+  assert.ok(!Sim.isValidReplay(Object.assign({}, data, { v: Sim.REPLAY_VERSION - 1 })));
+  assert.ok(!Sim.isValidReplay(Object.assign({}, data, { frames: [[DT, 0, 0]] })));
+  assert.ok(!Sim.isValidReplay(Object.assign({}, data, { frames: [[DT, 0, 0, 0, 0, "x", -1]] })));
+  assert.ok(!Sim.isValidReplay(null));
+});
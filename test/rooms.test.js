@@ -0,0 +1,86 @@
+// Rooms, templated or random: on every floor each door (secret ones too)
+// can be walked to from the centre, and a save with a malformed room reads
+// as "corrupt".
+// Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+var SEEDS = ["DOORS-1", "DOORS-2", "DOORS-3", "DOORS-4", "DOORS-5", "DOORS-6"];
+var STEP = { N: [0, -1], S: [0, 1], W: [-1, 0], E: [1, 0] };
+
+// Same rule as the sim's walkableTile: walls, pits, pillars and cracked walls block
+function walkable(t) { return t !== 0 && t !== 2 && t !== 4 && t !== 6; }
+
+// Tiles reachable from the room centre without stepping onto the outer ring
+function reachable(g) {
+  var W = Sim.ROOM_TW, H = Sim.ROOM_TH;
+  var seen = {}, start = ((H / 2) | 0) * W + ((W / 2) | 0), queue = [start];
+  seen[start] = true;
+  while (queue.length) {
+    var k = queue.shift(), x = k % W, y = (k / W) | 0;
+    for (var d in STEP) {
+      var nx = x + STEP[d][0], ny = y + STEP[d][1], ni = ny * W + nx;
+      if (nx < 1 || ny < 1 || nx >= W - 1 || ny >= H - 1 || seen[ni] || !walkable(g[ni])) continue;
+      seen[ni] = true;
+      queue.push(ni);
+    }
+  }
+  return seen;
+}
+
+// The floor tile just inside a door
+function doorInside(dir) {
+  var W = Sim.ROOM_TW, H = Sim.ROOM_TH, mx = (W / 2) | 0, my = (H / 2) | 0;
+  if (dir === "N") return 1 * W + mx;
+  if (dir === "S") return (H - 2) * W + mx;
+  if (dir === "W") return my * W + 1;
+  return my * W + W - 2;
+}
+
+function eachFloor(fn) {
+  SEEDS.forEach(function (seed) {
+    Sim.reset(seed);
+    for (var f = 1; f <= Sim.FINAL_FLOOR; f++) {
+      if (f > 1) Sim.descendFloor();
+      fn(seed + " floor " + f);
+    }
+  });
+}
+
+test("every door is reachable from the room centre", function () {
+  eachFloor(function (where) {
+    var cells = Sim.state.layout.cells;
+    for (var id in cells) {
+      Sim.state.roomId = id;
+      Sim.loadRoom(id);
+      var room = Sim.ensureRoom(id), seen = reachable(room.g);
+      for (var dir in STEP) {
+        if (!cells[id].links[dir]) continue;
+        assert.ok(room.neighbors[dir], where + " room " + id + " lost its " + dir + " door");
+        assert.ok(seen[doorInside(dir)], where + " room " + id + ": " + dir + " door walled off");
+      }
+    }
+  });
+});
+
+var BREAKS = {
+  "null room": function (d) { d.rooms["0,0"] = null; },
+  "null spawn": function (d) { d.rooms["0,0"].spawns = [null]; },
+  "unknown room kind": function (d) { d.map["0,0"].kind = "lava"; },
+  "null map entry": function (d) { d.map["40,40"] = null; }
+};
+
+Object.keys(BREAKS).forEach(function (name) {
+  test("a save with " + name + " reads as corrupt", function () {
+    Sim.reset("ROOMS-SAVE");
+    var d = H.savedRun();
+    BREAKS[name](d);
+    var r = H.readBack(d);
+    assert.strictEqual(r.status, "corrupt");
+    assert.strictEqual(r.data, null);
+  });
+});
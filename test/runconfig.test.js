@@ -0,0 +1,62 @@
+// Difficulty and run modifiers: picked before the run, kept by its save and
+// its replay.  Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+test("the setup applies on the next reset", function () {
+  Sim.setRunConfig("hard", ["glass", "bogus"]);
+  Sim.reset("SETUP");
+  assert.deepStrictEqual(Sim.state.run, { difficulty: "hard", modifiers: ["glass"] });
+  assert.strictEqual(Sim.player.hpMax, 4);
+  Sim.setRunConfig("nope", null);
+  Sim.reset("SETUP");
+  assert.deepStrictEqual(Sim.state.run, { difficulty: "normal", modifiers: [] });
+  assert.strictEqual(Sim.player.hpMax, 8);
+});
+
+test("a save brings its own setup back", function () {
+  Sim.setRunConfig("nightmare", ["noshops", "doubled"]);
+  Sim.reset("SETUP-SAVE");
+  var r = H.readBack(H.savedRun());
+  assert.strictEqual(r.status, "ok");
+  Sim.setRunConfig("easy", []);
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(r.data);
+  assert.deepStrictEqual(Sim.state.run, { difficulty: "nightmare", modifiers: ["doubled", "noshops"] });
+});
+
+test("a save with an unknown difficulty or modifier reads as corrupt", function () {
+  Sim.setRunConfig("normal", []);
+  Sim.reset("SETUP-BAD");
+  var d = H.savedRun();
+  d.run.difficulty = "insane";
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+  d = H.savedRun();
+  d.run.modifiers = ["glass", "lava"];
+  assert.strictEqual(H.readBack(d).status, "corrupt");
+});
+
+test("a version-8 save's run.mods comes back as run.modifiers", function () {
+  Sim.setRunConfig("hard", ["onehit"]);
+  Sim.reset("SETUP-V8");
+  var d = H.savedRun();
+  d.v = 8;
+  d.run = { difficulty: "hard", mods: ["onehit"] };
+  var r = H.readBack(d);
+  assert.strictEqual(r.status, "ok");
+  assert.deepStrictEqual(r.data.run, { difficulty: "hard", modifiers: ["onehit"] });
+});
+
+test("a replay plays back under its own setup", function () {
+  Sim.setRunConfig("hard", ["glass"]);
+  Sim.reset("SETUP-REPLAY");
+  var data = H.record(600), live = H.fingerprint();
+  Sim.setRunConfig("easy", []);
+  H.playBack(JSON.parse(JSON.stringify(data)));
+  assert.deepStrictEqual(Sim.state.run, { difficulty: "hard", modifiers: ["glass"] });
+  assert.strictEqual(H.fingerprint(), live);
+});
@@ -0,0 +1,70 @@
+// Saves: a run written to storage reads back whole; a damaged one reads as
+// "corrupt" instead of throwing.  Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+var memStorage = H.memStorage, readBack = H.readBack;
+
+// A fresh run with coins banked and a hit taken
+function playedRun() {
+  Sim.reset("SAVES");
+  Sim.state.coins = 23;
+  Sim.player.hp = 5;
+  return H.savedRun();
+}
+
+test("a save round-trips through storage", function () {
+  var saved = playedRun();
+  var r = readBack(saved);
+  assert.strictEqual(r.status, "ok");
+  Sim.reset("SOMETHING-ELSE");
+  Sim.restore(r.data);
+  var again = H.savedRun();
+  assert.strictEqual(again.seed, saved.seed);
+  assert.strictEqual(again.coins, 23);
+  assert.strictEqual(Sim.player.hp, 5);
+  assert.deepStrictEqual(Object.keys(again.map).sort(), Object.keys(saved.map).sort());
+  assert.deepStrictEqual(again.map["0,0"], saved.map["0,0"]);
+});
+
+test("no save reads as none", function () {
+  Sim.setStorage(memStorage());
+  assert.strictEqual(Sim.readSave().status, "none");
+  Sim.setStorage(null);
+});
+
+test("a cleared save reads as none", function () {
+  var store = memStorage();
+  Sim.setStorage(store);
+  store.setItem("njs.run", JSON.stringify(playedRun()));
+  assert.strictEqual(Sim.readSave().status, "ok");
+  Sim.clearSave();
+  assert.strictEqual(Sim.readSave().status, "none");
+  Sim.setStorage(null);
+});
+
+var BREAKS = {
+  "not JSON": function () { return "{nope"; },
+  "no version": function (d) { delete d.v; },
+  "mangled old version": function (d) { d.v = 4; delete d.player; }
+};
+
+Object.keys(BREAKS).forEach(function (name) {
+  test("a save with " + name + " reads as corrupt", function () {
+    var d = playedRun();
+    var out = BREAKS[name](d);
+    var r = readBack(out !== undefined ? out : d);
+    assert.strictEqual(r.status, "corrupt");
+    assert.strictEqual(r.data, null);
+  });
+});
+
+test("a save from before migrations existed reads as old", function () {
+  var d = playedRun();
+  d.v = 0;
+  assert.strictEqual(readBack(d).status, "old");
+});
@@ -0,0 +1,41 @@
+// The sim runs headless under Node: same seed + same inputs -> same run,
+// step for step.  Run: node --test test/
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var Sim = require("../n.js");
+var H = require("./helpers.js");
+
+function play(seed, frames) {
+  Sim.reset(seed);
+  var marks = [];
+  for (var f = 0; f < frames; f++) {
+    Sim.step(H.scriptedInput(f), H.DT);
+    if (f % 300 === 299) marks.push(H.fingerprint());
+  }
+  marks.push(H.fingerprint());
+  return marks;
+}
+
+test("a seed plays back identically", function () {
+  var a = play("DETERMINISM", 1800);
+  var b = play("DETERMINISM", 1800);
+  assert.deepStrictEqual(a, b);
+});
+
+test("the run leaves the start room", function () {
+  play("DETERMINISM", 600);
+  assert.notStrictEqual(Sim.state.roomId, "0,0");
+});
+
+test("step reports what happened during the frame", function () {
+  Sim.reset("EVENTS");
+  var types = {};
+  for (var f = 0; f < 600; f++) {
+    var evs = Sim.step(H.scriptedInput(f), H.DT);
+    assert.strictEqual(evs, Sim.events);
+    evs.forEach(function (ev) { types[ev.type] = true; });
+  }
+  assert.ok(types.room, "no room event after leaving the start room");
+});